@@ -8,8 +8,19 @@ import { Player } from './modules/player.js';
 import { ThumbnailGenerator } from './modules/thumbnails.js';
 import { AudioFX } from './modules/audiofx.js';
 import { Exporter } from './modules/export.js';
+import { EQEditor } from './modules/eq.js';
+import { Visualizer } from './modules/visualizer.js';
+import { RegionManager } from './modules/regions.js';
+import { TrimManager } from './modules/trim.js';
+import { Restoration } from './modules/restoration.js';
+import { DeepClean } from './modules/deepclean.js';
+import { ABXTest } from './modules/abx.js';
+import { BatchQueue } from './modules/batch.js';
+import { FFmpegLoader } from './modules/ffmpeg-loader.js';
 import { UI } from './modules/ui.js';
 
+const VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/ogg'];
+
 class VidFlowApp {
   constructor() {
     this.currentVideo = null;
@@ -18,9 +29,21 @@ class VidFlowApp {
     
     this.router = new Router(this);
     this.ui = new UI(this);
+    
+    // One ffmpeg.wasm for the whole app, shared by every export
+    this.ffmpegLoader = new FFmpegLoader();
+    
+    this.batch = null;
     this.player = null;
     this.thumbnails = null;
     this.audioFx = null;
+    this.restoration = null;
+    this.deepClean = null;
+    this.eqEditor = null;
+    this.visualizer = null;
+    this.regions = null;
+    this.trim = null;
+    this.abx = null;
     this.exporter = null;
     
     this.init();
@@ -36,6 +59,9 @@ class VidFlowApp {
     // Initialize router
     this.router.init();
     
+    // Initialize the batch queue, which outlives the watch view
+    this.batch = new BatchQueue(this);
+    
     // Load recent videos
     this.loadRecentVideos();
     
@@ -77,8 +103,8 @@ class VidFlowApp {
     });
     
     fileInput?.addEventListener('change', (e) => {
-      const file = e.target.files?.[0];
-      if (file) this.handleFileUpload(file);
+      this.handleFiles(e.target.files);
+      e.target.value = '';
     });
     
     // Drag and drop
@@ -94,8 +120,7 @@ class VidFlowApp {
     uploadZone?.addEventListener('drop', (e) => {
       e.preventDefault();
       uploadZone.classList.remove('drag-over');
-      const file = e.dataTransfer?.files?.[0];
-      if (file) this.handleFileUpload(file);
+      this.handleFiles(e.dataTransfer?.files);
     });
     
     // URL input
@@ -132,10 +157,26 @@ class VidFlowApp {
     }
   }
   
+  /**
+   * One file opens in the player; several go to the batch queue
+   */
+  handleFiles(files) {
+    if (!files?.length) return;
+    
+    if (files.length > 1) {
+      this.batch.addFiles(files);
+    } else {
+      this.handleFileUpload(files[0]);
+    }
+  }
+  
+  isSupportedVideo(file) {
+    return VIDEO_TYPES.includes(file.type);
+  }
+  
   async handleFileUpload(file) {
     // Validate file type
-    const validTypes = ['video/mp4', 'video/webm', 'video/ogg'];
-    if (!validTypes.includes(file.type)) {
+    if (!this.isSupportedVideo(file)) {
       this.ui.showToast('Please upload a valid video file (MP4, WebM, or OGG)', 'error');
       return;
     }
@@ -217,6 +258,30 @@ class VidFlowApp {
     // Initialize audio effects
     this.audioFx = new AudioFX(videoElement, this);
     
+    // Show the volume boost remembered for this video
+    this.player.updateVolumeDisplay();
+    
+    // Initialize hum, hiss and sibilance restoration
+    this.restoration = new Restoration(videoElement, this);
+    
+    // Initialize whole-track Deep Clean separation
+    this.deepClean = new DeepClean(videoElement, this);
+    
+    // Initialize EQ editor
+    this.eqEditor = new EQEditor(this);
+    
+    // Initialize audio visualizer
+    this.visualizer = new Visualizer(this);
+    
+    // Initialize timeline regions
+    this.regions = new RegionManager(videoElement, this);
+    
+    // Initialize export in/out points
+    this.trim = new TrimManager(videoElement, this);
+    
+    // Initialize blind ABX test
+    this.abx = new ABXTest(videoElement, this);
+    
     // Initialize thumbnail generator
     this.thumbnails = new ThumbnailGenerator(videoElement, this);
     
@@ -364,6 +429,34 @@ class VidFlowApp {
       this.audioFx.destroy();
       this.audioFx = null;
     }
+    if (this.restoration) {
+      this.restoration.destroy();
+      this.restoration = null;
+    }
+    if (this.deepClean) {
+      this.deepClean.destroy();
+      this.deepClean = null;
+    }
+    if (this.eqEditor) {
+      this.eqEditor.destroy();
+      this.eqEditor = null;
+    }
+    if (this.visualizer) {
+      this.visualizer.destroy();
+      this.visualizer = null;
+    }
+    if (this.regions) {
+      this.regions.destroy();
+      this.regions = null;
+    }
+    if (this.trim) {
+      this.trim.destroy();
+      this.trim = null;
+    }
+    if (this.abx) {
+      this.abx.destroy();
+      this.abx = null;
+    }
     if (this.thumbnails) {
       this.thumbnails = null;
     }
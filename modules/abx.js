@@ -0,0 +1,309 @@
+/**
+ * VidFlow - Blind ABX Listening Test
+ * Hides which side of the A/B comparison is processed: A and B are
+ * randomly original or processed, X is randomly A or B, and the reviewer
+ * guesses X over a series of trials on a looped section. The score is
+ * checked against guessing with a binomial test.
+ */
+
+// Significance level for reporting an audible difference
+const SIGNIFICANCE = 0.05;
+
+export class ABXTest {
+  constructor(videoElement, app) {
+    this.video = videoElement;
+    this.app = app;
+    
+    this.isOpen = false;
+    this.isRunning = false;
+    this.loop = null;
+    this.trialCount = 16;
+    this.trials = [];
+    this.current = null;
+    this.wasProcessed = false;
+    this.frameId = null;
+    
+    // Removes every DOM listener in destroy()
+    this.listeners = new AbortController();
+    
+    this.elements = {
+      openBtn: document.getElementById('abx-open'),
+      panel: document.getElementById('abx-panel'),
+      closeBtn: document.getElementById('abx-close'),
+      setup: document.getElementById('abx-setup'),
+      loopLength: document.getElementById('abx-loop-length'),
+      trialCount: document.getElementById('abx-trial-count'),
+      startBtn: document.getElementById('abx-start'),
+      run: document.getElementById('abx-run'),
+      progress: document.getElementById('abx-progress'),
+      listenBtns: document.querySelectorAll('#abx-panel [data-listen]'),
+      answerBtns: document.querySelectorAll('#abx-panel [data-answer]'),
+      endBtn: document.getElementById('abx-end'),
+      results: document.getElementById('abx-results'),
+      score: document.getElementById('abx-score'),
+      verdict: document.getElementById('abx-verdict'),
+      exportBtn: document.getElementById('abx-export'),
+      restartBtn: document.getElementById('abx-restart'),
+      abToggle: document.getElementById('ab-toggle')
+    };
+    
+    this.tick = this.tick.bind(this);
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.listeners;
+    
+    this.elements.openBtn?.addEventListener('click', () => {
+      this.app.player?.closeSettings();
+      this.open();
+    }, { signal });
+    this.elements.closeBtn?.addEventListener('click', () => this.close(), { signal });
+    this.elements.startBtn?.addEventListener('click', () => this.start(), { signal });
+    this.elements.endBtn?.addEventListener('click', () => this.finish(), { signal });
+    this.elements.exportBtn?.addEventListener('click', () => this.exportResults(), { signal });
+    this.elements.restartBtn?.addEventListener('click', () => this.showStage('setup'), { signal });
+    
+    this.elements.listenBtns.forEach(btn => {
+      btn.addEventListener('click', () => this.listen(btn.dataset.listen), { signal });
+    });
+    this.elements.answerBtns.forEach(btn => {
+      btn.addEventListener('click', () => this.answer(btn.dataset.answer), { signal });
+    });
+    
+    // Keep the loop going while playing
+    this.video.addEventListener('play', () => this.startLooping(), { signal });
+    this.video.addEventListener('pause', () => this.stopLooping(), { signal });
+  }
+  
+  open() {
+    this.isOpen = true;
+    this.elements.panel?.removeAttribute('hidden');
+    this.elements.openBtn?.setAttribute('aria-expanded', 'true');
+    if (!this.isRunning) this.showStage('setup');
+    this.elements.panel?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+  
+  close() {
+    if (this.isRunning) this.stop();
+    this.isOpen = false;
+    this.elements.panel?.setAttribute('hidden', '');
+    this.elements.openBtn?.setAttribute('aria-expanded', 'false');
+  }
+  
+  showStage(stage) {
+    this.elements.setup?.toggleAttribute('hidden', stage !== 'setup');
+    this.elements.run?.toggleAttribute('hidden', stage !== 'run');
+    this.elements.results?.toggleAttribute('hidden', stage !== 'results');
+  }
+  
+  start() {
+    const audioFx = this.app.audioFx;
+    if (!audioFx?.hasProcessing()) {
+      this.app.ui.showToast('Select an audio preset to compare against the original', 'warning');
+      return;
+    }
+    
+    const duration = this.video.duration;
+    if (!duration) return;
+    
+    // Loop from the playhead, pulled back if it would run off the end
+    const length = Math.min(parseFloat(this.elements.loopLength?.value) || 10, duration);
+    const start = Math.max(0, Math.min(this.video.currentTime, duration - length));
+    this.loop = { start, end: start + length };
+    
+    this.trialCount = parseInt(this.elements.trialCount?.value) || 16;
+    this.trials = [];
+    this.isRunning = true;
+    this.wasProcessed = audioFx.isProcessed;
+    
+    // The A/B toggle would give the answer away
+    if (this.elements.abToggle) this.elements.abToggle.disabled = true;
+    
+    this.nextTrial();
+    this.showStage('run');
+    
+    this.video.currentTime = start;
+    this.video.play().catch((e) => {
+      // A pause or a new video before playback starts is no failure
+      if (e.name === 'AbortError') return;
+      this.app.ui.showToast('Playback did not start. Press play to hear the loop.', 'warning');
+    });
+    this.startLooping();
+  }
+  
+  /**
+   * Assign original/processed to A and B and pick X at random
+   */
+  nextTrial() {
+    const aIsProcessed = Math.random() < 0.5;
+    this.current = {
+      a: aIsProcessed ? 'processed' : 'original',
+      b: aIsProcessed ? 'original' : 'processed',
+      x: Math.random() < 0.5 ? 'A' : 'B',
+      listens: { A: 0, B: 0, X: 0 },
+      startedAt: performance.now()
+    };
+    
+    if (this.elements.progress) {
+      this.elements.progress.textContent = `Trial ${this.trials.length + 1} of ${this.trialCount}`;
+    }
+    
+    // Start each trial on A
+    this.listen('A');
+  }
+  
+  listen(side) {
+    if (!this.isRunning) return;
+    
+    const trial = this.current;
+    const source = side === 'X' ? trial.x : side;
+    const variant = source === 'A' ? trial.a : trial.b;
+    
+    trial.listens[side]++;
+    this.app.audioFx?.setBlindOutput(variant === 'processed');
+    
+    this.elements.listenBtns.forEach(btn => {
+      btn.setAttribute('aria-pressed', (btn.dataset.listen === side).toString());
+    });
+  }
+  
+  answer(side) {
+    if (!this.isRunning) return;
+    
+    const trial = this.current;
+    this.trials.push({
+      trial: this.trials.length + 1,
+      a: trial.a,
+      b: trial.b,
+      x: trial.x,
+      answer: side,
+      correct: side === trial.x,
+      listens: trial.listens,
+      seconds: Number(((performance.now() - trial.startedAt) / 1000).toFixed(1))
+    });
+    
+    if (this.trials.length >= this.trialCount) {
+      this.finish();
+    } else {
+      this.nextTrial();
+    }
+  }
+  
+  /**
+   * End the test (early, if trials remain) and show the score
+   */
+  finish() {
+    if (!this.isRunning) return;
+    
+    this.stop();
+    
+    const { correct, total, pValue } = this.getScore();
+    if (this.elements.score) {
+      this.elements.score.textContent = `${correct} of ${total} correct`;
+    }
+    if (this.elements.verdict) {
+      const confidence = `${((1 - pValue) * 100).toFixed(1)}% confidence (p = ${pValue.toFixed(3)})`;
+      if (total === 0) {
+        this.elements.verdict.textContent = 'No trials were answered.';
+      } else if (pValue < SIGNIFICANCE) {
+        this.elements.verdict.textContent = `Audible difference: ${confidence}`;
+      } else {
+        this.elements.verdict.textContent = `No reliable difference: ${confidence}`;
+      }
+    }
+    
+    this.showStage('results');
+  }
+  
+  /**
+   * Stop testing and give the player back its own A/B state
+   */
+  stop() {
+    this.isRunning = false;
+    this.current = null;
+    this.stopLooping();
+    
+    this.app.audioFx?.setBlindOutput(this.wasProcessed);
+    if (this.elements.abToggle) this.elements.abToggle.disabled = false;
+  }
+  
+  /**
+   * Correct answers and the one-sided binomial p-value: the chance of
+   * doing at least this well by guessing
+   */
+  getScore() {
+    const total = this.trials.length;
+    const correct = this.trials.filter(trial => trial.correct).length;
+    return { correct, total, pValue: binomialTail(correct, total) };
+  }
+  
+  exportResults() {
+    const { correct, total, pValue } = this.getScore();
+    
+    // The learned noise profile is bulky and means nothing in notes
+    const { noiseProfile, ...settings } = this.app.audioFx?.getSettings() || {};
+    
+    const report = {
+      test: 'abx',
+      date: new Date().toISOString(),
+      video: this.app.currentVideo?.name || null,
+      settings: { ...settings, noiseProfile: Boolean(noiseProfile) },
+      loop: this.loop,
+      trials: this.trials,
+      correct,
+      total,
+      pValue: Number(pValue.toFixed(6)),
+      confidence: Number((1 - pValue).toFixed(6)),
+      significant: total > 0 && pValue < SIGNIFICANCE
+    };
+    
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    this.app.exporter?.downloadBlob(blob, this.app.exporter.getExportFilename('abx.json'));
+  }
+  
+  // Looping
+  
+  startLooping() {
+    if (this.frameId || !this.isRunning) return;
+    this.frameId = requestAnimationFrame(this.tick);
+  }
+  
+  stopLooping() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+  
+  tick() {
+    this.frameId = requestAnimationFrame(this.tick);
+    
+    const time = this.video.currentTime;
+    if (time >= this.loop.end || time < this.loop.start) {
+      this.video.currentTime = this.loop.start;
+    }
+  }
+  
+  destroy() {
+    if (this.isRunning) this.stop();
+    this.close();
+    this.listeners.abort();
+  }
+}
+
+/**
+ * P(at least k of n correct) when each guess is right with probability 1/2
+ */
+function binomialTail(k, n) {
+  if (n === 0) return 1;
+  
+  let coefficient = 1;
+  let sum = 0;
+  for (let i = 0; i <= n; i++) {
+    if (i >= k) sum += coefficient;
+    coefficient = coefficient * (n - i) / (i + 1);
+  }
+  return sum / Math.pow(2, n);
+}
@@ -3,6 +3,48 @@
  * Uses Web Audio API for real-time music reduction
  */
 
+import { getPreset, getCustomPresets, resolveStages, hasRestoration, hasRouting, buildChain, prepareContext, getLatency } from './presets.js';
+import { REGION_CROSSFADE, getRegionSettings } from './regions.js';
+
+// Longest lip sync delay the player supports, in seconds
+const MAX_SYNC_DELAY = 2;
+
+// Loudest volume the player offers (300%), reached by boosting the mix
+export const MAX_VOLUME_BOOST = 3;
+
+// Sample peak ceiling of the boost limiter, in dBFS
+export const BOOST_CEILING = -1;
+
+// Boost per video, remembered across sessions
+const VOLUME_BOOST_KEY = 'vidflow-volume-boost';
+const MAX_REMEMBERED_BOOSTS = 50;
+
+// Gain reduction (dB) that lights the clipping indicator, and how long
+// it stays lit (ms)
+const CLIP_THRESHOLD = 0.1;
+const CLIP_HOLD = 1000;
+
+// Settings of a fresh player, in the shape getSettings() returns. Batch
+// exports start from these too.
+export const DEFAULT_SETTINGS = {
+  preset: 'off',
+  strength: 50,
+  width: 30,
+  fftSize: 2048,
+  duckMode: 'gaps',
+  duckTarget: 'gain',
+  duckDepth: 15,
+  duckAttack: 50,
+  duckRelease: 500,
+  channelMode: 'stereo',
+  leftGain: 0,
+  rightGain: 0,
+  invertLeft: false,
+  invertRight: false,
+  syncOffset: 0,
+  volumeBoost: 1
+};
+
 export class AudioFX {
   constructor(videoElement, app) {
     this.video = videoElement;
@@ -12,28 +54,73 @@ export class AudioFX {
     this.sourceNode = null;
     this.gainNode = null;
     this.analyserNode = null;
+    this.syncDelay = null;
     
-    // Filter nodes for audio processing
-    this.filters = {
-      lowShelf: null,
-      highShelf: null,
-      bandpass: null,
-      compressor: null
-    };
+    // Processing chain compiled from the current preset (see presets.js),
+    // with the delay and gain that latency-align and crossfade it
+    this.chain = null;
+    this.slot = null;
+    
+    // Timeline region under the playhead (see regions.js)
+    this.activeRegion = null;
+    
+    this.currentPreset = DEFAULT_SETTINGS.preset;
+    this.reductionStrength = DEFAULT_SETTINGS.strength;
+    this.stereoWidth = DEFAULT_SETTINGS.width;
+    this.fftSize = DEFAULT_SETTINGS.fftSize;
+    this.duckMode = DEFAULT_SETTINGS.duckMode;
+    this.duckTarget = DEFAULT_SETTINGS.duckTarget;
+    this.duckDepth = DEFAULT_SETTINGS.duckDepth;
+    this.duckAttack = DEFAULT_SETTINGS.duckAttack;
+    this.duckRelease = DEFAULT_SETTINGS.duckRelease;
+    
+    // Channel routing (see getRoutingMatrix in presets.js)
+    this.channelMode = DEFAULT_SETTINGS.channelMode;
+    this.leftGain = DEFAULT_SETTINGS.leftGain;
+    this.rightGain = DEFAULT_SETTINGS.rightGain;
+    this.invertLeft = DEFAULT_SETTINGS.invertLeft;
+    this.invertRight = DEFAULT_SETTINGS.invertRight;
+    
+    // Audio delay (positive) or advance (negative) against the picture, ms
+    this.syncOffset = DEFAULT_SETTINGS.syncOffset;
+    
+    // Volume above 100%, applied to the mix ahead of the boost limiter
+    this.boost = loadVolumeBoost(app.currentVideo);
+    this.mixNode = null;
+    this.limiterNode = null;
+    this.limiterFailed = false;
+    this.isLimiting = false;
+    this.clipTimer = null;
+    
+    // Input of the processing chain: the video's own audio, or a
+    // pre-processed buffer (Deep Clean) played in step with the video
+    this.chainInput = null;
+    this.sourceBuffer = null;
+    this.bufferSource = null;
     
-    this.currentPreset = 'off';
-    this.reductionStrength = 50;
     this.isProcessed = false;
+    this.bypassDelay = null;
     this.bypassGain = null;
     this.processedGain = null;
+    this.processedTap = null;
+    
+    // Visualizer analysers, created on demand (see getAnalysers)
+    this.analysers = null;
+    
+    // Live loudness meter worklet and its latest reading
+    this.loudnessNode = null;
+    this.loudnessStarted = false;
+    this.loudness = null;
     
     this.init();
   }
   
   async init() {
-    // Setup preset buttons
-    document.querySelectorAll('.preset-btn').forEach(btn => {
-      btn.addEventListener('click', () => this.setPreset(btn.dataset.preset));
+    // Setup preset buttons (delegated, custom preset buttons come and go)
+    this.renderCustomPresets();
+    document.getElementById('audio-presets')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.preset-btn');
+      if (btn) this.setPreset(btn.dataset.preset);
     });
     
     // Setup reduction slider
@@ -47,6 +134,86 @@ export class AudioFX {
       this.updateFilters();
     });
     
+    // Setup stereo width slider (mid/side presets)
+    const widthSlider = document.getElementById('stereo-width');
+    const widthValue = document.getElementById('stereo-width-value');
+    
+    widthSlider?.addEventListener('input', (e) => {
+      this.stereoWidth = parseInt(e.target.value);
+      if (widthValue) widthValue.textContent = `${this.stereoWidth}%`;
+      this.updateFilters();
+    });
+    
+    // Setup FFT size select (spectral presets)
+    document.getElementById('fft-size')?.addEventListener('change', (e) => {
+      this.fftSize = parseInt(e.target.value);
+      this.updateFilters();
+    });
+    
+    // Setup ducking controls (speech ducking preset)
+    document.getElementById('duck-mode')?.addEventListener('change', (e) => {
+      this.duckMode = e.target.value;
+      this.updateFilters();
+    });
+    
+    document.getElementById('duck-target')?.addEventListener('change', (e) => {
+      this.duckTarget = e.target.value;
+      this.updateFilters();
+    });
+    
+    const duckSliders = [
+      { id: 'duck-depth', setting: 'duckDepth', unit: 'dB' },
+      { id: 'duck-attack', setting: 'duckAttack', unit: 'ms' },
+      { id: 'duck-release', setting: 'duckRelease', unit: 'ms' }
+    ];
+    for (const { id, setting, unit } of duckSliders) {
+      const valueLabel = document.getElementById(`${id}-value`);
+      document.getElementById(id)?.addEventListener('input', (e) => {
+        this[setting] = parseInt(e.target.value);
+        if (valueLabel) valueLabel.textContent = `${this[setting]} ${unit}`;
+        this.updateFilters();
+      });
+    }
+    
+    // Setup channel routing controls
+    document.getElementById('channel-mode')?.addEventListener('change', (e) => {
+      this.channelMode = e.target.value;
+      this.updateRouting();
+    });
+    
+    const channelGains = [
+      { id: 'left-gain', setting: 'leftGain' },
+      { id: 'right-gain', setting: 'rightGain' }
+    ];
+    for (const { id, setting } of channelGains) {
+      const valueLabel = document.getElementById(`${id}-value`);
+      document.getElementById(id)?.addEventListener('input', (e) => {
+        this[setting] = parseInt(e.target.value);
+        if (valueLabel) valueLabel.textContent = `${this[setting] > 0 ? '+' : ''}${this[setting]} dB`;
+        this.updateRouting();
+      });
+    }
+    
+    const channelInverts = [
+      { id: 'invert-left', setting: 'invertLeft' },
+      { id: 'invert-right', setting: 'invertRight' }
+    ];
+    for (const { id, setting } of channelInverts) {
+      document.getElementById(id)?.addEventListener('change', (e) => {
+        this[setting] = e.target.checked;
+        this.updateRouting();
+      });
+    }
+    
+    // Setup lip sync offset
+    const syncValue = document.getElementById('sync-offset-value');
+    const syncHint = document.getElementById('sync-offset-hint');
+    document.getElementById('sync-offset')?.addEventListener('input', (e) => {
+      this.setSyncOffset(parseInt(e.target.value));
+      if (syncValue) syncValue.textContent = `${this.syncOffset > 0 ? '+' : ''}${this.syncOffset} ms`;
+      syncHint?.toggleAttribute('hidden', this.syncOffset >= 0);
+    });
+    
     // Setup A/B toggle
     const abToggle = document.getElementById('ab-toggle');
     abToggle?.addEventListener('click', () => {
@@ -55,6 +222,11 @@ export class AudioFX {
       this.updateBypass();
     });
     
+    // Keep a source buffer playing in step with the video
+    for (const event of ['playing', 'pause', 'waiting', 'seeking', 'seeked', 'ratechange', 'ended']) {
+      this.video.addEventListener(event, () => this.syncBufferSource());
+    }
+    
     // Initialize audio context on first user interaction
     this.video.addEventListener('play', () => this.initAudioContext(), { once: true });
   }
@@ -68,39 +240,61 @@ export class AudioFX {
       // Create source from video
       this.sourceNode = this.audioContext.createMediaElementSource(this.video);
       
-      // Create gain nodes for A/B comparison
+      // Create gain nodes for A/B comparison. The bypass path is delayed
+      // by the chain latency so both sides stay time-aligned.
+      this.bypassDelay = this.audioContext.createDelay(1);
       this.bypassGain = this.audioContext.createGain();
       this.processedGain = this.audioContext.createGain();
       
+      this.chainInput = this.audioContext.createGain();
+      
+      // Fixed point after the chain output for the visualizer to tap
+      this.processedTap = this.audioContext.createGain();
+      
+      // Sum of both A/B sides, fed through the boost limiter while boosting
+      this.mixNode = this.audioContext.createGain();
+      
       // Create main gain
       this.gainNode = this.audioContext.createGain();
       
-      // Create analyser for visualization (future use)
+      // Create analyser for visualization of the output mix
       this.analyserNode = this.audioContext.createAnalyser();
       this.analyserNode.fftSize = 2048;
       
-      // Create filter chain
-      this.createFilters();
+      // Lip sync delay, applied to both sides of the A/B comparison
+      this.syncDelay = this.audioContext.createDelay(MAX_SYNC_DELAY);
+      this.syncDelay.delayTime.value = Math.max(0, this.syncOffset) / 1000;
       
       // Connect nodes
-      // Source -> [Bypass -> Output] OR [Filters -> Processed -> Output]
-      this.sourceNode.connect(this.bypassGain);
-      this.bypassGain.connect(this.gainNode);
-      
-      // Connect filter chain
-      this.sourceNode.connect(this.filters.lowShelf);
-      this.filters.lowShelf.connect(this.filters.highShelf);
-      this.filters.highShelf.connect(this.filters.bandpass);
-      this.filters.bandpass.connect(this.filters.compressor);
-      this.filters.compressor.connect(this.processedGain);
-      this.processedGain.connect(this.gainNode);
+      // Source -> [Bypass -> Output] OR [Chain -> Processed -> Output]
+      this.sourceNode.connect(this.bypassDelay);
+      if (!this.sourceBuffer) this.sourceNode.connect(this.chainInput);
+      this.bypassDelay.connect(this.bypassGain);
+      this.bypassGain.connect(this.mixNode);
+      this.processedTap.connect(this.processedGain);
+      this.processedGain.connect(this.mixNode);
+      this.mixNode.connect(this.gainNode);
       
       // Connect to output
       this.gainNode.connect(this.analyserNode);
-      this.analyserNode.connect(this.audioContext.destination);
+      this.analyserNode.connect(this.syncDelay);
+      this.syncDelay.connect(this.audioContext.destination);
+      
+      // Load AudioWorklet processors for the worklet-based presets
+      try {
+        await prepareContext(this.audioContext);
+      } catch (e) {
+        console.warn('AudioWorklet presets unavailable:', e);
+      }
+      
+      await this.startLimiter();
+      
+      // Build the chain for a preset chosen before playback started
+      this.rebuildChain();
       
       // Initial state: bypass
       this.updateBypass();
+      this.syncBufferSource();
       
       console.log('Audio context initialized');
     } catch (e) {
@@ -109,35 +303,6 @@ export class AudioFX {
     }
   }
   
-  createFilters() {
-    // Low shelf filter - reduce bass
-    this.filters.lowShelf = this.audioContext.createBiquadFilter();
-    this.filters.lowShelf.type = 'lowshelf';
-    this.filters.lowShelf.frequency.value = 200;
-    this.filters.lowShelf.gain.value = 0;
-    
-    // High shelf filter - reduce highs
-    this.filters.highShelf = this.audioContext.createBiquadFilter();
-    this.filters.highShelf.type = 'highshelf';
-    this.filters.highShelf.frequency.value = 4000;
-    this.filters.highShelf.gain.value = 0;
-    
-    // Bandpass for speech focus
-    this.filters.bandpass = this.audioContext.createBiquadFilter();
-    this.filters.bandpass.type = 'peaking';
-    this.filters.bandpass.frequency.value = 2000; // Speech clarity range
-    this.filters.bandpass.Q.value = 0.5;
-    this.filters.bandpass.gain.value = 0;
-    
-    // Compressor for dynamic range
-    this.filters.compressor = this.audioContext.createDynamicsCompressor();
-    this.filters.compressor.threshold.value = -24;
-    this.filters.compressor.knee.value = 30;
-    this.filters.compressor.ratio.value = 4;
-    this.filters.compressor.attack.value = 0.003;
-    this.filters.compressor.release.value = 0.25;
-  }
-  
   setPreset(preset) {
     this.currentPreset = preset;
     
@@ -148,67 +313,322 @@ export class AudioFX {
       btn.setAttribute('aria-pressed', isActive.toString());
     });
     
-    // Show/hide slider
-    const sliderGroup = document.getElementById('reduction-slider-group');
-    if (preset === 'off') {
-      sliderGroup?.setAttribute('hidden', '');
-    } else {
-      sliderGroup?.removeAttribute('hidden');
+    // Show/hide the sliders this preset responds to
+    const controls = getPreset(preset).controls;
+    const sliderGroups = {
+      strength: document.getElementById('reduction-slider-group'),
+      width: document.getElementById('width-slider-group'),
+      fftSize: document.getElementById('fft-size-group'),
+      duckMode: document.getElementById('duck-mode-group'),
+      duckTarget: document.getElementById('duck-target-group'),
+      duckDepth: document.getElementById('duck-depth-group'),
+      duckAttack: document.getElementById('duck-attack-group'),
+      duckRelease: document.getElementById('duck-release-group')
+    };
+    for (const [control, group] of Object.entries(sliderGroups)) {
+      group?.toggleAttribute('hidden', !controls.includes(control));
     }
     
     // Apply preset
-    this.updateFilters();
+    this.rebuildChain();
+    this.app.eqEditor?.onPresetChange(preset);
     
     // Auto-enable processed output when preset is selected
-    if (preset !== 'off' && !this.isProcessed) {
-      this.isProcessed = true;
-      document.getElementById('ab-toggle')?.setAttribute('aria-pressed', 'true');
-      this.updateBypass();
-    } else if (preset === 'off' && this.isProcessed) {
-      this.isProcessed = false;
-      document.getElementById('ab-toggle')?.setAttribute('aria-pressed', 'false');
-      this.updateBypass();
+    this.setProcessed(this.hasProcessing());
+  }
+  
+  /**
+   * Switch the A/B comparison between processed and original audio
+   */
+  setProcessed(isProcessed) {
+    if (isProcessed === this.isProcessed) return;
+    
+    this.isProcessed = isProcessed;
+    document.getElementById('ab-toggle')?.setAttribute('aria-pressed', isProcessed.toString());
+    this.updateBypass();
+  }
+  
+  /**
+   * Apply changed channel routing, switching to the processed output
+   * where the fix lives
+   */
+  updateRouting() {
+    this.updateFilters();
+    if (hasRouting(this.getSettings())) this.setProcessed(true);
+  }
+  
+  /**
+   * Delay (positive) or advance (negative) the audio in milliseconds.
+   * The player can only delay; advances apply to exports.
+   */
+  setSyncOffset(offset) {
+    this.syncOffset = offset;
+    
+    if (this.syncDelay) {
+      const now = this.audioContext.currentTime;
+      this.syncDelay.delayTime.setTargetAtTime(Math.max(0, offset) / 1000, now, 0.05);
     }
   }
   
-  updateFilters() {
+  /**
+   * Load the boost limiter that goes between the A/B mix and the output
+   * while boosting
+   */
+  async startLimiter() {
+    const context = this.audioContext;
+    
+    try {
+      await context.audioWorklet.addModule(new URL('./worklets/limiter-processor.js', import.meta.url));
+      if (context !== this.audioContext) return;
+      
+      this.limiterNode = new AudioWorkletNode(context, 'boost-limiter', {
+        processorOptions: { ceiling: BOOST_CEILING }
+      });
+      this.limiterNode.parameters.get('boost').value = this.boost;
+      this.limiterNode.port.onmessage = (e) => this.showClipping(e.data.reduction);
+      this.limiterNode.connect(this.gainNode);
+      this.isLimiting = false;
+      this.connectMix();
+    } catch (e) {
+      console.warn('Boost limiter unavailable:', e);
+      this.limiterFailed = true;
+      
+      // Boosting without the limiter would clip
+      if (this.boost > 1) {
+        this.setBoost(1);
+        this.app.player?.updateVolumeDisplay();
+        this.app.ui.showToast('Volume boost is not supported in this browser', 'warning');
+      }
+    }
+  }
+  
+  /**
+   * Boost the output mix above 100% (1 to MAX_VOLUME_BOOST) and remember
+   * it for this video
+   */
+  setBoost(boost) {
+    this.boost = this.limiterFailed ? 1 : Math.max(1, Math.min(MAX_VOLUME_BOOST, boost));
+    saveVolumeBoost(this.app.currentVideo, this.boost);
+    
+    if (this.limiterNode) {
+      const now = this.audioContext.currentTime;
+      this.limiterNode.parameters.get('boost').setTargetAtTime(this.boost, now, 0.02);
+      this.connectMix();
+    }
+  }
+  
+  /**
+   * Send the mix through the limiter only while boosting. At 100% the
+   * output is the mix itself, untouched and undelayed, as exports leave it
+   * (applyBoost in export.js).
+   */
+  connectMix() {
+    const isLimiting = this.boost > 1;
+    if (isLimiting === this.isLimiting) return;
+    
+    this.isLimiting = isLimiting;
+    this.mixNode.disconnect();
+    this.mixNode.connect(isLimiting ? this.limiterNode : this.gainNode);
+  }
+  
+  /**
+   * Light the clipping indicator while the limiter is catching peaks
+   */
+  showClipping(reduction) {
+    if (reduction < CLIP_THRESHOLD) return;
+    
+    const indicator = document.getElementById('clip-indicator');
+    if (!indicator) return;
+    
+    indicator.classList.add('clipping');
+    indicator.title = `Limiting peaks by ${reduction.toFixed(1)} dB`;
+    
+    clearTimeout(this.clipTimer);
+    this.clipTimer = setTimeout(() => {
+      indicator.classList.remove('clipping');
+      indicator.title = 'No clipping';
+    }, CLIP_HOLD);
+  }
+  
+  /**
+   * Feed the processing chain from a pre-processed AudioBuffer instead of
+   * the video's audio (null to go back). The original side of the A/B
+   * comparison still comes from the video.
+   */
+  setSourceBuffer(buffer) {
+    const wasBuffered = Boolean(this.sourceBuffer);
+    this.sourceBuffer = buffer;
+    
+    if (this.audioContext) {
+      if (buffer && !wasBuffered) {
+        this.sourceNode.disconnect(this.chainInput);
+      } else if (!buffer && wasBuffered) {
+        this.sourceNode.connect(this.chainInput);
+      }
+      this.syncBufferSource();
+    }
+    
+    this.setProcessed(this.hasProcessing());
+  }
+  
+  /**
+   * (Re)start the source buffer from the video's position, or stop it
+   * while the video isn't playing. It follows the playback rate, so at
+   * other speeds its pitch shifts where the video's doesn't.
+   */
+  syncBufferSource() {
+    if (this.bufferSource) {
+      this.bufferSource.stop();
+      this.bufferSource.disconnect();
+      this.bufferSource = null;
+    }
+    
+    // Wait out pauses, seeks and buffering; 'playing' starts it again
+    const video = this.video;
+    const isStalled = video.paused || video.seeking || video.ended ||
+      video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA;
+    if (!this.audioContext || !this.sourceBuffer || isStalled) return;
+    
+    this.bufferSource = this.audioContext.createBufferSource();
+    this.bufferSource.buffer = this.sourceBuffer;
+    this.bufferSource.playbackRate.value = video.playbackRate;
+    this.bufferSource.connect(this.chainInput);
+    this.bufferSource.start(0, Math.min(video.currentTime, this.sourceBuffer.duration));
+  }
+  
+  /**
+   * Switch between processed and original without touching the A/B
+   * toggle, so a blind test doesn't give the answer away
+   */
+  setBlindOutput(isProcessed) {
+    this.isProcessed = isProcessed;
+    this.updateBypass();
+  }
+  
+  /**
+   * Apply a timeline region's preset and strength (null for the global
+   * settings), crossfading to the new chain
+   */
+  setRegion(region) {
+    this.activeRegion = region;
+    this.rebuildChain();
+  }
+  
+  /**
+   * Add a button for each saved custom EQ preset after the built-in ones
+   */
+  renderCustomPresets() {
+    const container = document.getElementById('audio-presets');
+    if (!container) return;
+    
+    container.querySelectorAll('.preset-btn[data-custom]').forEach(btn => btn.remove());
+    
+    for (const [id, preset] of Object.entries(getCustomPresets())) {
+      const isActive = id === this.currentPreset;
+      const btn = document.createElement('button');
+      btn.className = 'preset-btn';
+      btn.classList.toggle('active', isActive);
+      btn.dataset.preset = id;
+      btn.dataset.custom = '';
+      btn.setAttribute('aria-pressed', isActive.toString());
+      btn.textContent = preset.label;
+      container.appendChild(btn);
+    }
+  }
+  
+  /**
+   * Replace the processing chain with one compiled from the current
+   * preset. The old chain fades out while the new one fades in, so region
+   * boundaries and preset changes don't click.
+   */
+  rebuildChain() {
     if (!this.audioContext) return;
     
-    const strength = this.reductionStrength / 100;
-    
-    switch (this.currentPreset) {
-      case 'speech':
-        // Speech focus: boost mids, cut lows and highs
-        this.filters.lowShelf.gain.value = -12 * strength;
-        this.filters.highShelf.gain.value = -8 * strength;
-        this.filters.bandpass.frequency.value = 2500;
-        this.filters.bandpass.gain.value = 6 * strength;
-        this.filters.bandpass.Q.value = 0.8;
-        this.filters.compressor.threshold.value = -20 - (10 * strength);
-        this.filters.compressor.ratio.value = 4 + (4 * strength);
-        break;
-        
-      case 'music-reduce':
-        // Music soften: reduce bass and highs, keep mids
-        this.filters.lowShelf.gain.value = -15 * strength;
-        this.filters.highShelf.gain.value = -10 * strength;
-        this.filters.bandpass.frequency.value = 1500;
-        this.filters.bandpass.gain.value = 3 * strength;
-        this.filters.bandpass.Q.value = 0.5;
-        this.filters.compressor.threshold.value = -30;
-        this.filters.compressor.ratio.value = 6 + (6 * strength);
-        break;
-        
-      case 'off':
-      default:
-        // Reset all filters
-        this.filters.lowShelf.gain.value = 0;
-        this.filters.highShelf.gain.value = 0;
-        this.filters.bandpass.gain.value = 0;
-        this.filters.compressor.threshold.value = -24;
-        this.filters.compressor.ratio.value = 4;
-        break;
+    const context = this.audioContext;
+    let chain;
+    try {
+      chain = buildChain(context, this.getResolvedStages());
+    } catch (e) {
+      console.error('Failed to build processing chain:', e);
+      this.app.ui.showToast('This preset is not supported in this browser', 'error');
+      chain = buildChain(context, []);
     }
+    
+    // Pad every chain to the same latency so switching between regions
+    // with different chains doesn't jump in time
+    const latency = Math.max(chain.latency, this.getAlignedLatency());
+    const slot = {
+      chain,
+      delay: context.createDelay(1),
+      gain: context.createGain()
+    };
+    slot.delay.delayTime.value = (latency - chain.latency) / context.sampleRate;
+    
+    this.chainInput.connect(chain.input);
+    chain.output.connect(slot.delay);
+    slot.delay.connect(slot.gain);
+    slot.gain.connect(this.processedTap);
+    
+    const previous = this.slot;
+    if (previous) {
+      const now = context.currentTime;
+      slot.gain.gain.setValueAtTime(0, now);
+      slot.gain.gain.linearRampToValueAtTime(1, now + REGION_CROSSFADE);
+      previous.gain.gain.cancelScheduledValues(now);
+      previous.gain.gain.setValueAtTime(previous.gain.gain.value, now);
+      previous.gain.gain.linearRampToValueAtTime(0, now + REGION_CROSSFADE);
+      setTimeout(() => this.disposeSlot(previous), REGION_CROSSFADE * 1000 + 50);
+    }
+    
+    this.slot = slot;
+    this.chain = chain;
+    this.bypassDelay.delayTime.value = latency / context.sampleRate;
+  }
+  
+  disposeSlot(slot) {
+    if (!this.audioContext) return;
+    
+    this.chainInput.disconnect(slot.chain.input);
+    slot.chain.disconnect();
+    slot.delay.disconnect();
+    slot.gain.disconnect();
+  }
+  
+  /**
+   * Largest chain latency across the global settings and all timeline
+   * regions, in samples
+   */
+  getAlignedLatency() {
+    const settings = this.getSettings();
+    const regions = this.app.regions?.getRegions() || [];
+    const sampleRate = this.audioContext.sampleRate;
+    
+    return Math.max(
+      getLatency(resolveStages(settings), sampleRate),
+      ...regions.map(region => getLatency(resolveStages(getRegionSettings(settings, region)), sampleRate))
+    );
+  }
+  
+  /**
+   * Update chain parameters in place (e.g. when the strength changes)
+   */
+  updateFilters() {
+    if (!this.audioContext || !this.chain) return;
+    
+    if (!this.chain.update(this.getResolvedStages())) {
+      this.rebuildChain();
+    }
+  }
+  
+  getResolvedStages() {
+    return resolveStages(this.getEffectiveSettings());
+  }
+  
+  /**
+   * Settings in effect at the playhead: the active region's, if any
+   */
+  getEffectiveSettings() {
+    return getRegionSettings(this.getSettings(), this.activeRegion);
   }
   
   updateBypass() {
@@ -228,10 +648,107 @@ export class AudioFX {
     }
   }
   
+  /**
+   * Analysers for the visualizer: the output mix, the (latency-aligned)
+   * original and the processed signal. Each tap has a spectrum analyser
+   * and one analyser per stereo channel for the level meters.
+   */
+  getAnalysers() {
+    if (!this.audioContext) return null;
+    
+    if (!this.analysers) {
+      this.analysers = {
+        output: this.createAnalyserTap(this.gainNode, this.analyserNode),
+        original: this.createAnalyserTap(this.bypassDelay),
+        processed: this.createAnalyserTap(this.processedTap)
+      };
+    }
+    
+    return this.analysers;
+  }
+  
+  createAnalyserTap(node, spectrum = null) {
+    const ctx = this.audioContext;
+    
+    if (!spectrum) {
+      spectrum = ctx.createAnalyser();
+      spectrum.fftSize = 2048;
+      node.connect(spectrum);
+    }
+    spectrum.minDecibels = -100;
+    spectrum.maxDecibels = -20;
+    
+    // Upmix mono sources so both meters move
+    const upmix = ctx.createGain();
+    upmix.channelCount = 2;
+    upmix.channelCountMode = 'explicit';
+    upmix.channelInterpretation = 'speakers';
+    const splitter = ctx.createChannelSplitter(2);
+    node.connect(upmix);
+    upmix.connect(splitter);
+    
+    const channels = [0, 1].map(index => {
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 2048;
+      splitter.connect(analyser, index);
+      return analyser;
+    });
+    
+    return { spectrum, channels };
+  }
+  
+  /**
+   * Latest EBU R128 reading ({ momentary, shortTerm, integrated, truePeak })
+   * of the output mix. The meter starts on first call, so this returns null
+   * until it has reported.
+   */
+  getLoudness() {
+    if (!this.audioContext) return null;
+    
+    if (!this.loudnessStarted) {
+      this.loudnessStarted = true;
+      this.startLoudnessMeter();
+    }
+    
+    return this.loudness;
+  }
+  
+  async startLoudnessMeter() {
+    const context = this.audioContext;
+    
+    try {
+      await context.audioWorklet.addModule(new URL('./worklets/loudness-processor.js', import.meta.url));
+      if (context !== this.audioContext) return;
+      
+      this.loudnessNode = new AudioWorkletNode(context, 'loudness-meter', { numberOfOutputs: 0 });
+      this.loudnessNode.port.onmessage = (e) => {
+        this.loudness = e.data;
+      };
+      this.gainNode.connect(this.loudnessNode);
+    } catch (e) {
+      console.warn('Loudness meter unavailable:', e);
+    }
+  }
+  
+  /**
+   * Restart integrated loudness and true-peak measurement
+   */
+  resetLoudness() {
+    this.loudnessNode?.port.postMessage('reset');
+    this.loudness = null;
+  }
+  
   getAudioContext() {
     return this.audioContext;
   }
   
+  /**
+   * The unprocessed video audio, for analysis taps
+   */
+  getSourceNode() {
+    return this.sourceNode;
+  }
+  
   getProcessedStream() {
     if (!this.audioContext) return null;
     
@@ -239,8 +756,8 @@ export class AudioFX {
     const dest = this.audioContext.createMediaStreamDestination();
     
     // Connect the processed output to the destination
-    if (this.currentPreset !== 'off') {
-      this.filters.compressor.connect(dest);
+    if (this.isAudioProcessed()) {
+      this.processedTap.connect(dest);
     } else {
       this.sourceNode.connect(dest);
     }
@@ -248,18 +765,101 @@ export class AudioFX {
     return dest.stream;
   }
   
+  /**
+   * Snapshot of the settings needed to reproduce the current processing
+   */
+  getSettings() {
+    return {
+      preset: this.currentPreset,
+      strength: this.reductionStrength,
+      width: this.stereoWidth,
+      fftSize: this.fftSize,
+      duckMode: this.duckMode,
+      duckTarget: this.duckTarget,
+      duckDepth: this.duckDepth,
+      duckAttack: this.duckAttack,
+      duckRelease: this.duckRelease,
+      channelMode: this.channelMode,
+      leftGain: this.leftGain,
+      rightGain: this.rightGain,
+      invertLeft: this.invertLeft,
+      invertRight: this.invertRight,
+      syncOffset: this.syncOffset,
+      volumeBoost: this.boost,
+      ...this.app.restoration?.getSettings()
+    };
+  }
+  
   getCurrentPreset() {
     return this.currentPreset;
   }
   
+  /**
+   * True when the preset, channel routing, restoration, Deep Clean or a
+   * timeline region changes the audio at all
+   */
+  hasProcessing() {
+    const settings = this.getSettings();
+    return this.currentPreset !== 'off' ||
+      hasRouting(settings) ||
+      hasRestoration(settings) ||
+      Boolean(this.sourceBuffer) ||
+      Boolean(this.app.regions?.hasProcessing());
+  }
+  
   isAudioProcessed() {
-    return this.isProcessed && this.currentPreset !== 'off';
+    return this.isProcessed && this.hasProcessing();
   }
   
   destroy() {
+    clearTimeout(this.clipTimer);
+    document.getElementById('clip-indicator')?.classList.remove('clipping');
+    
     if (this.audioContext) {
       this.audioContext.close();
       this.audioContext = null;
+      this.analysers = null;
+      this.loudnessNode = null;
+      this.loudness = null;
+      this.limiterNode = null;
     }
   }
 }
+
+/**
+ * Remembered boosts are keyed by file name and size, or by URL
+ */
+function getVideoKey(video) {
+  if (!video) return null;
+  return video.type === 'url' ? video.url : `${video.name}:${video.size}`;
+}
+
+function loadVolumeBoosts() {
+  try {
+    return JSON.parse(localStorage.getItem(VOLUME_BOOST_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function loadVolumeBoost(video) {
+  const key = getVideoKey(video);
+  const boost = key ? loadVolumeBoosts()[key] : null;
+  return Number.isFinite(boost) ? Math.max(1, Math.min(MAX_VOLUME_BOOST, boost)) : 1;
+}
+
+function saveVolumeBoost(video, boost) {
+  const key = getVideoKey(video);
+  if (!key) return;
+  
+  // Re-insert so the most recent boosts survive the cap
+  const boosts = loadVolumeBoosts();
+  delete boosts[key];
+  if (boost > 1) boosts[key] = boost;
+  
+  const keys = Object.keys(boosts);
+  for (const old of keys.slice(0, Math.max(0, keys.length - MAX_REMEMBERED_BOOSTS))) {
+    delete boosts[old];
+  }
+  localStorage.setItem(VOLUME_BOOST_KEY, JSON.stringify(boosts));
+}
@@ -0,0 +1,570 @@
+/**
+ * VidFlow - Batch Queue
+ * Runs many videos through one preset, strength and output format, one
+ * at a time, and saves the results to a zip or a folder. Lives on the
+ * home view and keeps running while a video is open.
+ */
+
+import { Exporter, AUDIO_FORMATS } from './export.js';
+import { PRESETS, getCustomPresets, getPreset } from './presets.js';
+import { DEFAULT_SETTINGS } from './audiofx.js';
+import { createZip } from './containers/zip.js';
+
+const ZIP_NAME = 'vidflow-batch.zip';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+/**
+ * Exports queued files rather than the open video, as the host of an
+ * Exporter of its own. It has no download menu or progress modal; status
+ * goes to the item being processed. ffmpeg.wasm is the app's, shared with
+ * the open video's exports.
+ */
+class BatchExporter {
+  constructor(app) {
+    this.exporter = new Exporter(app, this);
+    this.file = null;
+    this.onStatus = null;
+    this.onProgress = null;
+  }
+  
+  /**
+   * Process one file with { settings, format }, where format is 'video'
+   * or an audio format id. Resolves to { blob, extension }.
+   */
+  async process(file, { settings, format }, { onStatus, onProgress, signal }) {
+    this.file = file;
+    this.onStatus = onStatus;
+    this.onProgress = onProgress;
+    
+    try {
+      return format === 'video'
+        ? await this.exportVideo(settings, signal)
+        : await this.exportAudio(settings, format, signal);
+    } finally {
+      this.file = null;
+      this.onStatus = null;
+      this.onProgress = null;
+      this.exporter.renderer.clearCache();
+    }
+  }
+  
+  async exportAudio(settings, format, signal) {
+    const exporter = this.exporter;
+    
+    exporter.updateExportStatus('Decoding source audio...');
+    const rendered = await exporter.renderer.render(this.file, settings, {
+      signal,
+      onProgress: (progress) => {
+        exporter.updateExportStatus('Rendering processed audio...');
+        exporter.updateExportProgress(10 + progress * 70);
+      }
+    });
+    
+    exporter.updateExportStatus('Creating audio file...');
+    exporter.updateExportProgress(80);
+    
+    const metadata = exporter.getExportMetadata(settings, { chapters: 'embed' }, null);
+    const blob = await exporter.encodeAudioFile(rendered, { format, sampleRate: null, dither: true, metadata }, signal);
+    return { blob, extension: AUDIO_FORMATS[format].extension };
+  }
+  
+  async exportVideo(settings, signal) {
+    const exporter = this.exporter;
+    
+    exporter.updateExportStatus('Preparing export...');
+    const plan = await exporter.webCodecs.getPlan(this.file);
+    
+    let processedAudio = null;
+    if (plan || settings.preset !== 'off') {
+      exporter.updateExportStatus('Rendering processed audio...');
+      processedAudio = await exporter.renderProcessedTrack(settings, [], null, signal);
+    }
+    
+    const metadata = exporter.getExportMetadata(settings, { chapters: 'embed' }, null);
+    let output = null;
+    if (plan && processedAudio) {
+      output = await exporter.encodeWithWebCodecs(plan, [{ buffer: processedAudio }], null, metadata, signal);
+    }
+    if (!output) {
+      output = await exporter.encodeWithFfmpeg(settings, { clip: null, loudnessTarget: null, metadata }, [], processedAudio, signal);
+    }
+    
+    exporter.throwIfAborted(signal);
+    return output;
+  }
+  
+  downloadBlob(blob, filename) {
+    this.exporter.downloadBlob(blob, filename);
+  }
+  
+  formatMegabytes(bytes) {
+    return this.exporter.formatMegabytes(bytes);
+  }
+  
+  // Host of the exporter
+  
+  getVideoFile() {
+    return this.file;
+  }
+  
+  getBaseName() {
+    return this.file.name.replace(/\.[^/.]+$/, '');
+  }
+  
+  // Chapters come from the open video's timestamps
+  getChapters() {
+    return [];
+  }
+  
+  // Deep Clean belongs to the open video, not to queued files
+  getRenderSource(source) {
+    return source;
+  }
+  
+  updateExportStatus(status) {
+    this.onStatus?.(status);
+  }
+  
+  updateExportProgress(percent) {
+    this.onProgress?.(percent);
+  }
+  
+  // Rows show progress only
+  updateExportDetails() {}
+}
+
+export class BatchQueue {
+  constructor(app) {
+    this.app = app;
+    this.items = [];
+    this.nextId = 1;
+    this.exporter = new BatchExporter(app);
+    this.isRunning = false;
+    this.isPaused = false;
+    this.abortController = null;
+    
+    // Items done or failed since the last run finished, which the next
+    // zip and summary cover. A paused run carries them over to its resume.
+    this.finished = new Set();
+    
+    // Output folder from the File System Access API, kept for the session
+    this.directory = null;
+    
+    this.elements = {
+      panel: document.getElementById('batch-panel'),
+      summary: document.getElementById('batch-summary'),
+      list: document.getElementById('batch-list'),
+      preset: document.getElementById('batch-preset'),
+      strength: document.getElementById('batch-strength'),
+      strengthValue: document.getElementById('batch-strength-value'),
+      format: document.getElementById('batch-format'),
+      destination: document.getElementById('batch-destination'),
+      addBtn: document.getElementById('batch-add'),
+      fileInput: document.getElementById('batch-file-input'),
+      startBtn: document.getElementById('batch-start'),
+      pauseBtn: document.getElementById('batch-pause'),
+      clearBtn: document.getElementById('batch-clear')
+    };
+    
+    this.init();
+  }
+  
+  init() {
+    this.elements.addBtn?.addEventListener('click', () => this.elements.fileInput?.click());
+    this.elements.fileInput?.addEventListener('change', (e) => {
+      this.addFiles(e.target.files);
+      e.target.value = '';
+    });
+    
+    this.elements.preset?.addEventListener('change', () => this.updateStrength());
+    this.elements.strength?.addEventListener('input', () => this.updateStrength());
+    
+    // A new destination asks for its folder again
+    this.elements.destination?.addEventListener('change', () => {
+      this.directory = null;
+    });
+    
+    this.elements.startBtn?.addEventListener('click', () => this.start());
+    this.elements.pauseBtn?.addEventListener('click', () => this.pause());
+    this.elements.clearBtn?.addEventListener('click', () => this.clear());
+    
+    // Item rows (delegated, rows are re-rendered)
+    this.elements.list?.addEventListener('click', (e) => this.handleListClick(e));
+    
+    // Saving to a folder needs the File System Access API
+    if (!('showDirectoryPicker' in window)) {
+      const folderOption = this.elements.destination?.querySelector('option[value="folder"]');
+      if (folderOption) folderOption.disabled = true;
+    }
+    
+    // Leaving the page would drop the running batch
+    window.addEventListener('beforeunload', (e) => {
+      if (this.isRunning) e.preventDefault();
+    });
+    
+    this.renderPresets();
+    this.render();
+  }
+  
+  /**
+   * Queue dropped or picked files. Anything that isn't a supported video
+   * is skipped.
+   */
+  addFiles(files) {
+    const videos = [...files].filter(file => this.app.isSupportedVideo(file));
+    const skipped = files.length - videos.length;
+    if (skipped > 0) {
+      this.app.ui.showToast(`Skipped ${skipped} file${skipped === 1 ? '' : 's'} that ${skipped === 1 ? 'isn\'t' : 'aren\'t'} MP4, WebM or OGG video`, 'warning');
+    }
+    
+    for (const file of videos) {
+      this.items.push({
+        id: this.nextId++,
+        file,
+        status: 'queued',
+        progress: 0,
+        message: '',
+        error: null,
+        output: null
+      });
+    }
+    
+    // Custom presets may have been saved since the list was built
+    this.renderPresets();
+    this.render();
+  }
+  
+  /**
+   * Start or resume the queue. Must run from a click, since choosing a
+   * folder needs a user gesture.
+   */
+  async start() {
+    if (this.isRunning) return;
+    
+    if (!this.items.some(item => item.status === 'queued')) {
+      this.app.ui.showToast('Nothing left to process', 'info');
+      return;
+    }
+    
+    const options = this.getOptions();
+    if (options.destination === 'folder' && !this.directory) {
+      try {
+        this.directory = await window.showDirectoryPicker({ id: 'vidflow-batch', mode: 'readwrite' });
+      } catch (e) {
+        if (e.name !== 'AbortError') {
+          this.app.ui.showToast('Could not open that folder: ' + e.message, 'error');
+        }
+        return;
+      }
+    }
+    
+    this.isPaused = false;
+    this.run(options);
+  }
+  
+  /**
+   * Stop after abandoning the current item, which starts over on resume
+   */
+  pause() {
+    if (!this.isRunning) return;
+    
+    this.isPaused = true;
+    this.abortController?.abort();
+    this.render();
+  }
+  
+  async run(options) {
+    this.isRunning = true;
+    this.render();
+    
+    let item;
+    while (!this.isPaused && (item = this.items.find(i => i.status === 'queued'))) {
+      await this.processItem(item, options);
+    }
+    
+    this.isRunning = false;
+    if (!this.isPaused) await this.finishRun(options);
+    this.render();
+  }
+  
+  async processItem(item, options) {
+    item.status = 'processing';
+    item.progress = 0;
+    item.message = 'Starting...';
+    item.error = null;
+    item.output = null;
+    
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    this.render();
+    
+    try {
+      const { blob, extension } = await this.exporter.process(item.file, options, {
+        signal,
+        onStatus: (message) => {
+          item.message = message;
+          this.updateRow(item);
+        },
+        onProgress: (percent) => {
+          item.progress = percent;
+          this.updateRow(item);
+        }
+      });
+      
+      const name = this.getOutputName(item, extension, options);
+      if (options.destination === 'folder') {
+        item.message = 'Saving...';
+        this.updateRow(item);
+        await this.writeToFolder(name, blob);
+        item.output = { name };
+      } else {
+        // Kept for the zip
+        item.output = { name, blob };
+      }
+      item.status = 'done';
+      this.finished.add(item);
+    } catch (e) {
+      if (e.name === 'AbortError') {
+        item.status = 'queued';
+      } else {
+        console.error(`Batch export of ${item.file.name} failed:`, e);
+        item.status = 'failed';
+        item.error = e.message;
+        this.finished.add(item);
+      }
+    } finally {
+      this.abortController = null;
+    }
+    
+    this.render();
+  }
+  
+  /**
+   * Zip up the results (unless they went to a folder) and report how the
+   * run went
+   */
+  async finishRun(options) {
+    // Earlier runs' results have been zipped and reported already
+    const finished = this.items.filter(item => this.finished.has(item));
+    this.finished.clear();
+    
+    const done = finished.filter(item => item.status === 'done');
+    const failed = finished.filter(item => item.status === 'failed').length;
+    
+    const results = done.filter(item => item.output?.blob);
+    if (options.destination === 'zip' && results.length > 0) {
+      try {
+        const zip = await createZip(results.map(item => ({ name: item.output.name, blob: item.output.blob })), {
+          onProgress: (progress) => this.setSummary(`Creating zip... ${Math.round(progress * 100)}%`)
+        });
+        this.exporter.downloadBlob(zip, ZIP_NAME);
+      } catch (e) {
+        console.error('Batch zip failed:', e);
+        this.app.ui.showToast('Could not create the zip: ' + e.message, 'error');
+        return;
+      }
+    }
+    
+    this.app.ui.showToast(failed > 0
+      ? `Batch finished: ${done.length} done, ${failed} failed`
+      : `Batch finished: ${done.length} video${done.length === 1 ? '' : 's'} processed`, failed > 0 ? 'warning' : 'success');
+  }
+  
+  async writeToFolder(name, blob) {
+    const handle = await this.directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+  }
+  
+  /**
+   * Output file name like a single export's, numbered when two inputs
+   * share a name
+   */
+  getOutputName(item, extension, { settings }) {
+    const base = item.file.name.replace(/\.[^/.]+$/, '') || 'video';
+    const taken = new Set(this.items.filter(other => other !== item).map(other => other.output?.name));
+    
+    let name = `${base}_${settings.preset}.${extension}`;
+    for (let n = 2; taken.has(name); n++) {
+      name = `${base}_${settings.preset} (${n}).${extension}`;
+    }
+    return name;
+  }
+  
+  /**
+   * Settings chosen in the batch panel
+   */
+  getOptions() {
+    const preset = this.elements.preset?.value || DEFAULT_SETTINGS.preset;
+    const strength = parseInt(this.elements.strength?.value ?? DEFAULT_SETTINGS.strength);
+    const format = this.elements.format?.value;
+    
+    return {
+      settings: { ...DEFAULT_SETTINGS, preset, strength },
+      format: AUDIO_FORMATS[format] ? format : 'video',
+      destination: this.elements.destination?.value === 'folder' ? 'folder' : 'zip'
+    };
+  }
+  
+  handleListClick(e) {
+    const row = e.target.closest('.batch-row');
+    if (!row) return;
+    
+    const item = this.items.find(i => i.id === parseInt(row.dataset.id));
+    if (!item || item.status === 'processing') return;
+    
+    if (e.target.closest('.batch-retry')) {
+      item.status = 'queued';
+      item.error = null;
+      this.render();
+      if (!this.isRunning && !this.isPaused) this.start();
+    } else if (e.target.closest('.batch-save')) {
+      this.exporter.downloadBlob(item.output.blob, item.output.name);
+    } else if (e.target.closest('.batch-remove')) {
+      this.items = this.items.filter(i => i !== item);
+      this.render();
+    }
+  }
+  
+  /**
+   * Remove everything but the item being processed
+   */
+  clear() {
+    this.items = this.items.filter(item => item.status === 'processing');
+    if (this.items.length === 0) this.isPaused = false;
+    this.render();
+  }
+  
+  updateStrength() {
+    const strength = this.elements.strength;
+    if (!strength) return;
+    
+    // Presets such as the EQ ones ignore the strength slider
+    const preset = getPreset(this.elements.preset?.value);
+    strength.disabled = this.isRunning || !preset.controls.includes('strength');
+    if (this.elements.strengthValue) {
+      this.elements.strengthValue.textContent = `${strength.value}%`;
+    }
+  }
+  
+  // Rendering
+  
+  render() {
+    const { panel, format, destination, preset, startBtn, pauseBtn, clearBtn } = this.elements;
+    const hasQueued = this.items.some(item => item.status === 'queued');
+    
+    panel?.toggleAttribute('hidden', this.items.length === 0);
+    
+    // Settings are fixed while an item is being processed
+    for (const control of [preset, format, destination]) {
+      if (control) control.disabled = this.isRunning;
+    }
+    this.updateStrength();
+    
+    if (startBtn) {
+      startBtn.textContent = this.isPaused ? 'Resume' : 'Start';
+      startBtn.disabled = this.isRunning || !hasQueued;
+    }
+    if (pauseBtn) pauseBtn.disabled = !this.isRunning || this.isPaused;
+    if (clearBtn) clearBtn.disabled = this.items.every(item => item.status === 'processing');
+    
+    this.setSummary(this.getSummary());
+    this.renderList();
+  }
+  
+  getSummary() {
+    const count = (status) => this.items.filter(item => item.status === status).length;
+    const failed = count('failed');
+    
+    let summary = `${count('done')} of ${this.items.length} done`;
+    if (failed > 0) summary += `, ${failed} failed`;
+    if (this.isPaused) summary += ' (paused)';
+    return summary;
+  }
+  
+  setSummary(text) {
+    if (this.elements.summary) this.elements.summary.textContent = text;
+  }
+  
+  renderPresets() {
+    const select = this.elements.preset;
+    if (!select) return;
+    
+    const selected = select.value || DEFAULT_SETTINGS.preset;
+    const presets = [
+      ...Object.entries(PRESETS),
+      ...Object.entries(getCustomPresets())
+    ];
+    
+    select.innerHTML = presets
+      .map(([id, preset]) => `<option value="${id}"${id === selected ? ' selected' : ''}>${this.app.ui.escapeHtml(preset.label)}</option>`)
+      .join('');
+  }
+  
+  renderList() {
+    const list = this.elements.list;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    this.items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = `batch-row batch-${item.status}`;
+      row.dataset.id = item.id;
+      row.setAttribute('role', 'listitem');
+      
+      const name = this.app.ui.escapeHtml(item.file.name);
+      const actions = [];
+      if (item.status === 'failed') {
+        actions.push(`<button class="batch-action batch-retry" aria-label="Retry ${name}">Retry</button>`);
+      }
+      if (item.status === 'done' && item.output?.blob) {
+        actions.push(`<button class="batch-action batch-save" aria-label="Save ${name}">Save</button>`);
+      }
+      if (item.status !== 'processing') {
+        actions.push(`<button class="batch-remove" aria-label="Remove ${name}">&times;</button>`);
+      }
+      
+      row.innerHTML = `
+        <span class="batch-name" title="${name}">${name}</span>
+        <span class="batch-size">${this.exporter.formatMegabytes(item.file.size)} MB</span>
+        <progress class="batch-progress" max="100" value="${item.progress}"${item.status === 'processing' ? '' : ' hidden'}></progress>
+        <span class="batch-status"></span>
+        <span class="batch-actions">${actions.join('')}</span>
+      `;
+      
+      list.appendChild(row);
+      this.updateRow(item, row);
+    });
+  }
+  
+  /**
+   * Refresh one row's status and progress without rebuilding the list
+   */
+  updateRow(item, row = this.elements.list?.querySelector(`.batch-row[data-id="${item.id}"]`)) {
+    if (!row) return;
+    
+    const progress = row.querySelector('.batch-progress');
+    if (progress) progress.value = item.progress;
+    
+    const status = row.querySelector('.batch-status');
+    if (!status) return;
+    
+    if (item.status === 'processing') {
+      status.textContent = `${item.message} ${Math.round(item.progress)}%`;
+    } else if (item.status === 'failed') {
+      status.textContent = `${STATUS_LABELS.failed}: ${item.error}`;
+      status.title = item.error;
+    } else if (item.status === 'done' && item.output) {
+      status.textContent = `${STATUS_LABELS.done}: ${item.output.name}`;
+    } else {
+      status.textContent = STATUS_LABELS[item.status];
+    }
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * VidFlow - Chapter Files
+ * Text formats for chapters: WebVTT chapters for a sidecar file next to
+ * an export, and ffmpeg's FFMETADATA for handing chapters and tags to
+ * ffmpeg.wasm. Chapters are { time, label } with times in seconds; each
+ * runs until the next one starts, the last until `duration`.
+ */
+
+/**
+ * A WebVTT file with one cue per chapter
+ */
+export function createChaptersVtt(chapters, duration) {
+  const cues = chapters.map((chapter, i) => {
+    const end = getChapterEnd(chapters, i, duration);
+    // "-->" would end the cue timing line early, and blank lines the cue
+    const label = chapter.label.replace(/-->/g, '->').replace(/\s*\n\s*/g, ' ');
+    return `${i + 1}\n${formatVttTime(chapter.time)} --> ${formatVttTime(end)}\n${label}`;
+  });
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * An FFMETADATA file with the title and comment as global tags and the
+ * chapters in milliseconds
+ */
+export function createFfmetadata({ title = '', comment = '', chapters = [] }, duration) {
+  const lines = [';FFMETADATA1'];
+  if (title) lines.push(`title=${escapeFfmetadata(title)}`);
+  if (comment) lines.push(`comment=${escapeFfmetadata(comment)}`);
+  
+  chapters.forEach((chapter, i) => {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.time * 1000)}`,
+      `END=${Math.round(getChapterEnd(chapters, i, duration) * 1000)}`,
+      `title=${escapeFfmetadata(chapter.label)}`
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+function getChapterEnd(chapters, i, duration) {
+  const next = chapters[i + 1]?.time ?? duration;
+  return Math.max(chapters[i].time, next || 0);
+}
+
+function formatVttTime(seconds) {
+  const milliseconds = Math.round(seconds * 1000);
+  const h = Math.floor(milliseconds / 3600000);
+  const m = Math.floor(milliseconds / 60000) % 60;
+  const s = Math.floor(milliseconds / 1000) % 60;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(milliseconds % 1000, 3)}`;
+}
+
+/**
+ * FFMETADATA escapes '=', ';', '#', '\' and newlines with a backslash
+ */
+function escapeFfmetadata(value) {
+  return value.replace(/[=;#\\\n]/g, char => `\\${char}`);
+}
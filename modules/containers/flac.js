@@ -0,0 +1,421 @@
+/**
+ * VidFlow - FLAC Encoder
+ * Native FLAC streams with fixed 4096-sample blocks, the fixed polynomial
+ * predictors (orders 0-4) chosen per subframe, partitioned Rice coding and
+ * stereo decorrelation. It compresses a little less than libFLAC's LPC
+ * modes but decodes anywhere. The STREAMINFO MD5 is left zeroed, which
+ * the format allows.
+ */
+
+import { quantize } from '../dsp/dither.js';
+
+const BLOCK_SIZE = 4096;
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 8;
+
+// Rice parameters above 14 need the 5-bit parameter coding method
+const RICE_LIMIT = 14;
+const RICE2_LIMIT = 30;
+
+// Frame header codes; other sample rates are read from STREAMINFO
+const SAMPLE_RATE_CODES = {
+  88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+  24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+};
+const SAMPLE_SIZE_CODES = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+
+// Channel assignments for decorrelated stereo
+const LEFT_SIDE = 8;
+const RIGHT_SIDE = 9;
+const MID_SIDE = 10;
+
+const CRC8_TABLE = createCrcTable(0x07, 8);
+const CRC16_TABLE = createCrcTable(0x8005, 16);
+
+/**
+ * Encode planar float channels as a FLAC file of the given integer bit
+ * depth. Progress is reported as a 0-1 fraction of samples encoded.
+ */
+export function encodeFlac(channels, sampleRate, { bitDepth = 16, dither = false, onProgress } = {}) {
+  if (!SAMPLE_SIZE_CODES[bitDepth]) {
+    throw new Error(`FLAC export does not support ${bitDepth}-bit audio`);
+  }
+  if (channels.length < 1 || channels.length > 8) {
+    throw new Error('FLAC carries between 1 and 8 channels');
+  }
+  
+  const samples = channels.map(channel => quantize(channel, bitDepth, { dither }));
+  const length = samples[0].length;
+  const writer = new BitWriter(length * channels.length * bitDepth / 16 + 1024);
+  
+  writeStreamInfo(writer, { sampleRate, channels: channels.length, bitDepth, length });
+  
+  let frameNumber = 0;
+  for (let start = 0; start < length; start += BLOCK_SIZE, frameNumber++) {
+    const block = samples.map(channel => channel.subarray(start, Math.min(start + BLOCK_SIZE, length)));
+    writeFrame(writer, block, frameNumber, sampleRate, bitDepth);
+    
+    if (frameNumber % 64 === 0) onProgress?.(start / length);
+  }
+  
+  onProgress?.(1);
+  return writer.getBytes().slice();
+}
+
+function writeStreamInfo(writer, { sampleRate, channels, bitDepth, length }) {
+  // A stream shorter than one block is a single smaller block
+  const blockSize = Math.max(16, Math.min(BLOCK_SIZE, length));
+  
+  for (const char of 'fLaC') writer.write(char.charCodeAt(0), 8);
+  
+  // Last metadata block, type 0 (STREAMINFO), 34 bytes
+  writer.write(1, 1);
+  writer.write(0, 7);
+  writer.write(34, 24);
+  
+  writer.write(blockSize, 16);
+  writer.write(blockSize, 16);
+  writer.write(0, 24); // minimum frame size unknown
+  writer.write(0, 24); // maximum frame size unknown
+  writer.write(sampleRate, 20);
+  writer.write(channels - 1, 3);
+  writer.write(bitDepth - 1, 5);
+  writer.write(Math.floor(length / 2 ** 32), 4);
+  writer.write(length >>> 0, 32);
+  for (let i = 0; i < 16; i++) writer.write(0, 8); // MD5 not computed
+}
+
+function writeFrame(writer, block, frameNumber, sampleRate, bitDepth) {
+  const blockSize = block[0].length;
+  const { assignment, subframes } = planChannels(block, bitDepth);
+  
+  const frameStart = writer.getByteLength();
+  
+  // Sync code, fixed-blocksize stream
+  writer.write(0x3FFE, 14);
+  writer.write(0, 1);
+  writer.write(0, 1);
+  
+  const blockSizeCode = blockSize === BLOCK_SIZE ? 12 : 7;
+  writer.write(blockSizeCode, 4);
+  writer.write(SAMPLE_RATE_CODES[sampleRate] || 0, 4);
+  writer.write(assignment, 4);
+  writer.write(SAMPLE_SIZE_CODES[bitDepth], 3);
+  writer.write(0, 1);
+  
+  for (const byte of utf8Bytes(frameNumber)) writer.write(byte, 8);
+  if (blockSizeCode === 7) writer.write(blockSize - 1, 16);
+  
+  writer.write(crc(CRC8_TABLE, 8, writer.getBytes(frameStart)), 8);
+  
+  for (const subframe of subframes) writeSubframe(writer, subframe);
+  
+  writer.alignToByte();
+  writer.write(crc(CRC16_TABLE, 16, writer.getBytes(frameStart)), 16);
+}
+
+/**
+ * Pick the cheapest channel assignment for a block. Stereo is tried as
+ * left/right, left/side, right/side and mid/side; the side channel needs
+ * one extra bit.
+ */
+function planChannels(block, bitDepth) {
+  if (block.length !== 2) {
+    return {
+      assignment: block.length - 1,
+      subframes: block.map(channel => planSubframe(channel, bitDepth))
+    };
+  }
+  
+  const [left, right] = block;
+  const mid = new Int32Array(left.length);
+  const side = new Int32Array(left.length);
+  for (let i = 0; i < left.length; i++) {
+    side[i] = left[i] - right[i];
+    mid[i] = (left[i] + right[i]) >> 1;
+  }
+  
+  const leftPlan = planSubframe(left, bitDepth);
+  const rightPlan = planSubframe(right, bitDepth);
+  const midPlan = planSubframe(mid, bitDepth);
+  const sidePlan = planSubframe(side, bitDepth + 1);
+  
+  const options = [
+    { assignment: 1, subframes: [leftPlan, rightPlan] },
+    { assignment: LEFT_SIDE, subframes: [leftPlan, sidePlan] },
+    { assignment: RIGHT_SIDE, subframes: [sidePlan, rightPlan] },
+    { assignment: MID_SIDE, subframes: [midPlan, sidePlan] }
+  ];
+  
+  const cost = ({ subframes }) => subframes[0].bits + subframes[1].bits;
+  return options.reduce((best, option) => cost(option) < cost(best) ? option : best);
+}
+
+/**
+ * Work out how a subframe is best coded: constant, a fixed predictor with
+ * Rice-coded residual, or verbatim when nothing beats it
+ */
+function planSubframe(samples, bitDepth) {
+  const blockSize = samples.length;
+  
+  if (samples.every(value => value === samples[0])) {
+    return { type: 'constant', samples, bitDepth, bits: 8 + bitDepth };
+  }
+  
+  // The order with the smallest total residual is nearly always the one
+  // that Rice codes smallest, so only that one is planned in full
+  let order = 0;
+  let residual = null;
+  let smallest = Infinity;
+  for (let candidate = 0; candidate <= Math.min(MAX_FIXED_ORDER, blockSize - 1); candidate++) {
+    const candidateResidual = fixedResidual(samples, candidate);
+    let total = 0;
+    for (let i = 0; i < candidateResidual.length; i++) total += Math.abs(candidateResidual[i]);
+    if (total < smallest) {
+      smallest = total;
+      order = candidate;
+      residual = candidateResidual;
+    }
+  }
+  
+  const rice = planRice(residual, blockSize, order);
+  const bits = 8 + order * bitDepth + rice.bits;
+  const verbatimBits = 8 + bitDepth * blockSize;
+  
+  return bits < verbatimBits
+    ? { type: 'fixed', samples, bitDepth, order, residual, rice, bits }
+    : { type: 'verbatim', samples, bitDepth, bits: verbatimBits };
+}
+
+function fixedResidual(x, order) {
+  const residual = new Int32Array(x.length - order);
+  const n = x.length;
+  if (order === 0) {
+    residual.set(x);
+  } else if (order === 1) {
+    for (let i = 1; i < n; i++) residual[i - 1] = x[i] - x[i - 1];
+  } else if (order === 2) {
+    for (let i = 2; i < n; i++) residual[i - 2] = x[i] - 2 * x[i - 1] + x[i - 2];
+  } else if (order === 3) {
+    for (let i = 3; i < n; i++) residual[i - 3] = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3];
+  } else {
+    for (let i = 4; i < n; i++) residual[i - 4] = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+  }
+  return residual;
+}
+
+/**
+ * Choose the partition order and per-partition Rice parameters that code
+ * the residual in the fewest bits. Partition sums are taken at the finest
+ * order and merged pairwise for the coarser ones.
+ */
+function planRice(residual, blockSize, predictorOrder) {
+  let maxOrder = 0;
+  while (
+    maxOrder < MAX_PARTITION_ORDER &&
+    blockSize % (2 << maxOrder) === 0 &&
+    (blockSize >> (maxOrder + 1)) > predictorOrder
+  ) {
+    maxOrder++;
+  }
+  
+  // Sums of the zigzagged residual per finest partition
+  const partitionSize = blockSize >> maxOrder;
+  let sums = new Float64Array(1 << maxOrder);
+  let counts = new Float64Array(1 << maxOrder);
+  for (let p = 0, i = 0; p < sums.length; p++) {
+    const end = (p + 1) * partitionSize - predictorOrder;
+    for (; i < end; i++) {
+      const value = residual[i];
+      sums[p] += value >= 0 ? value * 2 : -value * 2 - 1;
+    }
+    counts[p] = p === 0 ? partitionSize - predictorOrder : partitionSize;
+  }
+  
+  let best = null;
+  for (let order = maxOrder; order >= 0; order--) {
+    const parameters = [];
+    let bits = 2 + 4;
+    for (let p = 0; p < sums.length; p++) {
+      const { parameter, cost } = bestParameter(sums[p], counts[p]);
+      parameters.push(parameter);
+      bits += cost;
+    }
+    
+    const method = parameters.some(parameter => parameter > RICE_LIMIT) ? 1 : 0;
+    bits += parameters.length * (method ? 5 : 4);
+    
+    if (!best || bits < best.bits) best = { order, parameters, method, bits };
+    
+    if (order > 0) {
+      const merged = new Float64Array(sums.length / 2);
+      const mergedCounts = new Float64Array(sums.length / 2);
+      for (let p = 0; p < merged.length; p++) {
+        merged[p] = sums[2 * p] + sums[2 * p + 1];
+        mergedCounts[p] = counts[2 * p] + counts[2 * p + 1];
+      }
+      sums = merged;
+      counts = mergedCounts;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Rice parameter with the smallest estimated cost for a partition. The
+ * optimum sits next to log2 of the mean, so only its neighbours are tried.
+ */
+function bestParameter(sum, count) {
+  const mean = sum / Math.max(1, count);
+  const estimate = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+  
+  let best = { parameter: 0, cost: Infinity };
+  for (let parameter = Math.max(0, estimate - 1); parameter <= Math.min(RICE2_LIMIT, estimate + 1); parameter++) {
+    const cost = count * (parameter + 1) + Math.floor(sum / 2 ** parameter);
+    if (cost < best.cost) best = { parameter, cost };
+  }
+  return best;
+}
+
+function writeSubframe(writer, subframe) {
+  const { type, samples, bitDepth } = subframe;
+  
+  // Zero pad bit, subframe type, no wasted bits
+  writer.write(0, 1);
+  writer.write(type === 'constant' ? 0 : type === 'verbatim' ? 1 : 8 | subframe.order, 6);
+  writer.write(0, 1);
+  
+  if (type === 'constant') {
+    writer.write(samples[0], bitDepth);
+    return;
+  }
+  
+  if (type === 'verbatim') {
+    for (let i = 0; i < samples.length; i++) writer.write(samples[i], bitDepth);
+    return;
+  }
+  
+  for (let i = 0; i < subframe.order; i++) writer.write(samples[i], bitDepth);
+  
+  const { order, parameters, method } = subframe.rice;
+  writer.write(method, 2);
+  writer.write(order, 4);
+  
+  const partitionSize = samples.length >> order;
+  let i = 0;
+  parameters.forEach((parameter, p) => {
+    writer.write(parameter, method ? 5 : 4);
+    const end = (p + 1) * partitionSize - subframe.order;
+    for (; i < end; i++) writer.writeRice(subframe.residual[i], parameter);
+  });
+}
+
+/**
+ * The UTF-8 style variable-length coding FLAC uses for frame numbers
+ */
+function utf8Bytes(value) {
+  if (value < 0x80) return [value];
+  
+  let length = 2;
+  while (value >= 2 ** (5 * length + 1)) length++;
+  
+  const bytes = [];
+  for (let i = 1; i < length; i++) {
+    bytes.unshift(0x80 | (value & 0x3F));
+    value = Math.floor(value / 64);
+  }
+  bytes.unshift(((0xFF00 >> length) & 0xFF) | value);
+  return bytes;
+}
+
+function createCrcTable(polynomial, width) {
+  const topBit = 1 << (width - 1);
+  const mask = (1 << width) - 1;
+  return Array.from({ length: 256 }, (_, byte) => {
+    let value = byte << (width - 8);
+    for (let bit = 0; bit < 8; bit++) {
+      value = value & topBit ? (value << 1) ^ polynomial : value << 1;
+    }
+    return value & mask;
+  });
+}
+
+function crc(table, width, bytes) {
+  const mask = (1 << width) - 1;
+  let value = 0;
+  for (const byte of bytes) {
+    value = ((value << 8) ^ table[((value >> (width - 8)) ^ byte) & 0xFF]) & mask;
+  }
+  return value;
+}
+
+/**
+ * MSB-first bit writer over a growing byte array
+ */
+class BitWriter {
+  constructor(capacity) {
+    this.bytes = new Uint8Array(Math.max(1024, Math.ceil(capacity)));
+    this.length = 0;
+    this.accumulator = 0;
+    this.pending = 0;
+  }
+  
+  /**
+   * Write the low `count` bits of a value; negative values are written in
+   * two's complement
+   */
+  write(value, count) {
+    if (count > 24) {
+      this.write(Math.floor(value / 65536), count - 16);
+      this.write(value & 0xFFFF, 16);
+      return;
+    }
+    
+    // At most 7 bits are pending, so this stays within 31 bits
+    this.accumulator = (this.accumulator << count) | (value & ((1 << count) - 1));
+    this.pending += count;
+    while (this.pending >= 8) {
+      this.pending -= 8;
+      this.pushByte((this.accumulator >>> this.pending) & 0xFF);
+    }
+    this.accumulator &= (1 << this.pending) - 1;
+  }
+  
+  writeRice(value, parameter) {
+    const folded = value >= 0 ? value * 2 : -value * 2 - 1;
+    let quotient = Math.floor(folded / 2 ** parameter);
+    
+    // Unary quotient: that many zeros, then a one
+    while (quotient >= 24) {
+      this.write(0, 24);
+      quotient -= 24;
+    }
+    this.write(1, quotient + 1);
+    if (parameter > 0) this.write(folded % 2 ** parameter, parameter);
+  }
+  
+  alignToByte() {
+    if (this.pending > 0) this.write(0, 8 - this.pending);
+  }
+  
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+  
+  getByteLength() {
+    return this.length;
+  }
+  
+  /**
+   * Whole bytes written so far, from `start`
+   */
+  getBytes(start = 0) {
+    return this.bytes.subarray(start, this.length);
+  }
+}
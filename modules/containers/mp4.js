@@ -0,0 +1,629 @@
+/**
+ * VidFlow - MP4 Container
+ * Just enough ISO BMFF to copy the video track of an MP4/MOV file next to
+ * a newly encoded audio track: a demuxer for progressive (non-fragmented)
+ * files and a muxer that writes the media data followed by the movie box.
+ * Title, comment and chapters go in the movie's user data, as iTunes-style
+ * metadata and a Nero chapter list.
+ */
+
+// Samples are grouped into chunks of about this many seconds, interleaved
+// between the tracks
+const CHUNK_SECONDS = 0.5;
+
+// Largest value a 32-bit box field can hold
+const UINT32_MAX = 0xFFFFFFFF;
+
+// Identity transform in tkhd/mvhd
+const UNITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+// Nero chapter start times are in 100 ns units
+const CHAPTER_TIMESCALE = 1e7;
+
+// Chapter count and title length are single bytes in chpl
+const MAX_CHAPTERS = 255;
+const MAX_CHAPTER_TITLE = 255;
+
+// iTunes metadata data atom type for UTF-8 text
+const DATA_TYPE_UTF8 = 1;
+
+// MPEG-4 audio sampling frequency indices (AudioSpecificConfig)
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * Read the movie timescale and the first video track of a whole MP4 file.
+ * The track carries the boxes copied as they are (tkhd, edts, mdhd, hdlr,
+ * stsd), the media time its edit list starts at and its samples as
+ * { offset, size, dts, cts, duration, isSync }, times in the track's
+ * timescale.
+ */
+export function demuxMp4(buffer) {
+  const view = new DataView(buffer);
+  const moov = requireBox(readBoxes(view, 0, view.byteLength), 'moov');
+  const movie = readChildren(view, moov);
+  if (movie.some(box => box.type === 'mvex')) {
+    throw new Error('Fragmented MP4 is not supported');
+  }
+  
+  const bytes = (box) => box ? new Uint8Array(buffer, box.start, box.end - box.start) : null;
+  
+  for (const trak of movie.filter(box => box.type === 'trak')) {
+    const track = readChildren(view, trak);
+    const media = readChildren(view, requireBox(track, 'mdia'));
+    const hdlr = requireBox(media, 'hdlr');
+    if (readType(view, payloadStart(hdlr) + 4) !== 'vide') continue;
+    
+    const mdhd = requireBox(media, 'mdhd');
+    const edts = track.find(box => box.type === 'edts');
+    const stbl = readChildren(view, requireBox(readChildren(view, requireBox(media, 'minf')), 'stbl'));
+    
+    return {
+      timescale: readTimescale(view, requireBox(movie, 'mvhd')),
+      video: {
+        timescale: readTimescale(view, mdhd),
+        tkhd: bytes(requireBox(track, 'tkhd')),
+        edts: bytes(edts),
+        mediaTime: edts ? readMediaTime(view, edts) : 0,
+        mdhd: bytes(mdhd),
+        hdlr: bytes(hdlr),
+        stsd: bytes(requireBox(stbl, 'stsd')),
+        samples: readSamples(view, stbl)
+      }
+    };
+  }
+  
+  throw new Error('No video track found');
+}
+
+/**
+ * Write an MP4 with the demuxed video track and encoded audio tracks.
+ * `video` is the demuxer's track with each sample's `data` filled in; a
+ * track without `edts` gets an edit list skipping its first `skip` units.
+ * Each of `audioTracks` is { codec: 'aac' | 'opus', sampleRate, channels,
+ * description, priming, bitrate, samples, name? }, its sample times in
+ * sample frames. The first audio track plays by default. `metadata` is
+ * { title, comment, chapters }, with chapters as { time, label } in
+ * seconds. Returns a Blob that references the sample data rather than
+ * copying it.
+ */
+export function muxMp4({ timescale, video, audioTracks, metadata = null }) {
+  const tracks = [
+    { id: 1, timescale: video.timescale, samples: video.samples, skip: video.edts ? 0 : video.skip || 0 },
+    ...audioTracks.map((audio, i) => ({ id: i + 2, timescale: audio.sampleRate, samples: audio.samples, skip: audio.priming }))
+  ];
+  for (const track of tracks) {
+    track.duration = getTrackDuration(track.samples);
+    track.movieDuration = Math.round(Math.max(0, track.duration - track.skip) * timescale / track.timescale);
+    track.chunks = groupChunks(track);
+  }
+  
+  const ftyp = box('ftyp', ascii('isom'), uint32(0x200), ascii('isom'), ascii('iso2'), ascii('mp41'));
+  
+  // Interleave the chunks by time and lay them out in the media data
+  const chunks = tracks.flatMap(track => track.chunks)
+    .sort((a, b) => a.time - b.time);
+  const mediaSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+  const mdatHeader = mediaSize + 8 > UINT32_MAX
+    ? concat([uint32(1), ascii('mdat'), uint64(mediaSize + 16)])
+    : concat([uint32(mediaSize + 8), ascii('mdat')]);
+  
+  let offset = ftyp.length + mdatHeader.length;
+  const parts = [ftyp, mdatHeader];
+  for (const chunk of chunks) {
+    chunk.offset = offset;
+    for (const sample of chunk.samples) parts.push(sample.data);
+    offset += chunk.size;
+  }
+  
+  const moov = box('moov',
+    writeMvhd(timescale, Math.max(...tracks.map(track => track.movieDuration)), tracks.length + 1),
+    writeVideoTrak(video, tracks[0]),
+    ...audioTracks.map((audio, i) => writeAudioTrak(audio, tracks[i + 1], i === 0)),
+    metadata ? writeUdta(metadata) : []
+  );
+  parts.push(moov);
+  
+  return new Blob(parts, { type: 'video/mp4' });
+}
+
+// Reading
+
+function readBoxes(view, start, end) {
+  const boxes = [];
+  let position = start;
+  while (position + 8 <= end) {
+    let size = view.getUint32(position);
+    const type = readType(view, position + 4);
+    let header = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(position + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < header || position + size > end) {
+      throw new Error(`Truncated '${type}' box`);
+    }
+    
+    boxes.push({ type, start: position, header, end: position + size });
+    position += size;
+  }
+  return boxes;
+}
+
+function readChildren(view, parent) {
+  return readBoxes(view, parent.start + parent.header, parent.end);
+}
+
+function requireBox(boxes, type) {
+  const found = boxes.find(box => box.type === type);
+  if (!found) throw new Error(`Missing '${type}' box`);
+  return found;
+}
+
+function readType(view, position) {
+  return String.fromCharCode(
+    view.getUint8(position), view.getUint8(position + 1),
+    view.getUint8(position + 2), view.getUint8(position + 3)
+  );
+}
+
+/**
+ * Start of a full box's fields, after its version and flags
+ */
+function payloadStart(box) {
+  return box.start + box.header + 4;
+}
+
+/**
+ * Timescale of an mvhd or mdhd box
+ */
+function readTimescale(view, box) {
+  const version = view.getUint8(box.start + box.header);
+  return view.getUint32(payloadStart(box) + (version === 1 ? 16 : 8));
+}
+
+/**
+ * Media time of the first edit that isn't an empty one
+ */
+function readMediaTime(view, edts) {
+  const elst = readChildren(view, edts).find(box => box.type === 'elst');
+  if (!elst) return 0;
+  
+  const version = view.getUint8(elst.start + elst.header);
+  const count = view.getUint32(payloadStart(elst));
+  const entrySize = version === 1 ? 20 : 12;
+  for (let i = 0; i < count; i++) {
+    const entry = payloadStart(elst) + 4 + i * entrySize;
+    const mediaTime = version === 1
+      ? Number(view.getBigInt64(entry + 8))
+      : view.getInt32(entry + 4);
+    if (mediaTime >= 0) return mediaTime;
+  }
+  return 0;
+}
+
+/**
+ * Flatten a sample table into per-sample offsets, sizes and times
+ */
+function readSamples(view, stbl) {
+  const find = (type) => stbl.find(box => box.type === type);
+  
+  const stsz = find('stsz');
+  if (!stsz) throw new Error('Unsupported sample size table');
+  let p = payloadStart(stsz);
+  const fixedSize = view.getUint32(p);
+  const count = view.getUint32(p + 4);
+  const sizes = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    sizes[i] = fixedSize || view.getUint32(p + 8 + i * 4);
+  }
+  
+  const chunkOffsets = [];
+  const stco = find('stco');
+  const co64 = find('co64');
+  if (stco) {
+    p = payloadStart(stco);
+    const chunkCount = view.getUint32(p);
+    for (let i = 0; i < chunkCount; i++) chunkOffsets.push(view.getUint32(p + 4 + i * 4));
+  } else if (co64) {
+    p = payloadStart(co64);
+    const chunkCount = view.getUint32(p);
+    for (let i = 0; i < chunkCount; i++) chunkOffsets.push(Number(view.getBigUint64(p + 4 + i * 8)));
+  } else {
+    throw new Error('Missing chunk offsets');
+  }
+  
+  // Samples run on from their chunk's offset
+  const offsets = new Float64Array(count);
+  p = payloadStart(requireBox(stbl, 'stsc'));
+  const entryCount = view.getUint32(p);
+  let sample = 0;
+  for (let e = 0; e < entryCount; e++) {
+    const entry = p + 4 + e * 12;
+    const firstChunk = view.getUint32(entry) - 1;
+    const perChunk = view.getUint32(entry + 4);
+    const nextChunk = e + 1 < entryCount ? view.getUint32(entry + 12) - 1 : chunkOffsets.length;
+    for (let chunk = firstChunk; chunk < nextChunk && sample < count; chunk++) {
+      let offset = chunkOffsets[chunk];
+      for (let s = 0; s < perChunk && sample < count; s++) {
+        offsets[sample] = offset;
+        offset += sizes[sample++];
+      }
+    }
+  }
+  
+  const durations = new Uint32Array(count);
+  p = payloadStart(requireBox(stbl, 'stts'));
+  sample = 0;
+  for (let e = 0, n = view.getUint32(p); e < n; e++) {
+    const runLength = view.getUint32(p + 4 + e * 8);
+    const delta = view.getUint32(p + 8 + e * 8);
+    for (let i = 0; i < runLength && sample < count; i++) durations[sample++] = delta;
+  }
+  
+  // Composition offsets are read as signed, as most writers intend
+  const compositionOffsets = new Int32Array(count);
+  const ctts = find('ctts');
+  if (ctts) {
+    p = payloadStart(ctts);
+    sample = 0;
+    for (let e = 0, n = view.getUint32(p); e < n; e++) {
+      const runLength = view.getUint32(p + 4 + e * 8);
+      const offset = view.getInt32(p + 8 + e * 8);
+      for (let i = 0; i < runLength && sample < count; i++) compositionOffsets[sample++] = offset;
+    }
+  }
+  
+  // Without a sync sample table every sample is a sync sample
+  const stss = find('stss');
+  let syncSamples = null;
+  if (stss) {
+    p = payloadStart(stss);
+    syncSamples = new Set();
+    for (let i = 0, n = view.getUint32(p); i < n; i++) syncSamples.add(view.getUint32(p + 4 + i * 4) - 1);
+  }
+  
+  const samples = [];
+  let dts = 0;
+  for (let i = 0; i < count; i++) {
+    samples.push({
+      offset: offsets[i],
+      size: sizes[i],
+      dts,
+      cts: dts + compositionOffsets[i],
+      duration: durations[i],
+      isSync: !syncSamples || syncSamples.has(i)
+    });
+    dts += durations[i];
+  }
+  return samples;
+}
+
+// Writing
+
+function getTrackDuration(samples) {
+  if (samples.length === 0) return 0;
+  const last = samples[samples.length - 1];
+  return last.dts + last.duration - samples[0].dts;
+}
+
+/**
+ * Consecutive samples in chunks of about CHUNK_SECONDS, with their start
+ * time in seconds for interleaving
+ */
+function groupChunks(track) {
+  const chunks = [];
+  const span = CHUNK_SECONDS * track.timescale;
+  let chunk = null;
+  for (const sample of track.samples) {
+    if (!chunk || sample.dts - chunk.samples[0].dts >= span) {
+      chunk = { track: track.id, time: sample.dts / track.timescale, samples: [], size: 0, offset: 0 };
+      chunks.push(chunk);
+    }
+    chunk.samples.push(sample);
+    chunk.size += sample.data.length;
+  }
+  return chunks;
+}
+
+function writeMvhd(timescale, duration, nextTrackId) {
+  const version = duration > UINT32_MAX ? 1 : 0;
+  return fullBox('mvhd', version, 0,
+    version ? [uint64(0), uint64(0), uint32(timescale), uint64(duration)] : [uint32(0), uint32(0), uint32(timescale), uint32(duration)],
+    uint32(0x00010000),
+    uint16(0x0100),
+    new Uint8Array(10),
+    UNITY_MATRIX.map(uint32),
+    new Uint8Array(24),
+    uint32(nextTrackId)
+  );
+}
+
+/**
+ * The source's video track with fresh sample tables, and its track ID and
+ * durations patched
+ */
+function writeVideoTrak(video, track) {
+  const tkhd = video.tkhd.slice();
+  const tkhdView = new DataView(tkhd.buffer);
+  const tkhdVersion = tkhd[8];
+  const idOffset = 12 + (tkhdVersion === 1 ? 16 : 8);
+  tkhdView.setUint32(idOffset, track.id);
+  if (tkhdVersion === 1) {
+    tkhdView.setBigUint64(idOffset + 8, BigInt(track.movieDuration));
+  } else {
+    tkhdView.setUint32(idOffset + 8, Math.min(UINT32_MAX, track.movieDuration));
+  }
+  
+  const mdhd = video.mdhd.slice();
+  const mdhdView = new DataView(mdhd.buffer);
+  if (mdhd[8] === 1) {
+    mdhdView.setBigUint64(32, BigInt(track.duration));
+  } else {
+    mdhdView.setUint32(24, Math.min(UINT32_MAX, track.duration));
+  }
+  
+  return box('trak',
+    tkhd,
+    video.edts || (track.skip ? writeEdts(track) : []),
+    box('mdia',
+      mdhd,
+      video.hdlr,
+      box('minf',
+        fullBox('vmhd', 0, 1, new Uint8Array(8)),
+        writeDinf(),
+        writeStbl(video.stsd, track)
+      )
+    )
+  );
+}
+
+/**
+ * Edit list presenting a track from `skip` onwards
+ */
+function writeEdts(track) {
+  return box('edts',
+    fullBox('elst', 0, 0, uint32(1), uint32(Math.min(UINT32_MAX, track.movieDuration)), uint32(track.skip), uint16(1), uint16(0))
+  );
+}
+
+/**
+ * An audio track. Audio tracks share alternate group 1, so players pick
+ * the enabled one; the handler name carries the track's name.
+ */
+function writeAudioTrak(audio, track, isEnabled) {
+  const movieDuration = Math.min(UINT32_MAX, track.movieDuration);
+  
+  return box('trak',
+    // Flags: in movie, plus enabled
+    fullBox('tkhd', 0, isEnabled ? 3 : 2,
+      uint32(0), uint32(0), uint32(track.id), uint32(0), uint32(movieDuration),
+      new Uint8Array(8),
+      uint16(0), uint16(1), uint16(0x0100), uint16(0),
+      UNITY_MATRIX.map(uint32),
+      uint32(0), uint32(0)
+    ),
+    // The edit list skips the encoder's priming samples
+    writeEdts(track),
+    box('mdia',
+      fullBox('mdhd', 0, 0, uint32(0), uint32(0), uint32(track.timescale), uint32(Math.min(UINT32_MAX, track.duration)), uint16(0x55C4), uint16(0)),
+      fullBox('hdlr', 0, 0, uint32(0), ascii('soun'), new Uint8Array(12), utf8(`${audio.name || 'SoundHandler'}\0`)),
+      box('minf',
+        fullBox('smhd', 0, 0, uint16(0), uint16(0)),
+        writeDinf(),
+        writeStbl(fullBox('stsd', 0, 0, uint32(1), writeAudioSampleEntry(audio)), track)
+      )
+    )
+  );
+}
+
+function writeDinf() {
+  return box('dinf', fullBox('dref', 0, 0, uint32(1), fullBox('url ', 0, 1)));
+}
+
+/**
+ * Movie user data: title and comment as an iTunes metadata list, which
+ * most players show, and the chapters as a Nero chapter list
+ */
+function writeUdta({ title = '', comment = '', chapters = [] }) {
+  const items = [['\u00A9nam', title], ['\u00A9cmt', comment], ['\u00A9too', 'VidFlow']]
+    .filter(([, value]) => value)
+    .map(([type, value]) => box(type, fullBox('data', 0, DATA_TYPE_UTF8, uint32(0), utf8(value))));
+  
+  const boxes = [
+    fullBox('meta', 0, 0,
+      fullBox('hdlr', 0, 0, uint32(0), ascii('mdir'), ascii('appl'), new Uint8Array(8), uint8(0)),
+      box('ilst', items)
+    )
+  ];
+  
+  if (chapters.length) {
+    const entries = chapters.slice(0, MAX_CHAPTERS).map(chapter => {
+      const title = utf8(chapter.label).subarray(0, MAX_CHAPTER_TITLE);
+      return [uint64(Math.round(chapter.time * CHAPTER_TIMESCALE)), uint8(title.length), title];
+    });
+    boxes.push(fullBox('chpl', 1, 0, uint32(0), uint8(entries.length), entries));
+  }
+  
+  return box('udta', boxes);
+}
+
+function writeAudioSampleEntry(audio) {
+  const fields = [
+    new Uint8Array(6), uint16(1),
+    new Uint8Array(8),
+    uint16(audio.channels), uint16(16), uint16(0), uint16(0),
+    uint32(getEntrySampleRate(audio.sampleRate) * 0x10000)
+  ];
+  
+  if (audio.codec === 'opus') {
+    return box('Opus', fields, writeDops(audio));
+  }
+  return box('mp4a', fields, writeEsds(audio));
+}
+
+/**
+ * The sample entry holds the rate as 16.16 fixed point, so 65536 Hz and up
+ * don't fit. ISO/IEC 14496-12 lets the field hold an integer division of
+ * the real rate instead, which the mdhd timescale and the decoder config
+ * still carry: halve it until it fits, 96 kHz becoming 48 kHz
+ */
+function getEntrySampleRate(sampleRate) {
+  let rate = sampleRate;
+  while (rate > 0xFFFF) rate = Math.floor(rate / 2);
+  return rate;
+}
+
+/**
+ * Elementary stream descriptor carrying the AudioSpecificConfig
+ */
+function writeEsds(audio) {
+  const config = audio.description || createAudioSpecificConfig(audio.sampleRate, audio.channels);
+  const descriptor = (tag, ...parts) => {
+    const body = concat(parts.flat());
+    // Sizes always take the four byte form
+    const size = body.length;
+    return concat([uint8(tag), uint8(0x80 | (size >> 21) & 0x7F), uint8(0x80 | (size >> 14) & 0x7F), uint8(0x80 | (size >> 7) & 0x7F), uint8(size & 0x7F), body]);
+  };
+  
+  return fullBox('esds', 0, 0,
+    descriptor(0x03, uint16(0), uint8(0),
+      descriptor(0x04, uint8(0x40), uint8(0x15), new Uint8Array(3), uint32(audio.bitrate), uint32(audio.bitrate),
+        descriptor(0x05, config)
+      ),
+      descriptor(0x06, uint8(0x02))
+    )
+  );
+}
+
+/**
+ * AAC-LC AudioSpecificConfig, for encoders that don't supply one
+ */
+function createAudioSpecificConfig(sampleRate, channels) {
+  const frequencyIndex = AAC_SAMPLE_RATES.indexOf(sampleRate);
+  if (frequencyIndex < 0) throw new Error(`AAC cannot carry ${sampleRate} Hz audio`);
+  return new Uint8Array([(2 << 3) | (frequencyIndex >> 1), ((frequencyIndex & 1) << 7) | (channels << 3)]);
+}
+
+/**
+ * Opus specific box, from the encoder's OpusHead
+ */
+function writeDops(audio) {
+  return box('dOps',
+    uint8(0),
+    uint8(audio.channels),
+    uint16(audio.priming),
+    uint32(audio.inputSampleRate || audio.sampleRate),
+    uint16(0),
+    uint8(0)
+  );
+}
+
+function writeStbl(stsd, track) {
+  const { samples, chunks } = track;
+  
+  const timeToSample = runLengths(samples.map(sample => sample.duration));
+  const compositionOffsets = runLengths(samples.map(sample => sample.cts - sample.dts));
+  const hasCompositionOffsets = compositionOffsets.some(([, offset]) => offset !== 0);
+  const syncSamples = [];
+  samples.forEach((sample, i) => {
+    if (sample.isSync) syncSamples.push(i + 1);
+  });
+  
+  const sizes = samples.map(sample => sample.data.length);
+  const fixedSize = sizes.every(size => size === sizes[0]) ? sizes[0] || 0 : 0;
+  
+  const perChunk = [];
+  chunks.forEach((chunk, i) => {
+    if (i === 0 || chunk.samples.length !== chunks[i - 1].samples.length) {
+      perChunk.push([i + 1, chunk.samples.length]);
+    }
+  });
+  
+  const useLargeOffsets = chunks.some(chunk => chunk.offset > UINT32_MAX);
+  
+  return box('stbl',
+    stsd,
+    fullBox('stts', 0, 0, uint32(timeToSample.length), timeToSample.map(([count, value]) => [uint32(count), uint32(value)])),
+    hasCompositionOffsets
+      ? fullBox('ctts', 1, 0, uint32(compositionOffsets.length), compositionOffsets.map(([count, value]) => [uint32(count), int32(value)]))
+      : [],
+    syncSamples.length < samples.length ? fullBox('stss', 0, 0, uint32(syncSamples.length), syncSamples.map(uint32)) : [],
+    fullBox('stsz', 0, 0, uint32(fixedSize), uint32(samples.length), fixedSize ? [] : sizes.map(uint32)),
+    fullBox('stsc', 0, 0, uint32(perChunk.length), perChunk.map(([first, count]) => [uint32(first), uint32(count), uint32(1)])),
+    useLargeOffsets
+      ? fullBox('co64', 0, 0, uint32(chunks.length), chunks.map(chunk => uint64(chunk.offset)))
+      : fullBox('stco', 0, 0, uint32(chunks.length), chunks.map(chunk => uint32(chunk.offset)))
+  );
+}
+
+/**
+ * [count, value] runs of equal neighbouring values
+ */
+function runLengths(values) {
+  const runs = [];
+  for (const value of values) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === value) {
+      last[0]++;
+    } else {
+      runs.push([1, value]);
+    }
+  }
+  return runs;
+}
+
+function box(type, ...parts) {
+  const body = concat(parts.flat(Infinity));
+  return concat([uint32(body.length + 8), ascii(type), body]);
+}
+
+function fullBox(type, version, flags, ...parts) {
+  return box(type, uint8(version), uint8(flags >> 16), uint16(flags & 0xFFFF), ...parts);
+}
+
+function concat(parts) {
+  const flat = parts.flat(Infinity);
+  const result = new Uint8Array(flat.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of flat) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function uint8(value) {
+  return new Uint8Array([value]);
+}
+
+function uint16(value) {
+  return new Uint8Array([(value >> 8) & 0xFF, value & 0xFF]);
+}
+
+function uint32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+function int32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setInt32(0, value);
+  return bytes;
+}
+
+function uint64(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(value));
+  return bytes;
+}
+
+function utf8(text) {
+  return new TextEncoder().encode(text);
+}
+
+function ascii(text) {
+  return Uint8Array.from(text, char => char.charCodeAt(0));
+}
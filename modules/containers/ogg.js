@@ -0,0 +1,167 @@
+/**
+ * VidFlow - Ogg Container
+ * Ogg Opus (RFC 7845) writer for the packets AudioEncoder produces: the
+ * OpusHead and OpusTags header pages, then audio pages of about a second
+ * each with granule positions that trim the encoder's priming and padding.
+ */
+
+// Opus granule positions always count 48 kHz samples
+const GRANULE_RATE = 48000;
+
+// Audio pages are closed after this many granules (or 255 lacing values)
+const PAGE_GRANULES = GRANULE_RATE;
+
+const MAX_SEGMENTS = 255;
+
+const FLAG_BOS = 0x02;
+const FLAG_EOS = 0x04;
+
+const VENDOR = 'VidFlow';
+
+const CRC_TABLE = createCrcTable();
+
+/**
+ * Mux Opus packets into an Ogg file. `audio` is { channels,
+ * inputSampleRate, description, priming, length, packets } with packet
+ * times in microseconds and `length` the real duration in 48 kHz samples.
+ */
+export function muxOggOpus(audio) {
+  const { channels, packets } = audio;
+  if (channels > 2 && !audio.description) {
+    throw new Error('Ogg Opus needs a channel mapping for more than two channels');
+  }
+  
+  const serial = (Math.random() * 0x100000000) >>> 0;
+  const pages = [];
+  let sequence = 0;
+  
+  const writePage = (segments, granule, flags) => {
+    pages.push(createPage(segments, granule, flags, serial, sequence++));
+  };
+  
+  writePage([audio.description || createOpusHead(audio)], 0, FLAG_BOS);
+  writePage([createOpusTags()], 0, 0);
+  
+  const toGranules = (microseconds) => Math.round(microseconds * GRANULE_RATE / 1e6);
+  const end = audio.priming + audio.length;
+  
+  let page = [];
+  let lacingValues = 0;
+  let pageStart = 0;
+  let granule = 0;
+  
+  packets.forEach((packet, i) => {
+    const isLast = i === packets.length - 1;
+    const packetLacing = Math.floor(packet.data.length / 255) + 1;
+    if (page.length > 0 && lacingValues + packetLacing > MAX_SEGMENTS) {
+      writePage(page, granule, 0);
+      page = [];
+      lacingValues = 0;
+      pageStart = granule;
+    }
+    
+    page.push(packet.data);
+    lacingValues += packetLacing;
+    // Packet times already count the priming, which granules include too
+    granule = toGranules(packet.timestamp + (packet.duration || 0));
+    
+    // The last page's granule marks where the real audio ends, so the
+    // decoder drops the encoder's padding
+    if (isLast) {
+      writePage(page, Math.min(granule, end), FLAG_EOS);
+    } else if (granule - pageStart >= PAGE_GRANULES) {
+      writePage(page, granule, 0);
+      page = [];
+      lacingValues = 0;
+      pageStart = granule;
+    }
+  });
+  
+  return new Blob(pages, { type: 'audio/ogg' });
+}
+
+/**
+ * One Ogg page holding whole packets
+ */
+function createPage(packets, granule, flags, serial, sequence) {
+  const lacing = [];
+  for (const packet of packets) {
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    lacing.push(remaining);
+  }
+  
+  const bodyLength = packets.reduce((sum, packet) => sum + packet.length, 0);
+  const page = new Uint8Array(27 + lacing.length + bodyLength);
+  const view = new DataView(page.buffer);
+  
+  page.set([0x4F, 0x67, 0x67, 0x53]); // OggS
+  view.setUint8(4, 0);
+  view.setUint8(5, flags);
+  view.setUint32(6, granule >>> 0, true);
+  view.setUint32(10, Math.floor(granule / 0x100000000), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  view.setUint8(26, lacing.length);
+  page.set(lacing, 27);
+  
+  let offset = 27 + lacing.length;
+  for (const packet of packets) {
+    page.set(packet, offset);
+    offset += packet.length;
+  }
+  
+  // The checksum is computed with its own field zeroed
+  view.setUint32(22, crc32(page), true);
+  return page;
+}
+
+/**
+ * OpusHead for encoders that don't supply one (mapping family 0, so mono
+ * or stereo)
+ */
+function createOpusHead(audio) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(Uint8Array.from('OpusHead', char => char.charCodeAt(0)));
+  view.setUint8(8, 1);
+  view.setUint8(9, audio.channels);
+  view.setUint16(10, audio.priming, true);
+  view.setUint32(12, audio.inputSampleRate || GRANULE_RATE, true);
+  return head;
+}
+
+function createOpusTags() {
+  const vendor = new TextEncoder().encode(VENDOR);
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  const view = new DataView(tags.buffer);
+  tags.set(Uint8Array.from('OpusTags', char => char.charCodeAt(0)));
+  view.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+  view.setUint32(12 + vendor.length, 0, true);
+  return tags;
+}
+
+/**
+ * Ogg's CRC-32: polynomial 0x04C11DB7, unreflected, no final XOR
+ */
+function createCrcTable() {
+  return Uint32Array.from({ length: 256 }, (_, byte) => {
+    let value = byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      value = value & 0x80000000 ? (value << 1) ^ 0x04C11DB7 : value << 1;
+    }
+    return value >>> 0;
+  });
+}
+
+function crc32(bytes) {
+  let value = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    value = ((value << 8) ^ CRC_TABLE[((value >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+  }
+  return value;
+}
@@ -0,0 +1,294 @@
+/**
+ * VidFlow - WAV Container
+ * RIFF/WAVE writer for 16/24-bit integer and 32-bit float PCM. More than
+ * two channels get a WAVE_FORMAT_EXTENSIBLE header with the standard
+ * speaker layout. Files past 4 GB are written as RF64 (EBU Tech 3306),
+ * with the real sizes in a ds64 chunk. Title, comment and chapters go in
+ * BWF bext, LIST INFO and cue chunks with labels.
+ */
+
+import { quantize } from '../dsp/dither.js';
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// KSDATAFORMAT_SUBTYPE_PCM / _IEEE_FLOAT, less the leading format code
+const SUBFORMAT_GUID_TAIL = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71];
+
+// dwChannelMask for the usual layouts: FL FR FC LFE BL BR ...
+const CHANNEL_MASKS = { 3: 0x7, 4: 0x33, 5: 0x37, 6: 0x3F, 7: 0x13F, 8: 0x63F };
+
+// Sample frames per chunk of the data, at most 2 MB for 8 float channels
+export const WAV_CHUNK_FRAMES = 65536;
+
+const MAX_32 = 0xFFFFFFFF;
+
+// BWF bext: fixed fields up to CodingHistory, written as version 1
+const BEXT_LENGTH = 602;
+const BEXT_VERSION = 1;
+
+// Samples can go straight into typed arrays when the platform's byte order
+// is already WAV's
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+/**
+ * The header of a WAV file of `length` sample frames, everything ahead of
+ * the samples. The samples are written separately with encodeWavFrames(),
+ * a stretch at a time, so memory use doesn't grow with the length.
+ * `bitDepth` is 16, 24 or 32; 32 is always float. `metadata` is { title,
+ * comment, chapters, startTime }, with chapters as { time, label } and
+ * times in seconds; startTime places the file on the source's timeline.
+ */
+export function createWavHeader(numChannels, sampleRate, length, { bitDepth = 16, metadata = null } = {}) {
+  const metadataChunks = metadata ? createMetadataChunks(metadata, sampleRate, length) : [];
+  return createHeader(numChannels, sampleRate, bitDepth, length, metadataChunks);
+}
+
+/**
+ * Interleave a stretch of planar float channels into WAV sample frames.
+ * `dither` applies to the integer depths.
+ */
+export function encodeWavFrames(channels, { bitDepth = 16, dither = false } = {}) {
+  const count = channels[0]?.length || 0;
+  const chunk = new Uint8Array(count * channels.length * bitDepth / 8);
+  channels.forEach((samples, c) => {
+    writeChannel(chunk, samples, c, channels.length, bitDepth, dither);
+  });
+  return chunk;
+}
+
+/**
+ * Bytes in the WAV file createWavHeader() heads for these dimensions,
+ * less any metadata
+ */
+export function getWavSize(length, numChannels, bitDepth) {
+  const dataLength = length * numChannels * bitDepth / 8;
+  return getHeaderLength(numChannels, bitDepth, dataLength, 0) + dataLength;
+}
+
+function getHeaderLength(numChannels, bitDepth, dataLength, metadataLength) {
+  const { fmtLength, factLength, ds64Length } = getLayout(numChannels, bitDepth, dataLength, metadataLength);
+  return 12 + ds64Length + 8 + fmtLength + factLength + metadataLength + 8;
+}
+
+/**
+ * Chunk sizes ahead of the data. fmt is 16 bytes for PCM, 18 for float
+ * (cbSize) and 40 when extensible; non-PCM formats also need a fact chunk,
+ * and RF64 files a ds64 chunk.
+ */
+function getLayout(numChannels, bitDepth, dataLength, metadataLength) {
+  const float = bitDepth === 32;
+  const extensible = numChannels > 2;
+  const fmtLength = extensible ? 40 : float ? 18 : 16;
+  const factLength = float ? 12 : 0;
+  
+  // ds64 holds the RIFF, data and sample counts as 64-bit values, plus an
+  // empty table of other large chunks
+  const rf64 = 4 + 8 + fmtLength + factLength + metadataLength + 8 + dataLength > MAX_32;
+  const ds64Length = rf64 ? 8 + 28 : 0;
+  
+  return { float, extensible, fmtLength, factLength, ds64Length, rf64 };
+}
+
+function createHeader(numChannels, sampleRate, bitDepth, length, metadataChunks) {
+  const blockAlign = numChannels * bitDepth / 8;
+  const dataLength = length * blockAlign;
+  const metadataLength = metadataChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const { float, extensible, fmtLength, factLength, ds64Length, rf64 } = getLayout(numChannels, bitDepth, dataLength, metadataLength);
+  const headerLength = getHeaderLength(numChannels, bitDepth, dataLength, metadataLength);
+  const riffLength = headerLength - 8 + dataLength;
+  const formatTag = float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM;
+  
+  const header = new Uint8Array(headerLength);
+  const view = new DataView(header.buffer);
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      header[offset + i] = string.charCodeAt(i);
+    }
+  };
+  
+  // RF64 leaves -1 in every 32-bit size that overflowed
+  writeString(0, rf64 ? 'RF64' : 'RIFF');
+  view.setUint32(4, rf64 ? MAX_32 : riffLength, true);
+  writeString(8, 'WAVE');
+  
+  let offset = 12;
+  if (rf64) {
+    writeString(offset, 'ds64');
+    view.setUint32(offset + 4, 28, true);
+    view.setBigUint64(offset + 8, BigInt(riffLength), true);
+    view.setBigUint64(offset + 16, BigInt(dataLength), true);
+    view.setBigUint64(offset + 24, BigInt(length), true);
+    view.setUint32(offset + 32, 0, true);
+    offset += ds64Length;
+  }
+  
+  writeString(offset, 'fmt ');
+  view.setUint32(offset + 4, fmtLength, true);
+  view.setUint16(offset + 8, extensible ? WAVE_FORMAT_EXTENSIBLE : formatTag, true);
+  view.setUint16(offset + 10, numChannels, true);
+  view.setUint32(offset + 12, sampleRate, true);
+  view.setUint32(offset + 16, sampleRate * blockAlign, true);
+  view.setUint16(offset + 20, blockAlign, true);
+  view.setUint16(offset + 22, bitDepth, true);
+  if (extensible) {
+    view.setUint16(offset + 24, 22, true);
+    view.setUint16(offset + 26, bitDepth, true);
+    view.setUint32(offset + 28, CHANNEL_MASKS[numChannels] || 0, true);
+    view.setUint16(offset + 32, formatTag, true);
+    header.set(SUBFORMAT_GUID_TAIL, offset + 34);
+  } else if (float) {
+    view.setUint16(offset + 24, 0, true);
+  }
+  offset += 8 + fmtLength;
+  
+  if (float) {
+    writeString(offset, 'fact');
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, Math.min(length, MAX_32), true);
+    offset += factLength;
+  }
+  
+  for (const chunk of metadataChunks) {
+    header.set(chunk, offset);
+    offset += chunk.length;
+  }
+  
+  writeString(offset, 'data');
+  view.setUint32(offset + 4, rf64 ? MAX_32 : dataLength, true);
+  
+  return header;
+}
+
+/**
+ * bext, LIST INFO and, with chapters, cue and LIST adtl chunks
+ */
+function createMetadataChunks({ title = '', comment = '', chapters = [], startTime = 0 }, sampleRate, length) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  
+  // bext text fields are fixed-width ASCII, cut to fit
+  const bext = new Uint8Array(BEXT_LENGTH);
+  const bextView = new DataView(bext.buffer);
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  const timeReference = BigInt(Math.max(0, Math.round(startTime * sampleRate)));
+  setAscii(bext, 0, 256, comment);
+  setAscii(bext, 256, 32, 'VidFlow');
+  setAscii(bext, 320, 10, `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`);
+  setAscii(bext, 330, 8, `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`);
+  bextView.setUint32(338, Number(timeReference & 0xFFFFFFFFn), true);
+  bextView.setUint32(342, Number(timeReference >> 32n), true);
+  bextView.setUint16(346, BEXT_VERSION, true);
+  chunks.push(riffChunk('bext', bext));
+  
+  const info = [['INAM', title], ['ICMT', comment], ['ISFT', 'VidFlow']]
+    .filter(([, value]) => value)
+    .map(([id, value]) => riffChunk(id, zeroTerminated(encoder.encode(value))));
+  chunks.push(riffChunk('LIST', [asciiBytes('INFO'), ...info]));
+  
+  // Cue offsets are 32-bit, so markers past that in an RF64 file are dropped
+  const markers = chapters
+    .map(chapter => ({ position: Math.round(chapter.time * sampleRate), label: chapter.label }))
+    .filter(marker => marker.position >= 0 && marker.position < Math.min(length, MAX_32));
+  if (markers.length) {
+    const cue = new Uint8Array(4 + markers.length * 24);
+    const cueView = new DataView(cue.buffer);
+    cueView.setUint32(0, markers.length, true);
+    markers.forEach((marker, i) => {
+      const offset = 4 + i * 24;
+      cueView.setUint32(offset, i + 1, true);
+      cueView.setUint32(offset + 4, marker.position, true);
+      setAscii(cue, offset + 8, 4, 'data');
+      cueView.setUint32(offset + 20, marker.position, true);
+    });
+    chunks.push(riffChunk('cue ', cue));
+    
+    const labels = markers.map((marker, i) => {
+      const id = new Uint8Array(4);
+      new DataView(id.buffer).setUint32(0, i + 1, true);
+      return riffChunk('labl', [id, zeroTerminated(encoder.encode(marker.label))]);
+    });
+    chunks.push(riffChunk('LIST', [asciiBytes('adtl'), ...labels]));
+  }
+  
+  return chunks;
+}
+
+/**
+ * A RIFF chunk around `body` (bytes or a list of them), padded to an even
+ * length
+ */
+function riffChunk(id, body) {
+  const parts = [body].flat();
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const chunk = new Uint8Array(8 + length + (length % 2));
+  setAscii(chunk, 0, 4, id);
+  new DataView(chunk.buffer).setUint32(4, length, true);
+  let offset = 8;
+  for (const part of parts) {
+    chunk.set(part, offset);
+    offset += part.length;
+  }
+  return chunk;
+}
+
+function zeroTerminated(bytes) {
+  const result = new Uint8Array(bytes.length + 1);
+  result.set(bytes);
+  return result;
+}
+
+function asciiBytes(text) {
+  return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+/**
+ * Write `text` into a fixed-width field, leaving out anything that isn't
+ * printable ASCII
+ */
+function setAscii(bytes, offset, width, text) {
+  const printable = text.replace(/[^\x20-\x7E]/g, '');
+  for (let i = 0; i < Math.min(width, printable.length); i++) {
+    bytes[offset + i] = printable.charCodeAt(i);
+  }
+}
+
+/**
+ * Interleave one channel's samples into a chunk of sample frames
+ */
+function writeChannel(chunk, samples, channel, numChannels, bitDepth, dither) {
+  const count = samples.length;
+  
+  if (bitDepth === 32) {
+    if (LITTLE_ENDIAN) {
+      const output = new Float32Array(chunk.buffer);
+      for (let i = 0, j = channel; i < count; i++, j += numChannels) output[j] = samples[i];
+    } else {
+      const view = new DataView(chunk.buffer);
+      for (let i = 0, j = channel * 4; i < count; i++, j += numChannels * 4) view.setFloat32(j, samples[i], true);
+    }
+    return;
+  }
+  
+  const values = quantize(samples, bitDepth, { dither });
+  if (bitDepth === 16) {
+    if (LITTLE_ENDIAN) {
+      const output = new Int16Array(chunk.buffer);
+      for (let i = 0, j = channel; i < count; i++, j += numChannels) output[j] = values[i];
+    } else {
+      const view = new DataView(chunk.buffer);
+      for (let i = 0, j = channel * 2; i < count; i++, j += numChannels * 2) view.setInt16(j, values[i], true);
+    }
+    return;
+  }
+  
+  // 24-bit: three bytes each, low byte first
+  for (let i = 0, j = channel * 3; i < count; i++, j += numChannels * 3) {
+    const value = values[i];
+    chunk[j] = value & 0xFF;
+    chunk[j + 1] = (value >> 8) & 0xFF;
+    chunk[j + 2] = (value >> 16) & 0xFF;
+  }
+}
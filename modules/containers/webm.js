@@ -0,0 +1,537 @@
+/**
+ * VidFlow - WebM Container
+ * Just enough Matroska to copy the video track of a WebM/MKV file next to
+ * a newly encoded Opus track: a demuxer that walks the clusters (including
+ * the unknown-size ones MediaRecorder writes) and a muxer that writes cues
+ * up front so the result seeks, plus chapters and tags when given.
+ */
+
+const ID = {
+  EBML: 0x1A45DFA3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42F7,
+  EBMLMaxIDLength: 0x42F2,
+  EBMLMaxSizeLength: 0x42F3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  MuxingApp: 0x4D80,
+  WritingApp: 0x5741,
+  Title: 0x7BA9,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackNumber: 0xD7,
+  TrackUID: 0x73C5,
+  TrackType: 0x83,
+  FlagDefault: 0x88,
+  Name: 0x536E,
+  CodecID: 0x86,
+  CodecPrivate: 0x63A2,
+  CodecDelay: 0x56AA,
+  SeekPreRoll: 0x56BB,
+  Audio: 0xE1,
+  SamplingFrequency: 0xB5,
+  Channels: 0x9F,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  Position: 0xA7,
+  PrevSize: 0xAB,
+  SimpleBlock: 0xA3,
+  BlockGroup: 0xA0,
+  Block: 0xA1,
+  ReferenceBlock: 0xFB,
+  Cues: 0x1C53BB6B,
+  CuePoint: 0xBB,
+  CueTime: 0xB3,
+  CueTrackPositions: 0xB7,
+  CueTrack: 0xF7,
+  CueClusterPosition: 0xF1,
+  Chapters: 0x1043A770,
+  EditionEntry: 0x45B9,
+  ChapterAtom: 0xB6,
+  ChapterUID: 0x73C4,
+  ChapterTimeStart: 0x91,
+  ChapterTimeEnd: 0x92,
+  ChapterDisplay: 0x80,
+  ChapString: 0x85,
+  Tags: 0x1254C367,
+  Tag: 0x7373,
+  Targets: 0x63C0,
+  SimpleTag: 0x67C8,
+  TagName: 0x45A3,
+  TagString: 0x4487
+};
+
+// Elements that can appear inside a cluster; anything else ends an
+// unknown-size one
+const CLUSTER_CHILDREN = new Set([ID.Timecode, ID.Position, ID.PrevSize, ID.SimpleBlock, ID.BlockGroup]);
+
+const TRACK_TYPE_VIDEO = 1;
+const TRACK_TYPE_AUDIO = 2;
+
+// Output timestamps are in milliseconds
+const TIMECODE_SCALE = 1000000;
+
+// A new cluster starts at a video keyframe once this many ms have passed,
+// and always before block timecodes outgrow their 16 bits
+const CLUSTER_MIN_MS = 1000;
+const CLUSTER_MAX_MS = 5000;
+
+// Opus decoders need 80 ms of pre-roll after a seek
+const OPUS_SEEK_PRE_ROLL = 80000000;
+
+/**
+ * Read the doc type and the first video track of a whole WebM/MKV file.
+ * The track carries its TrackEntry bytes to copy and its frames as
+ * { timestamp, data, isKey }, timestamps in nanoseconds.
+ */
+export function demuxWebm(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  
+  const header = readElement(view, 0);
+  if (header.id !== ID.EBML) throw new Error('Not a Matroska file');
+  const docTypeElement = readChildren(view, header).find(child => child.id === ID.DocType);
+  const docType = docTypeElement ? readString(bytes, docTypeElement) : 'matroska';
+  
+  const segment = readElement(view, header.end);
+  if (segment.id !== ID.Segment) throw new Error('Missing segment');
+  
+  let timecodeScale = TIMECODE_SCALE;
+  let video = null;
+  const frames = [];
+  
+  let position = segment.dataStart;
+  while (position < segment.end) {
+    const element = readElement(view, position, segment.end);
+    
+    if (element.id === ID.Info) {
+      const scale = readChildren(view, element).find(child => child.id === ID.TimecodeScale);
+      if (scale) timecodeScale = readUint(view, scale);
+    } else if (element.id === ID.Tracks) {
+      video = video || findVideoTrack(view, bytes, element);
+    } else if (element.id === ID.Cluster) {
+      if (!video) throw new Error('Clusters before the track list');
+      element.end = readCluster(view, bytes, element, video.number, timecodeScale, frames);
+    }
+    
+    position = element.end;
+  }
+  
+  if (!video) throw new Error('No video track found');
+  return { docType, video: { ...video, frames } };
+}
+
+/**
+ * Write a WebM/MKV with the demuxed video track and Opus tracks. Each of
+ * `audioTracks` is { sampleRate, channels, description, priming, packets,
+ * name? }, each packet { timestamp, data } with the timestamp in
+ * microseconds. The first audio track plays by default. `metadata` is {
+ * title, comment, chapters }, with chapters as { time, label } in
+ * seconds. Returns a Blob that references the frame data rather than
+ * copying it.
+ */
+export function muxWebm({ docType, video, audioTracks, metadata = null }) {
+  // Audio track numbers fill in around the copied video track's
+  const audioNumbers = [];
+  for (let number = 1; audioNumbers.length < audioTracks.length; number++) {
+    if (number !== video.number) audioNumbers.push(number);
+  }
+  
+  const blocks = [
+    ...video.frames.map(frame => ({
+      track: video.number,
+      time: Math.round(frame.timestamp / TIMECODE_SCALE),
+      data: frame.data,
+      isKey: frame.isKey,
+      isVideo: true
+    })),
+    ...audioTracks.flatMap((audio, i) => audio.packets.map(packet => ({
+      track: audioNumbers[i],
+      time: Math.round(packet.timestamp / 1000),
+      data: packet.data,
+      isKey: true,
+      isVideo: false
+    })))
+  ].sort((a, b) => a.time - b.time || a.track - b.track);
+  
+  const duration = blocks.length ? blocks[blocks.length - 1].time : 0;
+  
+  const ebmlHeader = element(ID.EBML,
+    uintElement(ID.EBMLVersion, 1),
+    uintElement(ID.EBMLReadVersion, 1),
+    uintElement(ID.EBMLMaxIDLength, 4),
+    uintElement(ID.EBMLMaxSizeLength, 8),
+    stringElement(ID.DocType, docType),
+    uintElement(ID.DocTypeVersion, 4),
+    uintElement(ID.DocTypeReadVersion, 2)
+  );
+  
+  const info = element(ID.Info,
+    uintElement(ID.TimecodeScale, TIMECODE_SCALE),
+    stringElement(ID.MuxingApp, 'VidFlow'),
+    stringElement(ID.WritingApp, 'VidFlow'),
+    metadata?.title ? stringElement(ID.Title, metadata.title) : [],
+    floatElement(ID.Duration, duration)
+  );
+  
+  const tracks = element(ID.Tracks,
+    video.entry,
+    audioTracks.map((audio, i) => element(ID.TrackEntry,
+      uintElement(ID.TrackNumber, audioNumbers[i]),
+      uintElement(ID.TrackUID, audioNumbers[i]),
+      uintElement(ID.TrackType, TRACK_TYPE_AUDIO),
+      uintElement(ID.FlagDefault, i === 0 ? 1 : 0),
+      audio.name ? stringElement(ID.Name, audio.name) : [],
+      stringElement(ID.CodecID, 'A_OPUS'),
+      element(ID.CodecPrivate, audio.description || createOpusHead(audio)),
+      uintElement(ID.CodecDelay, Math.round(audio.priming * 1e9 / audio.sampleRate)),
+      uintElement(ID.SeekPreRoll, OPUS_SEEK_PRE_ROLL),
+      element(ID.Audio,
+        floatElement(ID.SamplingFrequency, audio.sampleRate),
+        uintElement(ID.Channels, audio.channels)
+      )
+    ))
+  );
+  
+  const extras = metadata ? [writeChapters(metadata.chapters || [], duration), writeTags(metadata)] : [];
+  const extrasSize = extras.reduce((sum, part) => sum + part.length, 0);
+  
+  const clusters = buildClusters(blocks);
+  
+  // Cue positions are written at a fixed width, so the cues' size doesn't
+  // depend on where the clusters land
+  const cuePoints = clusters.filter(cluster => cluster.startsWithKey);
+  const cuesSize = element(ID.Cues, cuePoints.map(cluster => cuePoint(cluster, video.number, 0))).length;
+  let position = info.length + tracks.length + extrasSize + cuesSize;
+  for (const cluster of clusters) {
+    cluster.position = position;
+    position += cluster.size;
+  }
+  const cues = element(ID.Cues, cuePoints.map(cluster => cuePoint(cluster, video.number, cluster.position)));
+  
+  const segmentSize = position;
+  const parts = [ebmlHeader, concat([encodeId(ID.Segment), encodeSize(segmentSize)]), info, tracks, ...extras, cues];
+  for (const cluster of clusters) parts.push(...cluster.parts);
+  
+  const type = docType === 'webm' ? 'video/webm' : 'video/x-matroska';
+  return new Blob(parts, { type });
+}
+
+// Reading
+
+/**
+ * Element header at `position`: id, where it starts, where its data
+ * starts and where it ends. An unknown size runs to `limit` (clusters are
+ * cut short by readCluster).
+ */
+function readElement(view, position, limit = view.byteLength) {
+  const id = readVint(view, position, true);
+  const size = readVint(view, position + id.length, false);
+  const dataStart = position + id.length + size.length;
+  const end = size.value === null ? limit : dataStart + size.value;
+  if (end > limit) throw new Error('Truncated element');
+  return { id: id.value, start: position, dataStart, end };
+}
+
+function readChildren(view, parent) {
+  const children = [];
+  let position = parent.dataStart;
+  while (position < parent.end) {
+    const child = readElement(view, position, parent.end);
+    children.push(child);
+    position = child.end;
+  }
+  return children;
+}
+
+/**
+ * Variable-length integer. IDs keep their length marker; sizes drop it
+ * and come back as null when every value bit is set (unknown size).
+ */
+function readVint(view, position, isId) {
+  const first = view.getUint8(position);
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8) throw new Error('Invalid variable-length integer');
+  
+  let value = isId ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    const byte = view.getUint8(position + i);
+    value = value * 256 + byte;
+    allOnes = allOnes && byte === 0xFF;
+  }
+  return { value: !isId && allOnes ? null : value, length };
+}
+
+function readUint(view, element) {
+  let value = 0;
+  for (let i = element.dataStart; i < element.end; i++) value = value * 256 + view.getUint8(i);
+  return value;
+}
+
+function readString(bytes, element) {
+  return new TextDecoder().decode(bytes.subarray(element.dataStart, element.end)).replace(/\0+$/, '');
+}
+
+function findVideoTrack(view, bytes, tracks) {
+  for (const entry of readChildren(view, tracks)) {
+    if (entry.id !== ID.TrackEntry) continue;
+    
+    const fields = readChildren(view, entry);
+    const field = (id) => fields.find(child => child.id === id);
+    if (readUint(view, field(ID.TrackType)) !== TRACK_TYPE_VIDEO) continue;
+    
+    return {
+      number: readUint(view, field(ID.TrackNumber)),
+      codecId: readString(bytes, field(ID.CodecID)),
+      entry: bytes.subarray(entry.start, entry.end)
+    };
+  }
+  return null;
+}
+
+/**
+ * Collect the video frames of a cluster and return where it ends
+ */
+function readCluster(view, bytes, cluster, trackNumber, timecodeScale, frames) {
+  let clusterTime = 0;
+  let position = cluster.dataStart;
+  
+  while (position < cluster.end) {
+    const id = readVint(view, position, true);
+    if (!CLUSTER_CHILDREN.has(id.value)) break;
+    
+    const child = readElement(view, position, cluster.end);
+    if (child.id === ID.Timecode) {
+      clusterTime = readUint(view, child);
+    } else if (child.id === ID.SimpleBlock) {
+      const frame = readBlock(view, bytes, child, trackNumber);
+      if (frame) {
+        frame.timestamp = (clusterTime + frame.timestamp) * timecodeScale;
+        frames.push(frame);
+      }
+    } else if (child.id === ID.BlockGroup) {
+      const groupChildren = readChildren(view, child);
+      const block = groupChildren.find(element => element.id === ID.Block);
+      const frame = block && readBlock(view, bytes, block, trackNumber);
+      if (frame) {
+        // A block group is a keyframe unless it references another frame
+        frame.isKey = !groupChildren.some(element => element.id === ID.ReferenceBlock);
+        frame.timestamp = (clusterTime + frame.timestamp) * timecodeScale;
+        frames.push(frame);
+      }
+    }
+    position = child.end;
+  }
+  
+  return position;
+}
+
+/**
+ * The frame in a (Simple)Block of the given track, with its timestamp
+ * relative to the cluster, or null for other tracks
+ */
+function readBlock(view, bytes, block, trackNumber) {
+  const track = readVint(view, block.dataStart, false);
+  if (track.value !== trackNumber) return null;
+  
+  const position = block.dataStart + track.length;
+  const flags = view.getUint8(position + 2);
+  if (flags & 0x06) throw new Error('Laced video frames are not supported');
+  
+  return {
+    timestamp: view.getInt16(position),
+    data: bytes.subarray(position + 3, block.end),
+    isKey: Boolean(flags & 0x80)
+  };
+}
+
+// Writing
+
+/**
+ * Group blocks into clusters, starting new ones at video keyframes
+ */
+function buildClusters(blocks) {
+  const clusters = [];
+  let cluster = null;
+  
+  const finish = () => {
+    if (!cluster) return;
+    const timecode = uintElement(ID.Timecode, cluster.time);
+    const contentSize = cluster.bodySize + timecode.length;
+    const header = concat([encodeId(ID.Cluster), encodeSize(contentSize)]);
+    cluster.parts.unshift(header, timecode);
+    cluster.size = header.length + contentSize;
+    clusters.push(cluster);
+  };
+  
+  for (const block of blocks) {
+    const age = cluster ? block.time - cluster.time : Infinity;
+    if (age >= CLUSTER_MAX_MS || (block.isVideo && block.isKey && age >= CLUSTER_MIN_MS)) {
+      finish();
+      cluster = {
+        time: block.time,
+        startsWithKey: block.isVideo && block.isKey,
+        parts: [],
+        bodySize: 0
+      };
+    }
+    
+    const header = concat([
+      encodeSize(block.track),
+      int16(block.time - cluster.time),
+      new Uint8Array([block.isKey ? 0x80 : 0])
+    ]);
+    const blockHeader = concat([encodeId(ID.SimpleBlock), encodeSize(header.length + block.data.length), header]);
+    cluster.parts.push(blockHeader, block.data);
+    cluster.bodySize += blockHeader.length + block.data.length;
+  }
+  finish();
+  
+  return clusters;
+}
+
+function cuePoint(cluster, trackNumber, position) {
+  return element(ID.CuePoint,
+    uintElement(ID.CueTime, cluster.time),
+    element(ID.CueTrackPositions,
+      uintElement(ID.CueTrack, trackNumber),
+      element(ID.CueClusterPosition, uint64(position))
+    )
+  );
+}
+
+/**
+ * One edition of chapters, each ending where the next starts and the last
+ * at `duration` (ms). Empty when there are none.
+ */
+function writeChapters(chapters, duration) {
+  if (!chapters.length) return new Uint8Array(0);
+  
+  const toNanoseconds = (seconds) => Math.round(seconds * 1e9);
+  return element(ID.Chapters,
+    element(ID.EditionEntry, chapters.map((chapter, i) => element(ID.ChapterAtom,
+      uintElement(ID.ChapterUID, i + 1),
+      uintElement(ID.ChapterTimeStart, toNanoseconds(chapter.time)),
+      uintElement(ID.ChapterTimeEnd, i + 1 < chapters.length
+        ? toNanoseconds(chapters[i + 1].time)
+        : Math.max(toNanoseconds(chapter.time), duration * TIMECODE_SCALE)),
+      element(ID.ChapterDisplay, stringElement(ID.ChapString, chapter.label))
+    )))
+  );
+}
+
+/**
+ * Title and comment as tags on the whole file. Empty when there are none.
+ */
+function writeTags({ title, comment }) {
+  const tags = [['TITLE', title], ['COMMENT', comment]].filter(([, value]) => value);
+  if (!tags.length) return new Uint8Array(0);
+  
+  return element(ID.Tags,
+    element(ID.Tag,
+      element(ID.Targets),
+      tags.map(([name, value]) => element(ID.SimpleTag,
+        stringElement(ID.TagName, name),
+        stringElement(ID.TagString, value)
+      ))
+    )
+  );
+}
+
+/**
+ * OpusHead for encoders that don't supply one
+ */
+function createOpusHead(audio) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(Uint8Array.from('OpusHead', char => char.charCodeAt(0)));
+  view.setUint8(8, 1);
+  view.setUint8(9, audio.channels);
+  view.setUint16(10, audio.priming, true);
+  view.setUint32(12, audio.sampleRate, true);
+  return head;
+}
+
+function element(id, ...parts) {
+  const body = concat(parts.flat(Infinity));
+  return concat([encodeId(id), encodeSize(body.length), body]);
+}
+
+function uintElement(id, value) {
+  return element(id, encodeUint(value));
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+function stringElement(id, value) {
+  return element(id, new TextEncoder().encode(value));
+}
+
+function encodeId(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value & 0xFF);
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Shortest size vint for the value (the all-ones pattern is reserved)
+ */
+function encodeSize(size) {
+  let length = 1;
+  while (size >= Math.pow(2, 7 * length) - 1) length++;
+  
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value & 0xFF;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+/**
+ * Big-endian unsigned integer in as few bytes as it needs (at least one)
+ */
+function encodeUint(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value & 0xFF);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return new Uint8Array(bytes);
+}
+
+function int16(value) {
+  const bytes = new Uint8Array(2);
+  new DataView(bytes.buffer).setInt16(0, value);
+  return bytes;
+}
+
+function uint64(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(value));
+  return bytes;
+}
+
+function concat(parts) {
+  const flat = parts.flat(Infinity);
+  const result = new Uint8Array(flat.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of flat) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
@@ -0,0 +1,215 @@
+/**
+ * VidFlow - Zip Container
+ * Zip writer for batch results. Entries are stored uncompressed (audio and
+ * video don't shrink), and Zip64 fields are added where a size or offset
+ * passes 4 GB.
+ */
+
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_CENTRAL = 0x06054B50;
+const ZIP64_END_OF_CENTRAL = 0x06064B50;
+const ZIP64_LOCATOR = 0x07064B50;
+const ZIP64_EXTRA = 0x0001;
+
+// Version needed to extract: 2.0 for stored entries, 4.5 for Zip64
+const VERSION = 20;
+const VERSION_ZIP64 = 45;
+
+// General purpose flag bit 11: the file name is UTF-8
+const FLAG_UTF8 = 0x0800;
+
+const MAX_32 = 0xFFFFFFFF;
+const MAX_16 = 0xFFFF;
+
+const CRC_TABLE = createCrcTable();
+
+/**
+ * Pack `files` ({ name, blob, lastModified? }) into a zip. Each blob is
+ * read once, in chunks, for its checksum; the archive itself is a Blob
+ * made of the originals. Progress is reported as a 0-1 fraction of bytes
+ * read.
+ */
+export async function createZip(files, { onProgress, signal } = {}) {
+  const encoder = new TextEncoder();
+  const totalBytes = files.reduce((sum, file) => sum + file.blob.size, 0);
+  const parts = [];
+  const centralEntries = [];
+  let offset = 0;
+  let bytesRead = 0;
+  
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const size = file.blob.size;
+    const crc = await crc32Blob(file.blob, (chunkLength) => {
+      bytesRead += chunkLength;
+      onProgress?.(totalBytes ? bytesRead / totalBytes : 1);
+    }, signal);
+    const [time, date] = toDosDateTime(new Date(file.lastModified ?? Date.now()));
+    const entry = { name, size, crc, time, date, offset };
+    
+    const header = createLocalHeader(entry);
+    parts.push(header, file.blob);
+    centralEntries.push(createCentralHeader(entry));
+    offset += header.length + size;
+  }
+  
+  const centralSize = centralEntries.reduce((sum, entry) => sum + entry.length, 0);
+  parts.push(...centralEntries, ...createEnd(files.length, centralSize, offset));
+  
+  return new Blob(parts, { type: 'application/zip' });
+}
+
+function createLocalHeader({ name, size, crc, time, date }) {
+  const zip64 = size >= MAX_32;
+  const extraLength = zip64 ? 20 : 0;
+  const header = new Uint8Array(30 + name.length + extraLength);
+  const view = new DataView(header.buffer);
+  
+  view.setUint32(0, LOCAL_HEADER, true);
+  view.setUint16(4, zip64 ? VERSION_ZIP64 : VERSION, true);
+  view.setUint16(6, FLAG_UTF8, true);
+  view.setUint16(8, 0, true); // stored
+  view.setUint16(10, time, true);
+  view.setUint16(12, date, true);
+  view.setUint32(14, crc, true);
+  view.setUint32(18, zip64 ? MAX_32 : size, true);
+  view.setUint32(22, zip64 ? MAX_32 : size, true);
+  view.setUint16(26, name.length, true);
+  view.setUint16(28, extraLength, true);
+  header.set(name, 30);
+  
+  // The local Zip64 field always holds both sizes
+  if (zip64) {
+    const extra = 30 + name.length;
+    view.setUint16(extra, ZIP64_EXTRA, true);
+    view.setUint16(extra + 2, 16, true);
+    view.setBigUint64(extra + 4, BigInt(size), true);
+    view.setBigUint64(extra + 12, BigInt(size), true);
+  }
+  
+  return header;
+}
+
+function createCentralHeader({ name, size, crc, time, date, offset }) {
+  // The central Zip64 field holds only the values too large for their own
+  // fields, in this order
+  const large = [];
+  if (size >= MAX_32) large.push(size, size);
+  if (offset >= MAX_32) large.push(offset);
+  
+  const extraLength = large.length ? 4 + large.length * 8 : 0;
+  const header = new Uint8Array(46 + name.length + extraLength);
+  const view = new DataView(header.buffer);
+  const version = large.length ? VERSION_ZIP64 : VERSION;
+  
+  view.setUint32(0, CENTRAL_HEADER, true);
+  view.setUint16(4, version, true);
+  view.setUint16(6, version, true);
+  view.setUint16(8, FLAG_UTF8, true);
+  view.setUint16(10, 0, true);
+  view.setUint16(12, time, true);
+  view.setUint16(14, date, true);
+  view.setUint32(16, crc, true);
+  view.setUint32(20, Math.min(size, MAX_32), true);
+  view.setUint32(24, Math.min(size, MAX_32), true);
+  view.setUint16(28, name.length, true);
+  view.setUint16(30, extraLength, true);
+  view.setUint32(42, Math.min(offset, MAX_32), true);
+  header.set(name, 46);
+  
+  if (large.length) {
+    const extra = 46 + name.length;
+    view.setUint16(extra, ZIP64_EXTRA, true);
+    view.setUint16(extra + 2, large.length * 8, true);
+    large.forEach((value, i) => view.setBigUint64(extra + 4 + i * 8, BigInt(value), true));
+  }
+  
+  return header;
+}
+
+/**
+ * End of central directory record, preceded by the Zip64 record and
+ * locator when the entry count or central directory doesn't fit it
+ */
+function createEnd(count, centralSize, centralOffset) {
+  const records = [];
+  
+  if (count >= MAX_16 || centralSize >= MAX_32 || centralOffset >= MAX_32) {
+    const record = new Uint8Array(56);
+    const view = new DataView(record.buffer);
+    view.setUint32(0, ZIP64_END_OF_CENTRAL, true);
+    view.setBigUint64(4, 44n, true);
+    view.setUint16(12, VERSION_ZIP64, true);
+    view.setUint16(14, VERSION_ZIP64, true);
+    view.setBigUint64(24, BigInt(count), true);
+    view.setBigUint64(32, BigInt(count), true);
+    view.setBigUint64(40, BigInt(centralSize), true);
+    view.setBigUint64(48, BigInt(centralOffset), true);
+    
+    const locator = new Uint8Array(20);
+    const locatorView = new DataView(locator.buffer);
+    locatorView.setUint32(0, ZIP64_LOCATOR, true);
+    locatorView.setBigUint64(8, BigInt(centralOffset + centralSize), true);
+    locatorView.setUint32(16, 1, true);
+    
+    records.push(record, locator);
+  }
+  
+  const end = new Uint8Array(22);
+  const view = new DataView(end.buffer);
+  view.setUint32(0, END_OF_CENTRAL, true);
+  view.setUint16(8, Math.min(count, MAX_16), true);
+  view.setUint16(10, Math.min(count, MAX_16), true);
+  view.setUint32(12, Math.min(centralSize, MAX_32), true);
+  view.setUint32(16, Math.min(centralOffset, MAX_32), true);
+  records.push(end);
+  
+  return records;
+}
+
+/**
+ * MS-DOS time and date words, in local time as zip tools expect
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return [
+    (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  ];
+}
+
+async function crc32Blob(blob, onChunk, signal) {
+  const reader = blob.stream().getReader();
+  let value = MAX_32;
+  
+  try {
+    for (;;) {
+      const { done, value: chunk } = await reader.read();
+      if (done) break;
+      if (signal?.aborted) throw new DOMException('Zip cancelled', 'AbortError');
+      
+      for (let i = 0; i < chunk.length; i++) {
+        value = CRC_TABLE[(value ^ chunk[i]) & 0xFF] ^ (value >>> 8);
+      }
+      onChunk(chunk.length);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+  
+  return (value ^ MAX_32) >>> 0;
+}
+
+/**
+ * Zip's CRC-32: polynomial 0xEDB88320, reflected, final XOR
+ */
+function createCrcTable() {
+  return Uint32Array.from({ length: 256 }, (_, byte) => {
+    let value = byte;
+    for (let bit = 0; bit < 8; bit++) {
+      value = value & 1 ? (value >>> 1) ^ 0xEDB88320 : value >>> 1;
+    }
+    return value >>> 0;
+  });
+}
@@ -0,0 +1,332 @@
+/**
+ * VidFlow - Deep Clean
+ * Offline voice/music separation over the whole track, run in a worker:
+ * either the spectral method (see dsp/separation.js) or a neural model
+ * (see workers/neural-separation.js). The kept stem, with some of the other
+ * mixed back in, replaces the video's audio as the input of the processing
+ * chain, so presets, A/B and exports all work on it.
+ */
+
+// The neural method's runtime and weights are served from our own origin,
+// never a CDN (see README)
+const NEURAL_MODEL_BASE = new URL('../models/separation/', import.meta.url).href;
+const ONNX_RUNTIME_BASE = new URL('../vendor/onnxruntime-web/', import.meta.url).href;
+
+const METHOD_LABELS = {
+  spectral: 'Analysing track',
+  neural: 'Separating'
+};
+
+export class DeepClean {
+  constructor(videoElement, app) {
+    this.video = videoElement;
+    this.app = app;
+    
+    this.worker = null;
+    this.isRunning = false;
+    this.method = 'spectral';
+    this.sampleRate = null;
+    this.length = 0;
+    
+    // Voice and music AudioBuffers from the last run, and their method
+    this.stems = null;
+    this.stemsMethod = null;
+    
+    this.buffer = null;
+    this.isEnabled = true;
+    this.keep = 'voice';
+    this.amount = 100;
+    
+    // Removes every DOM listener in destroy()
+    this.listeners = new AbortController();
+    
+    this.elements = {
+      method: document.getElementById('deep-clean-method'),
+      runBtn: document.getElementById('deep-clean-run'),
+      progress: document.getElementById('deep-clean-progress'),
+      status: document.getElementById('deep-clean-status'),
+      options: document.getElementById('deep-clean-options'),
+      enabled: document.getElementById('deep-clean-enabled'),
+      keep: document.getElementById('deep-clean-keep'),
+      amount: document.getElementById('deep-clean-amount'),
+      amountValue: document.getElementById('deep-clean-amount-value')
+    };
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.listeners;
+    
+    this.elements.method?.addEventListener('change', (e) => {
+      this.method = e.target.value;
+      
+      // The select is disabled while running
+      this.showState(this.stems ? 'done' : 'idle');
+    }, { signal });
+    
+    this.elements.runBtn?.addEventListener('click', () => {
+      if (this.isRunning) {
+        this.cancel();
+      } else {
+        this.run();
+      }
+    }, { signal });
+    
+    this.elements.enabled?.addEventListener('change', (e) => {
+      this.isEnabled = e.target.checked;
+      this.apply();
+    }, { signal });
+    
+    this.elements.keep?.addEventListener('change', (e) => {
+      this.keep = e.target.value;
+      this.apply();
+    }, { signal });
+    
+    this.elements.amount?.addEventListener('input', (e) => {
+      this.amount = parseInt(e.target.value);
+      if (this.elements.amountValue) this.elements.amountValue.textContent = `${this.amount}%`;
+    }, { signal });
+    
+    // Blending a whole track is too slow to redo on every input event
+    this.elements.amount?.addEventListener('change', () => this.apply(), { signal });
+    
+    this.showState('idle');
+  }
+  
+  /**
+   * The buffer the processing chain should play, or null when Deep Clean
+   * is off or hasn't run
+   */
+  getBuffer() {
+    return this.isEnabled ? this.buffer : null;
+  }
+  
+  async run() {
+    const exporter = this.app.exporter;
+    const source = exporter?.getExportSource();
+    if (!source) return;
+    
+    const method = this.method;
+    this.showState('running', 'Decoding audio...');
+    
+    let input;
+    let manifest = null;
+    try {
+      input = await exporter.renderer.decodeSource(source);
+      this.sampleRate = input.sampleRate;
+      this.length = input.length;
+      
+      // The model runs at its own sample rate
+      if (method === 'neural' && this.isRunning) {
+        this.showState('running', 'Loading model...');
+        manifest = await fetchManifest();
+        input = await exporter.renderer.resample(input, manifest.sampleRate);
+      }
+    } catch (e) {
+      console.error('Deep Clean preparation failed:', e);
+      if (this.isRunning) this.fail(e.message);
+      return;
+    }
+    
+    // Cancelled while decoding
+    if (!this.isRunning) return;
+    
+    // The worker gets copies, the decoded buffer stays cached for exports
+    const channels = Array.from({ length: input.numberOfChannels }, (_, c) => input.getChannelData(c).slice());
+    const transfer = channels.map(channel => channel.buffer);
+    
+    this.worker = method === 'neural'
+      ? new Worker(new URL('./workers/neural-separation.js', import.meta.url), { type: 'module' })
+      : new Worker(new URL('./workers/deep-clean.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this.handleMessage(e.data, method, input.sampleRate);
+    this.worker.onerror = (e) => {
+      console.error('Deep Clean worker failed:', e);
+      this.fail('this browser could not start the worker');
+    };
+    
+    if (method === 'neural') {
+      this.worker.postMessage({
+        channels,
+        manifest,
+        modelBase: NEURAL_MODEL_BASE,
+        runtimeBase: ONNX_RUNTIME_BASE
+      }, transfer);
+    } else {
+      this.worker.postMessage({ channels, sampleRate: input.sampleRate }, transfer);
+    }
+    
+    this.showState('running', `${METHOD_LABELS[method]}...`);
+  }
+  
+  async handleMessage(message, method, sampleRate) {
+    if (message.type === 'progress') {
+      this.updateProgress(message, method);
+    } else if (message.type === 'done') {
+      this.stopWorker();
+      this.showState('running', 'Finishing...');
+      
+      try {
+        const voice = await this.toSourceRate(message.voice, sampleRate);
+        const music = await this.toSourceRate(message.music, sampleRate);
+        
+        // Cancelled while resampling
+        if (!this.isRunning) return;
+        
+        this.stems = { voice, music };
+        this.stemsMethod = method;
+      } catch (e) {
+        console.error('Deep Clean resampling failed:', e);
+        this.fail(e.message);
+        return;
+      }
+      
+      this.showState('done');
+      this.apply();
+      this.app.ui.showToast('Deep Clean finished', 'success');
+    } else if (message.type === 'error') {
+      this.fail(message.message);
+    }
+  }
+  
+  /**
+   * Wrap worker output in an AudioBuffer at the source's rate and length,
+   * so it plays and renders in step with the video
+   */
+  async toSourceRate(channels, sampleRate) {
+    const buffer = new AudioBuffer({ numberOfChannels: channels.length, length: channels[0].length, sampleRate });
+    channels.forEach((channel, c) => buffer.copyToChannel(channel, c));
+    
+    const resampled = await this.app.exporter.renderer.resample(buffer, this.sampleRate);
+    if (resampled.length === this.length) return resampled;
+    
+    // Rounding in the round trip can leave a sample too many or too few
+    const fitted = new AudioBuffer({ numberOfChannels: channels.length, length: this.length, sampleRate: this.sampleRate });
+    for (let c = 0; c < channels.length; c++) {
+      fitted.copyToChannel(resampled.getChannelData(c).subarray(0, this.length), c);
+    }
+    return fitted;
+  }
+  
+  cancel() {
+    this.stopWorker();
+    this.showState(this.stems ? 'done' : 'idle');
+    this.app.ui.showToast('Deep Clean cancelled', 'info');
+  }
+  
+  fail(message) {
+    this.stopWorker();
+    this.showState(this.stems ? 'done' : 'idle');
+    this.app.ui.showToast(`Deep Clean failed: ${message}`, 'error');
+  }
+  
+  stopWorker() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.isRunning = false;
+  }
+  
+  /**
+   * Hand the kept stem, with the other mixed back in by amount, to the
+   * player
+   */
+  apply() {
+    if (!this.stems) return;
+    
+    this.buffer = this.blend(this.amount / 100);
+    this.app.audioFx?.setSourceBuffer(this.getBuffer());
+  }
+  
+  blend(amount) {
+    const kept = this.stems[this.keep];
+    const removed = this.stems[this.keep === 'voice' ? 'music' : 'voice'];
+    if (amount >= 1) return kept;
+    
+    const { numberOfChannels, length, sampleRate } = kept;
+    const blended = new AudioBuffer({ numberOfChannels, length, sampleRate });
+    for (let c = 0; c < numberOfChannels; c++) {
+      const keep = kept.getChannelData(c);
+      const remove = removed.getChannelData(c);
+      const output = blended.getChannelData(c);
+      for (let i = 0; i < length; i++) {
+        output[i] = keep[i] + remove[i] * (1 - amount);
+      }
+    }
+    return blended;
+  }
+  
+  updateProgress({ stage, progress }, method) {
+    const label = stage === 'download' ? 'Downloading model' : METHOD_LABELS[method];
+    if (this.elements.progress) this.elements.progress.value = progress;
+    if (this.elements.status) {
+      this.elements.status.textContent = `${label}... ${Math.round(progress * 100)}%`;
+    }
+  }
+  
+  /**
+   * idle: never run, running: decoding or in the worker, done: stems are
+   * available
+   */
+  showState(state, message = '') {
+    const { runBtn, progress, status, options, method } = this.elements;
+    const isRunning = state === 'running';
+    const wasRunning = this.isRunning;
+    this.isRunning = isRunning;
+    
+    if (runBtn) {
+      runBtn.setAttribute('aria-pressed', isRunning.toString());
+      runBtn.textContent = isRunning ? 'Cancel' : (this.stems ? 'Run Again' : 'Run Deep Clean');
+    }
+    if (method) method.disabled = isRunning;
+    progress?.toggleAttribute('hidden', !isRunning);
+    if (progress && isRunning && !wasRunning) progress.value = 0;
+    options?.toggleAttribute('hidden', state === 'idle' || (isRunning && !this.stems));
+    
+    if (status) {
+      if (isRunning) {
+        status.textContent = message;
+      } else if (this.stems) {
+        const by = this.stemsMethod === 'neural' ? 'the neural model' : 'spectral analysis';
+        status.textContent = `Voice and music separated by ${by}.`;
+      } else if (this.method === 'neural') {
+        status.textContent = 'Runs a separation model on your CPU. The model downloads from this site on first use.';
+      } else {
+        status.textContent = 'Analyses the whole track to separate speech from music. Takes a while on long videos.';
+      }
+    }
+  }
+  
+  destroy() {
+    this.stopWorker();
+    this.listeners.abort();
+    this.stems = null;
+    this.stemsMethod = null;
+    this.buffer = null;
+    
+    // The controls outlive this instance, reset them for the next video
+    if (this.elements.method) this.elements.method.value = 'spectral';
+    if (this.elements.enabled) this.elements.enabled.checked = true;
+    if (this.elements.keep) this.elements.keep.value = 'voice';
+    if (this.elements.amount) this.elements.amount.value = 100;
+    if (this.elements.amountValue) this.elements.amountValue.textContent = '100%';
+    this.showState('idle');
+  }
+}
+
+/**
+ * The neural model's description (see README for the fields)
+ */
+async function fetchManifest() {
+  const url = new URL('model.json', NEURAL_MODEL_BASE);
+  
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (e) {
+    response = null;
+  }
+  if (!response?.ok) {
+    throw new Error(`no separation model found at ${url.pathname}`);
+  }
+  return response.json();
+}
@@ -0,0 +1,29 @@
+/**
+ * VidFlow - Dither
+ * Float to integer PCM conversion for the WAV and FLAC writers, with
+ * optional TPDF dither so quiet passages fade into noise rather than
+ * into quantization distortion
+ */
+
+/**
+ * Convert float samples in [-1, 1] to signed integers of the given bit
+ * depth. With `dither`, triangular noise of one LSB peak is added before
+ * rounding.
+ */
+export function quantize(samples, bitDepth, { dither = false } = {}) {
+  const scale = 2 ** (bitDepth - 1);
+  const max = scale - 1;
+  const min = -scale;
+  const output = new Int32Array(samples.length);
+  
+  for (let i = 0; i < samples.length; i++) {
+    let value = samples[i] * scale;
+    if (dither) value += Math.random() - Math.random();
+    // Math.round at a fraction of the cost: a scaled float32 sample is
+    // exact in a double, so adding the half can't carry one just below it
+    value = Math.floor(value + 0.5);
+    output[i] = value > max ? max : value < min ? min : value;
+  }
+  
+  return output;
+}
@@ -0,0 +1,94 @@
+/**
+ * VidFlow - FFT
+ * In-place radix-2 complex FFT shared by the audio worklets and workers
+ */
+
+export class FFT {
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+    
+    this.size = size;
+    
+    // Twiddle factors
+    this.cos = new Float32Array(size / 2);
+    this.sin = new Float32Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cos[i] = Math.cos(-2 * Math.PI * i / size);
+      this.sin[i] = Math.sin(-2 * Math.PI * i / size);
+    }
+    
+    // Bit reversal permutation
+    this.reverse = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed |= ((i >> b) & 1) << (bits - 1 - b);
+      }
+      this.reverse[i] = reversed;
+    }
+  }
+  
+  /**
+   * Forward transform of (real, imag) in place
+   */
+  forward(real, imag) {
+    this.transform(real, imag, 1);
+  }
+  
+  /**
+   * Inverse transform of (real, imag) in place, scaled by 1/N
+   */
+  inverse(real, imag) {
+    this.transform(real, imag, -1);
+    
+    const scale = 1 / this.size;
+    for (let i = 0; i < this.size; i++) {
+      real[i] *= scale;
+      imag[i] *= scale;
+    }
+  }
+  
+  transform(real, imag, direction) {
+    const n = this.size;
+    
+    for (let i = 0; i < n; i++) {
+      const j = this.reverse[i];
+      if (j > i) {
+        let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+        tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+      }
+    }
+    
+    for (let half = 1; half < n; half <<= 1) {
+      const step = n / (half << 1);
+      for (let start = 0; start < n; start += half << 1) {
+        for (let k = 0; k < half; k++) {
+          const wr = this.cos[k * step];
+          const wi = direction * this.sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = real[b] * wr - imag[b] * wi;
+          const ti = real[b] * wi + imag[b] * wr;
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Periodic Hann window, the standard choice for overlap-add STFT
+ */
+export function hannWindow(size) {
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+  }
+  return window;
+}
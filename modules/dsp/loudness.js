@@ -0,0 +1,471 @@
+/**
+ * VidFlow - Loudness
+ * ITU-R BS.1770 / EBU R128 loudness metering (momentary, short-term,
+ * integrated, true-peak), an offline true-peak limiter and a streaming
+ * peak limiter, shared by the live AudioWorklets and the offline export
+ */
+
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated mean
+const SUB_BLOCK = 0.1; // seconds; blocks overlap by 75%
+const MOMENTARY_BLOCKS = 4; // 400 ms
+const SHORT_TERM_BLOCKS = 30; // 3 s
+
+// True-peak interpolation: 4x oversampling with a windowed-sinc FIR
+const OVERSAMPLE = 4;
+const TAPS_PER_PHASE = 12;
+const PHASES = createInterpolator();
+
+export class LoudnessMeter {
+  constructor(sampleRate, channelCount = 2) {
+    this.sampleRate = sampleRate;
+    this.channelCount = channelCount;
+    this.subBlockLength = Math.round(sampleRate * SUB_BLOCK);
+    
+    const { pre, rlb } = kWeightingCoefficients(sampleRate);
+    this.pre = pre;
+    this.rlb = rlb;
+    
+    // BS.1770 channel weights; surrounds of a 5.1 layout count +1.5 dB and
+    // the LFE is ignored
+    this.weights = channelCount === 6
+      ? [1, 1, 1, 0, 1.41, 1.41]
+      : new Array(channelCount).fill(1);
+    
+    this.reset();
+  }
+  
+  reset() {
+    // Biquad state per channel: [x1, x2, y1, y2] for each of the two stages
+    this.filterState = Array.from({ length: this.channelCount }, () => new Float64Array(8));
+    this.peakDetectors = Array.from({ length: this.channelCount }, () => new TruePeakDetector());
+    
+    this.subBlockEnergy = 0;
+    this.subBlockFill = 0;
+    this.recentBlocks = [];
+    this.gatingBlocks = [];
+    
+    this.momentary = -Infinity;
+    this.shortTerm = -Infinity;
+    this.truePeak = -Infinity;
+    this.maxTruePeak = 0;
+  }
+  
+  /**
+   * Feed planar samples (one Float32Array per channel, equal lengths)
+   */
+  process(channels) {
+    const length = channels[0].length;
+    const count = Math.min(channels.length, this.channelCount);
+    let offset = 0;
+    
+    while (offset < length) {
+      const frames = Math.min(length - offset, this.subBlockLength - this.subBlockFill);
+      
+      for (let c = 0; c < count; c++) {
+        const samples = channels[c];
+        const weight = this.weights[c];
+        const detector = this.peakDetectors[c];
+        let peak = this.maxTruePeak;
+        
+        if (weight > 0) {
+          this.subBlockEnergy += weight * this.filterBlock(samples, offset, frames, this.filterState[c]);
+        }
+        
+        for (let i = offset; i < offset + frames; i++) {
+          peak = Math.max(peak, detector.process(samples[i]));
+        }
+        this.maxTruePeak = peak;
+      }
+      
+      this.subBlockFill += frames;
+      offset += frames;
+      
+      if (this.subBlockFill === this.subBlockLength) {
+        this.finishSubBlock();
+      }
+    }
+    
+    this.truePeak = gainToDb(this.maxTruePeak);
+  }
+  
+  /**
+   * Run the K-weighting filters over a span and return its sum of squares
+   */
+  filterBlock(samples, offset, frames, state) {
+    const [b0, b1, b2, a1, a2] = this.pre;
+    const [c0, c1, c2, d1, d2] = this.rlb;
+    let [x1, x2, y1, y2, u1, u2, v1, v2] = state;
+    let sum = 0;
+    
+    for (let i = offset; i < offset + frames; i++) {
+      const x = samples[i];
+      const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      
+      const v = c0 * y + c1 * u1 + c2 * u2 - d1 * v1 - d2 * v2;
+      u2 = u1; u1 = y;
+      v2 = v1; v1 = v;
+      
+      sum += v * v;
+    }
+    
+    state.set([x1, x2, y1, y2, u1, u2, v1, v2]);
+    return sum;
+  }
+  
+  finishSubBlock() {
+    this.recentBlocks.push(this.subBlockEnergy / this.subBlockLength);
+    if (this.recentBlocks.length > SHORT_TERM_BLOCKS) {
+      this.recentBlocks.shift();
+    }
+    this.subBlockEnergy = 0;
+    this.subBlockFill = 0;
+    
+    const blocks = this.recentBlocks;
+    if (blocks.length >= MOMENTARY_BLOCKS) {
+      const momentaryEnergy = mean(blocks.slice(-MOMENTARY_BLOCKS));
+      this.momentary = energyToLufs(momentaryEnergy);
+      
+      // Every 400 ms block (stepped by 100 ms) is a gating block
+      if (this.momentary > ABSOLUTE_GATE) {
+        this.gatingBlocks.push(momentaryEnergy);
+      }
+    }
+    
+    // Short-term uses up to 3 s, so it reads before the window fills
+    this.shortTerm = energyToLufs(mean(blocks));
+  }
+  
+  /**
+   * Gated integrated loudness over everything processed since reset()
+   */
+  get integrated() {
+    if (this.gatingBlocks.length === 0) return -Infinity;
+    
+    const threshold = lufsToEnergy(energyToLufs(mean(this.gatingBlocks)) + RELATIVE_GATE);
+    const gated = this.gatingBlocks.filter(energy => energy > threshold);
+    return gated.length > 0 ? energyToLufs(mean(gated)) : -Infinity;
+  }
+  
+  getValues() {
+    return {
+      momentary: this.momentary,
+      shortTerm: this.shortTerm,
+      integrated: this.integrated,
+      truePeak: this.truePeak
+    };
+  }
+}
+
+/**
+ * Streaming 4x-oversampled peak detector. Output lags the input by about
+ * TAPS_PER_PHASE / 2 samples.
+ */
+export class TruePeakDetector {
+  constructor() {
+    // Mirrored ring buffer so the taps read a contiguous span
+    this.history = new Float32Array(TAPS_PER_PHASE * 2);
+    this.position = 0;
+  }
+  
+  /**
+   * Push one sample and return the largest absolute interpolated value
+   */
+  process(sample) {
+    const { history } = this;
+    const position = this.position = (this.position + TAPS_PER_PHASE - 1) % TAPS_PER_PHASE;
+    history[position] = sample;
+    history[position + TAPS_PER_PHASE] = sample;
+    
+    let peak = 0;
+    for (let p = 0; p < OVERSAMPLE; p++) {
+      const taps = PHASES[p];
+      let value = 0;
+      for (let j = 0; j < TAPS_PER_PHASE; j++) {
+        value += taps[j] * history[position + j];
+      }
+      if (value > peak) peak = value;
+      else if (-value > peak) peak = -value;
+    }
+    return peak;
+  }
+}
+
+/**
+ * Measure a whole buffer of planar channels
+ */
+export function measureLoudness(channels, sampleRate) {
+  const meter = new LoudnessMeter(sampleRate, channels.length);
+  meter.process(channels);
+  return meter.getValues();
+}
+
+/**
+ * Lookahead limiter that keeps the true peak of planar channels at or
+ * below `ceiling` dBTP. Works in place.
+ */
+export function limitTruePeak(channels, sampleRate, ceiling = -1, { lookahead = 0.0015, release = 0.1 } = {}) {
+  const length = channels[0].length;
+  const ceilingGain = dbToGain(ceiling);
+  const delay = Math.round(TAPS_PER_PHASE / 2);
+  const window = Math.max(1, Math.round(lookahead * sampleRate));
+  
+  // Gain each sample needs on its own, aligned to the detector delay
+  const required = new Float32Array(length).fill(1);
+  for (const samples of channels) {
+    const detector = new TruePeakDetector();
+    for (let i = 0; i < length + delay; i++) {
+      const peak = detector.process(i < length ? samples[i] : 0);
+      const index = i - delay;
+      if (index >= 0 && peak > ceilingGain) {
+        required[index] = Math.min(required[index], ceilingGain / peak);
+      }
+    }
+  }
+  
+  // Sliding minimum over [n - 2, n + window] (monotonic deque holding
+  // values, so `required` can be consumed as we go), then an exponential
+  // release, then a moving average over the lookahead window. The average
+  // of values that are each below required[n] stays below it, so every
+  // peak is caught while the gain ramps down smoothly ahead of it.
+  const dequeIndex = new Int32Array(window + 4);
+  const dequeValue = new Float32Array(window + 4);
+  const capacity = dequeIndex.length;
+  let head = 0;
+  let tail = 0;
+  
+  // Start from the lowest gain needed near the beginning, so the average
+  // is already down for a peak in the first window
+  let initial = 1;
+  for (let i = 0; i < Math.min(length, window + 1); i++) {
+    initial = Math.min(initial, required[i]);
+  }
+  
+  const releaseCoefficient = 1 - Math.exp(-1 / (release * sampleRate));
+  const averageRing = new Float32Array(window + 1).fill(initial);
+  let averageSum = initial * averageRing.length;
+  let averagePosition = 0;
+  let released = initial;
+  
+  for (let i = 0; i < length + window; i++) {
+    // Push required[i]
+    const value = i < length ? required[i] : 1;
+    while (tail !== head && dequeValue[(tail - 1 + capacity) % capacity] >= value) {
+      tail = (tail - 1 + capacity) % capacity;
+    }
+    dequeIndex[tail] = i;
+    dequeValue[tail] = value;
+    tail = (tail + 1) % capacity;
+    
+    const n = i - window;
+    if (n < 0) continue;
+    
+    // Drop indices that fell out of [n - 2, n + window]
+    while (dequeIndex[head] < n - 2) {
+      head = (head + 1) % capacity;
+    }
+    
+    released = Math.min(dequeValue[head], released + (1 - released) * releaseCoefficient);
+    
+    averageSum += released - averageRing[averagePosition];
+    averageRing[averagePosition] = released;
+    averagePosition = (averagePosition + 1) % averageRing.length;
+    
+    const gain = averageSum / averageRing.length;
+    if (gain < 1) {
+      for (const samples of channels) {
+        samples[n] *= gain;
+      }
+    }
+  }
+}
+
+/**
+ * Streaming lookahead limiter for the live output. Gain is applied to the
+ * input first (the volume boost), then the output is held at or below
+ * `ceiling` dBFS sample peak: the gain ramps down over the lookahead ahead
+ * of each peak and whatever the ramp misses is clamped, so nothing gets
+ * past. Output lags the input by the lookahead.
+ */
+export class PeakLimiter {
+  constructor(sampleRate, { ceiling = -1, lookahead = 0.0015, release = 0.1 } = {}) {
+    this.ceilingGain = dbToGain(ceiling);
+    this.lookahead = Math.max(1, Math.round(lookahead * sampleRate));
+    
+    // Reach ~98% of a gain drop within the lookahead
+    this.attackCoefficient = 1 - Math.exp(-4 / this.lookahead);
+    this.releaseCoefficient = 1 - Math.exp(-1 / (release * sampleRate));
+    
+    this.delays = [];
+    this.position = 0;
+    
+    // Monotonic deque of the gain each sample needs, over the lookahead
+    const capacity = this.lookahead + 2;
+    this.dequeIndex = new Float64Array(capacity);
+    this.dequeValue = new Float32Array(capacity);
+    this.head = 0;
+    this.tail = 0;
+    this.sample = 0;
+    
+    this.gain = 1;
+    this.minGain = 1;
+  }
+  
+  /**
+   * Limit planar `inputs` into `outputs` after scaling by `gains` (one
+   * value, or one per sample)
+   */
+  process(inputs, outputs, gains) {
+    const channelCount = Math.min(inputs.length, outputs.length);
+    const length = inputs[0].length;
+    const size = this.lookahead + 1;
+    const capacity = this.dequeIndex.length;
+    const { ceilingGain, dequeIndex, dequeValue } = this;
+    
+    if (this.delays.length !== channelCount) {
+      this.delays = Array.from({ length: channelCount }, () => new Float32Array(size));
+    }
+    
+    for (let i = 0; i < length; i++) {
+      const gain = gains.length > 1 ? gains[i] : gains[0];
+      const position = this.position;
+      
+      let peak = 0;
+      for (let c = 0; c < channelCount; c++) {
+        const x = inputs[c][i] * gain;
+        this.delays[c][position] = x;
+        peak = Math.max(peak, Math.abs(x));
+      }
+      
+      // Slide the window minimum of the required gain
+      const required = peak > ceilingGain ? ceilingGain / peak : 1;
+      while (this.tail !== this.head && dequeValue[(this.tail - 1 + capacity) % capacity] >= required) {
+        this.tail = (this.tail - 1 + capacity) % capacity;
+      }
+      dequeIndex[this.tail] = this.sample;
+      dequeValue[this.tail] = required;
+      this.tail = (this.tail + 1) % capacity;
+      while (dequeIndex[this.head] < this.sample - this.lookahead) {
+        this.head = (this.head + 1) % capacity;
+      }
+      
+      const target = dequeValue[this.head];
+      this.gain += (target - this.gain) * (target < this.gain ? this.attackCoefficient : this.releaseCoefficient);
+      this.minGain = Math.min(this.minGain, this.gain);
+      
+      // The oldest sample in the delay line leaves now
+      const oldest = (position + 1) % size;
+      for (let c = 0; c < channelCount; c++) {
+        const y = this.delays[c][oldest] * this.gain;
+        outputs[c][i] = Math.max(-ceilingGain, Math.min(ceilingGain, y));
+      }
+      
+      this.position = oldest;
+      this.sample++;
+    }
+  }
+  
+  /**
+   * Deepest gain reduction in dB since the last call
+   */
+  takeReduction() {
+    const reduction = -gainToDb(this.minGain);
+    this.minGain = this.gain;
+    return reduction;
+  }
+}
+
+/**
+ * Scale planar channels in place
+ */
+export function applyGain(channels, gainDb) {
+  const gain = dbToGain(gainDb);
+  for (const samples of channels) {
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] *= gain;
+    }
+  }
+}
+
+/**
+ * K-weighting: high-shelf pre-filter then the RLB high-pass, as normalized
+ * biquad coefficients [b0, b1, b2, a1, a2] for any sample rate
+ */
+function kWeightingCoefficients(sampleRate) {
+  let f0 = 1681.974450955533;
+  let Q = 0.7071752369554196;
+  let K = Math.tan(Math.PI * f0 / sampleRate);
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  
+  const pre = [
+    (Vh + Vb * K / Q + K * K) / a0,
+    2 * (K * K - Vh) / a0,
+    (Vh - Vb * K / Q + K * K) / a0,
+    2 * (K * K - 1) / a0,
+    (1 - K / Q + K * K) / a0
+  ];
+  
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan(Math.PI * f0 / sampleRate);
+  a0 = 1 + K / Q + K * K;
+  
+  const rlb = [
+    1,
+    -2,
+    1,
+    2 * (K * K - 1) / a0,
+    (1 - K / Q + K * K) / a0
+  ];
+  
+  return { pre, rlb };
+}
+
+/**
+ * Polyphase windowed-sinc interpolator, one tap set per output phase
+ */
+function createInterpolator() {
+  const length = OVERSAMPLE * TAPS_PER_PHASE;
+  const center = (length - 1) / 2;
+  const phases = [];
+  
+  for (let p = 0; p < OVERSAMPLE; p++) {
+    const taps = new Float32Array(TAPS_PER_PHASE);
+    for (let j = 0; j < TAPS_PER_PHASE; j++) {
+      const n = p + OVERSAMPLE * j;
+      const t = (n - center) / OVERSAMPLE;
+      const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+      const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length);
+      taps[j] = sinc * window;
+    }
+    phases.push(taps);
+  }
+  
+  return phases;
+}
+
+function mean(values) {
+  let sum = 0;
+  for (const value of values) sum += value;
+  return values.length > 0 ? sum / values.length : 0;
+}
+
+function energyToLufs(energy) {
+  return energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity;
+}
+
+function lufsToEnergy(lufs) {
+  return Math.pow(10, (lufs + 0.691) / 10);
+}
+
+function gainToDb(gain) {
+  return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+}
+
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
@@ -0,0 +1,189 @@
+/**
+ * VidFlow - Restoration Analysis
+ * Mains hum detection and noise profiling, shared by the live player,
+ * the noise profiler worklet and the offline export
+ */
+
+import { FFT, hannWindow } from './fft.js';
+
+// Mains frequencies, Europe/Asia and the Americas
+export const HUM_FREQUENCIES = [50, 60];
+
+// Long frames resolve 50 vs 60 Hz and their harmonics comfortably
+export const HUM_DETECT_FFT_SIZE = 32768;
+
+// Harmonics compared when scoring a mains frequency
+const HUM_DETECT_HARMONICS = 4;
+
+// Mean peak prominence (dB) over the harmonics needed to report hum
+const HUM_MIN_PROMINENCE = 6;
+
+// Frames averaged across the file for offline detection
+const HUM_DETECT_FRAMES = 24;
+
+/**
+ * Pick the mains frequency whose harmonics stand out most from the
+ * neighbouring bins of a power spectrum, or null when neither does
+ */
+export function findHumFrequency(power, binWidth) {
+  let best = null;
+  let bestScore = HUM_MIN_PROMINENCE;
+  
+  for (const base of HUM_FREQUENCIES) {
+    let score = 0;
+    for (let harmonic = 1; harmonic <= HUM_DETECT_HARMONICS; harmonic++) {
+      score += prominence(power, base * harmonic, binWidth);
+    }
+    score /= HUM_DETECT_HARMONICS;
+    
+    if (score > bestScore) {
+      best = base;
+      bestScore = score;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Peak power within 1 Hz of `frequency` relative to the mean power 3-8 Hz
+ * either side, in dB
+ */
+function prominence(power, frequency, binWidth) {
+  const bin = (hz) => Math.round(hz / binWidth);
+  
+  let peak = 0;
+  for (let k = bin(frequency - 1); k <= bin(frequency + 1); k++) {
+    peak = Math.max(peak, power[k] || 0);
+  }
+  
+  let sum = 0;
+  let count = 0;
+  for (const side of [-1, 1]) {
+    const from = bin(frequency + side * 3);
+    const to = bin(frequency + side * 8);
+    for (let k = Math.min(from, to); k <= Math.max(from, to); k++) {
+      if (k > 0 && k < power.length) {
+        sum += power[k];
+        count++;
+      }
+    }
+  }
+  
+  return 10 * Math.log10((peak + 1e-20) / (sum / Math.max(count, 1) + 1e-20));
+}
+
+/**
+ * Detect mains hum in decoded audio by averaging long spectra spread
+ * across the whole file. Returns 50, 60 or null.
+ */
+export function detectHum(channels, sampleRate) {
+  const size = HUM_DETECT_FFT_SIZE;
+  const length = channels[0].length;
+  if (length < size) return null;
+  
+  const fft = new FFT(size);
+  const window = hannWindow(size);
+  const real = new Float32Array(size);
+  const imag = new Float32Array(size);
+  const power = new Float64Array(size / 2 + 1);
+  
+  const frames = Math.min(HUM_DETECT_FRAMES, Math.floor(length / size));
+  const spacing = Math.floor((length - size) / Math.max(frames - 1, 1));
+  
+  for (let frame = 0; frame < frames; frame++) {
+    const start = frame * spacing;
+    
+    // Mono sum, hum is common to both channels
+    for (let i = 0; i < size; i++) {
+      let sample = 0;
+      for (const channel of channels) sample += channel[start + i];
+      real[i] = sample * window[i];
+      imag[i] = 0;
+    }
+    fft.forward(real, imag);
+    
+    for (let k = 0; k < power.length; k++) {
+      power[k] += real[k] * real[k] + imag[k] * imag[k];
+    }
+  }
+  
+  return findHumFrequency(power, sampleRate / size);
+}
+
+/**
+ * Average power spectrum of a quiet section, in the same units the hiss
+ * reducer measures its frames in (sqrt-Hann windowed, channel average)
+ */
+export class NoiseProfiler {
+  constructor(fftSize) {
+    this.fftSize = fftSize;
+    this.bins = fftSize / 2 + 1;
+    this.fft = new FFT(fftSize);
+    this.window = hannWindow(fftSize).map(Math.sqrt);
+    this.real = new Float32Array(fftSize);
+    this.imag = new Float32Array(fftSize);
+    
+    this.buffers = [];
+    this.fill = 0;
+    this.reset();
+  }
+  
+  reset() {
+    this.sum = new Float64Array(this.bins);
+    this.frames = 0;
+    this.fill = 0;
+  }
+  
+  /**
+   * Feed a block of samples per channel
+   */
+  process(channels) {
+    if (this.buffers.length !== channels.length) {
+      this.buffers = channels.map(() => new Float32Array(this.fftSize));
+      this.fill = 0;
+    }
+    
+    const length = channels[0].length;
+    let offset = 0;
+    while (offset < length) {
+      const count = Math.min(length - offset, this.fftSize - this.fill);
+      channels.forEach((channel, c) => {
+        this.buffers[c].set(channel.subarray(offset, offset + count), this.fill);
+      });
+      this.fill += count;
+      offset += count;
+      
+      if (this.fill === this.fftSize) {
+        this.addFrame();
+        this.fill = 0;
+      }
+    }
+  }
+  
+  addFrame() {
+    const { fftSize, real, imag, window, sum } = this;
+    
+    for (const buffer of this.buffers) {
+      for (let i = 0; i < fftSize; i++) {
+        real[i] = buffer[i] * window[i];
+        imag[i] = 0;
+      }
+      this.fft.forward(real, imag);
+      
+      for (let k = 0; k < this.bins; k++) {
+        sum[k] += (real[k] * real[k] + imag[k] * imag[k]) / this.buffers.length;
+      }
+    }
+    
+    this.frames++;
+  }
+  
+  /**
+   * Mean power per bin, or null before the first full frame
+   */
+  getProfile() {
+    if (this.frames === 0) return null;
+    return Float32Array.from(this.sum, value => value / this.frames);
+  }
+}
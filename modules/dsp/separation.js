@@ -0,0 +1,324 @@
+/**
+ * VidFlow - Deep Clean Separation
+ * Offline music reduction over a whole track: a harmonic/percussive split
+ * with a long harmonic median picks out sustained tonal music, and a
+ * REPET-SIM model (the median of the most similar frames elsewhere in the
+ * track) picks out anything that repeats. Speech is neither, so it is what
+ * survives the soft mask. Runs in the Deep Clean worker.
+ */
+
+import { FFT, hannWindow } from './fft.js';
+
+const FFT_SIZE = 2048;
+const OVERLAP = 4;
+
+// Seconds of spectrum a partial must hold for the harmonic median to
+// call it music rather than a syllable
+const HARMONIC_SECONDS = 0.6;
+
+// The harmonic median moves slowly, so it is refreshed every few frames
+const HARMONIC_STEP = 4;
+
+// Bins in the percussive (across frequency) median
+const PERCUSSIVE_BINS = 17;
+
+// REPET-SIM: frames searched either side, the closest a match may be,
+// how many matches are combined, and the search stride in frames
+const REPEAT_SEARCH_SECONDS = 8;
+const REPEAT_MIN_LAG_SECONDS = 1;
+const REPEAT_MATCHES = 9;
+const REPEAT_STRIDE = 2;
+
+// Log-spaced bands in the frame features compared by REPET-SIM
+const FEATURE_BANDS = 48;
+
+// Frames analysed per block; context either side comes on top
+const BLOCK_SECONDS = 60;
+
+// Frames between progress reports
+const PROGRESS_FRAMES = 256;
+
+// Lowest mask gain, so nothing is gated to digital silence
+const MIN_GAIN = Math.pow(10, -30 / 20);
+
+/**
+ * Remove the music from planar channels. Returns new channels of the same
+ * length. `onProgress` receives a 0-1 fraction.
+ */
+export function deepClean(channels, sampleRate, { onProgress } = {}) {
+  const length = channels[0].length;
+  const hop = FFT_SIZE / OVERLAP;
+  const bins = FFT_SIZE / 2 + 1;
+  
+  // Frame f is centred on sample f * hop, so every sample sits under
+  // OVERLAP frames and the overlap-add gain is constant
+  const frameCount = Math.ceil(length / hop) + 1;
+  const toFrames = (seconds) => Math.max(1, Math.round(seconds * sampleRate / hop));
+  
+  const harmonicRadius = toFrames(HARMONIC_SECONDS / 2);
+  const search = toFrames(REPEAT_SEARCH_SECONDS);
+  const minLag = toFrames(REPEAT_MIN_LAG_SECONDS);
+  const context = Math.max(harmonicRadius, search);
+  const blockFrames = toFrames(BLOCK_SECONDS);
+  
+  const fft = new FFT(FFT_SIZE);
+  const window = hannWindow(FFT_SIZE).map(Math.sqrt);
+  const real = new Float32Array(FFT_SIZE);
+  const imag = new Float32Array(FFT_SIZE);
+  const outputScale = 2 / OVERLAP;
+  
+  const bands = createBands(bins, FEATURE_BANDS);
+  const outputs = channels.map(() => new Float32Array(length));
+  
+  // Scratch for the medians
+  const harmonicValues = new Float32Array(harmonicRadius * 2 + 1);
+  const percussiveValues = new Float32Array(PERCUSSIVE_BINS);
+  const matchValues = new Float32Array(REPEAT_MATCHES);
+  const harmonic = new Float32Array(bins);
+  const mask = new Float32Array(bins);
+  const matches = new Int32Array(REPEAT_MATCHES);
+  const matchScores = new Float32Array(REPEAT_MATCHES);
+  
+  // Windowed spectrum of frame f of the channel mix
+  const loadMix = (f) => {
+    const start = f * hop - FFT_SIZE / 2;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const index = start + i;
+      let sample = 0;
+      if (index >= 0 && index < length) {
+        for (const channel of channels) sample += channel[index];
+        sample /= channels.length;
+      }
+      real[i] = sample * window[i];
+      imag[i] = 0;
+    }
+    fft.forward(real, imag);
+  };
+  
+  // Two channels share one complex transform, one in the real part and
+  // one in the imaginary. A real, symmetric mask scales both alike.
+  const maskPair = (first, second, f, outFirst, outSecond) => {
+    const start = f * hop - FFT_SIZE / 2;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const index = start + i;
+      const inRange = index >= 0 && index < length;
+      real[i] = inRange ? first[index] * window[i] : 0;
+      imag[i] = inRange && second ? second[index] * window[i] : 0;
+    }
+    fft.forward(real, imag);
+    
+    for (let k = 0; k < bins; k++) {
+      real[k] *= mask[k];
+      imag[k] *= mask[k];
+      if (k > 0 && k < bins - 1) {
+        real[FFT_SIZE - k] *= mask[k];
+        imag[FFT_SIZE - k] *= mask[k];
+      }
+    }
+    fft.inverse(real, imag);
+    
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const index = start + i;
+      if (index >= 0 && index < length) {
+        outFirst[index] += real[i] * window[i] * outputScale;
+        if (outSecond) outSecond[index] += imag[i] * window[i] * outputScale;
+      }
+    }
+  };
+  
+  for (let blockStart = 0; blockStart < frameCount; blockStart += blockFrames) {
+    const blockEnd = Math.min(frameCount, blockStart + blockFrames);
+    const rangeStart = Math.max(0, blockStart - context);
+    const rangeEnd = Math.min(frameCount, blockEnd + context);
+    const rangeLength = rangeEnd - rangeStart;
+    
+    // Magnitudes and unit-length band features of the mix over the block
+    // and its context
+    const magnitudes = new Float32Array(rangeLength * bins);
+    const features = new Float32Array(rangeLength * FEATURE_BANDS);
+    for (let f = rangeStart; f < rangeEnd; f++) {
+      loadMix(f);
+      const offset = (f - rangeStart) * bins;
+      for (let k = 0; k < bins; k++) {
+        magnitudes[offset + k] = Math.hypot(real[k], imag[k]);
+      }
+      
+      const featureOffset = (f - rangeStart) * FEATURE_BANDS;
+      let norm = 0;
+      for (let b = 0; b < FEATURE_BANDS; b++) {
+        let sum = 0;
+        for (let k = bands[b]; k < bands[b + 1]; k++) sum += magnitudes[offset + k];
+        features[featureOffset + b] = sum;
+        norm += sum * sum;
+      }
+      norm = Math.sqrt(norm) || 1;
+      for (let b = 0; b < FEATURE_BANDS; b++) features[featureOffset + b] /= norm;
+    }
+    
+    for (let f = blockStart; f < blockEnd; f++) {
+      const row = f - rangeStart;
+      const offset = row * bins;
+      
+      // Harmonic: median over time of each bin
+      if ((f - blockStart) % HARMONIC_STEP === 0) {
+        const from = Math.max(rangeStart, f - harmonicRadius) - rangeStart;
+        const to = Math.min(rangeEnd - 1, f + harmonicRadius) - rangeStart;
+        for (let k = 0; k < bins; k++) {
+          let count = 0;
+          for (let r = from; r <= to; r++) harmonicValues[count++] = magnitudes[r * bins + k];
+          harmonic[k] = median(harmonicValues, count);
+        }
+      }
+      
+      // REPET-SIM: the frames most like this one, at least minLag away
+      findMatches(features, row, rangeLength, search, minLag, matches, matchScores);
+      const matchCount = matches.reduce((count, match) => count + (match >= 0 ? 1 : 0), 0);
+      
+      for (let k = 0; k < bins; k++) {
+        const magnitude = magnitudes[offset + k];
+        
+        // Percussive: median across neighbouring bins
+        let count = 0;
+        const low = Math.max(0, k - (PERCUSSIVE_BINS >> 1));
+        const high = Math.min(bins - 1, k + (PERCUSSIVE_BINS >> 1));
+        for (let j = low; j <= high; j++) percussiveValues[count++] = magnitudes[offset + j];
+        const percussive = median(percussiveValues, count);
+        
+        // The part of the bin that held steady, where it is more harmonic
+        // than percussive
+        const h2 = harmonic[k] * harmonic[k];
+        const sustained = Math.min(magnitude, harmonic[k]) * h2 / (h2 + percussive * percussive + 1e-20);
+        
+        let repeating = 0;
+        if (matchCount > 0) {
+          let n = 0;
+          for (const match of matches) {
+            if (match >= 0) matchValues[n++] = magnitudes[match * bins + k];
+          }
+          repeating = Math.min(magnitude, median(matchValues, n));
+        }
+        
+        // Soft mask from the music estimate and what is left of the frame
+        const music = Math.max(sustained, repeating);
+        const speech = magnitude - music;
+        const gain = speech * speech / (speech * speech + music * music + 1e-20);
+        mask[k] = Math.max(MIN_GAIN, gain);
+      }
+      
+      // Mask the channels' frames and overlap-add them back
+      for (let c = 0; c < channels.length; c += 2) {
+        maskPair(channels[c], channels[c + 1], f, outputs[c], outputs[c + 1]);
+      }
+      
+      if ((f + 1) % PROGRESS_FRAMES === 0) onProgress?.((f + 1) / frameCount);
+    }
+  }
+  
+  onProgress?.(1);
+  
+  return outputs;
+}
+
+/**
+ * Bin edges of `count` log-spaced bands from bin 1 up to Nyquist
+ */
+function createBands(bins, count) {
+  const edges = new Int32Array(count + 1);
+  for (let b = 0; b <= count; b++) {
+    edges[b] = Math.min(bins, Math.round(Math.pow(bins, b / count)));
+  }
+  
+  // Low bands narrower than a bin still get one
+  for (let b = 1; b <= count; b++) {
+    edges[b] = Math.max(edges[b], edges[b - 1] + 1);
+  }
+  edges[count] = bins;
+  return edges;
+}
+
+/**
+ * Fill `matches` with the rows whose features are closest (cosine
+ * similarity) to `row`, best first, -1 where there are not enough
+ * candidates. Matches are kept at least `minLag` apart, so each one is a
+ * separate repetition rather than neighbouring frames of the same one.
+ */
+function findMatches(features, row, rows, search, minLag, matches, scores) {
+  matches.fill(-1);
+  scores.fill(-Infinity);
+  
+  const offset = row * FEATURE_BANDS;
+  const from = Math.max(0, row - search);
+  const to = Math.min(rows - 1, row + search);
+  const last = scores.length - 1;
+  
+  for (let candidate = from; candidate <= to; candidate += REPEAT_STRIDE) {
+    if (Math.abs(candidate - row) < minLag) continue;
+    
+    const candidateOffset = candidate * FEATURE_BANDS;
+    let score = 0;
+    for (let b = 0; b < FEATURE_BANDS; b++) {
+      score += features[offset + b] * features[candidateOffset + b];
+    }
+    if (score <= scores[last]) continue;
+    
+    // A better match nearby stands for this repetition already; a worse
+    // one gives up its place
+    let rival = -1;
+    for (let i = 0; i <= last && matches[i] >= 0; i++) {
+      if (Math.abs(matches[i] - candidate) < minLag) {
+        rival = i;
+        break;
+      }
+    }
+    if (rival >= 0) {
+      if (scores[rival] >= score) continue;
+      for (let i = rival; i < last; i++) {
+        scores[i] = scores[i + 1];
+        matches[i] = matches[i + 1];
+      }
+      scores[last] = -Infinity;
+      matches[last] = -1;
+    }
+    
+    // Insert into the short list, best first
+    let i = last;
+    while (i > 0 && scores[i - 1] < score) {
+      scores[i] = scores[i - 1];
+      matches[i] = matches[i - 1];
+      i--;
+    }
+    scores[i] = score;
+    matches[i] = candidate;
+  }
+}
+
+/**
+ * Median of the first `count` values, reordering them (quickselect)
+ */
+function median(values, count) {
+  if (count === 0) return 0;
+  
+  const middle = count >> 1;
+  let left = 0;
+  let right = count - 1;
+  while (left < right) {
+    const pivot = values[(left + right) >> 1];
+    let i = left;
+    let j = right;
+    while (i <= j) {
+      while (values[i] < pivot) i++;
+      while (values[j] > pivot) j--;
+      if (i <= j) {
+        const tmp = values[i];
+        values[i] = values[j];
+        values[j] = tmp;
+        i++;
+        j--;
+      }
+    }
+    if (middle <= j) right = j;
+    else if (middle >= i) left = i;
+    else break;
+  }
+  return values[middle];
+}
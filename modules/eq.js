@@ -0,0 +1,436 @@
+/**
+ * VidFlow - Parametric EQ Editor
+ * Band editor with a draggable frequency-response curve and custom presets
+ */
+
+import {
+  EQ_BAND_TYPES,
+  EQ_EDIT_PRESET,
+  getPreset,
+  resolvePreset,
+  setEditingBands,
+  saveCustomPreset,
+  deleteCustomPreset
+} from './presets.js';
+
+const MIN_FREQ = 20;
+const MAX_FREQ = 20000;
+const MAX_GAIN = 24;
+const MAX_BANDS = 10;
+const HANDLE_RADIUS = 6;
+
+// Bands without a gain parameter
+const GAINLESS_TYPES = ['lowpass', 'highpass', 'notch'];
+
+const DEFAULT_BANDS = [
+  { type: 'lowshelf', frequency: 200, Q: 0.7, gain: 0 },
+  { type: 'peaking', frequency: 1000, Q: 1, gain: 0 },
+  { type: 'highshelf', frequency: 4000, Q: 0.7, gain: 0 }
+];
+
+export class EQEditor {
+  constructor(app) {
+    this.app = app;
+    this.bands = [];
+    this.isOpen = false;
+    this.dragIndex = -1;
+    this.responseContext = null;
+    
+    // Removes every DOM listener in destroy()
+    this.listeners = new AbortController();
+    
+    this.elements = {
+      editBtn: document.getElementById('eq-edit-btn'),
+      editor: document.getElementById('eq-editor'),
+      canvas: document.getElementById('eq-canvas'),
+      bandList: document.getElementById('eq-bands'),
+      addBtn: document.getElementById('eq-add-band'),
+      deleteBtn: document.getElementById('eq-delete-preset'),
+      nameInput: document.getElementById('eq-preset-name'),
+      saveBtn: document.getElementById('eq-save-preset')
+    };
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.listeners;
+    
+    this.elements.editBtn?.addEventListener('click', () => {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }, { signal });
+    
+    this.elements.addBtn?.addEventListener('click', () => this.addBand(), { signal });
+    this.elements.saveBtn?.addEventListener('click', () => this.savePreset(), { signal });
+    this.elements.deleteBtn?.addEventListener('click', () => this.deletePreset(), { signal });
+    
+    // Band controls (delegated, rows are re-rendered)
+    this.elements.bandList?.addEventListener('input', (e) => this.handleBandInput(e), { signal });
+    this.elements.bandList?.addEventListener('change', (e) => this.handleBandInput(e), { signal });
+    this.elements.bandList?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.eq-band-remove');
+      if (removeBtn) this.removeBand(parseInt(removeBtn.closest('.eq-band').dataset.index));
+    }, { signal });
+    
+    // Curve dragging
+    const canvas = this.elements.canvas;
+    canvas?.addEventListener('pointerdown', (e) => this.handlePointerDown(e), { signal });
+    canvas?.addEventListener('pointermove', (e) => this.handlePointerMove(e), { signal });
+    canvas?.addEventListener('pointerup', () => { this.dragIndex = -1; }, { signal });
+    canvas?.addEventListener('pointercancel', () => { this.dragIndex = -1; }, { signal });
+    canvas?.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false, signal });
+  }
+  
+  open() {
+    this.isOpen = true;
+    this.elements.editor?.removeAttribute('hidden');
+    this.elements.editBtn?.setAttribute('aria-expanded', 'true');
+    this.loadBands(this.app.audioFx?.getCurrentPreset() || 'off');
+  }
+  
+  close() {
+    this.isOpen = false;
+    this.elements.editor?.setAttribute('hidden', '');
+    this.elements.editBtn?.setAttribute('aria-expanded', 'false');
+  }
+  
+  /**
+   * Called by AudioFX when the preset changes
+   */
+  onPresetChange(presetId) {
+    if (this.isOpen && presetId !== EQ_EDIT_PRESET) {
+      this.loadBands(presetId);
+    }
+    this.updateDeleteButton(presetId);
+  }
+  
+  /**
+   * Start editing from a preset's biquad stages at the current strength
+   */
+  loadBands(presetId) {
+    const settings = this.app.audioFx?.getSettings() || {};
+    const bands = resolvePreset(presetId, settings)
+      .filter(stage => stage.type in EQ_BAND_TYPES)
+      .map(stage => ({ Q: 0.7, gain: 0, ...stage }));
+    
+    this.bands = bands.length > 0 ? bands : DEFAULT_BANDS.map(band => ({ ...band }));
+    this.renderBands();
+    this.draw();
+    this.updateDeleteButton(presetId);
+  }
+  
+  /**
+   * Push the edited bands to the live chain
+   */
+  applyBands() {
+    const audioFx = this.app.audioFx;
+    setEditingBands(this.bands);
+    
+    if (audioFx?.getCurrentPreset() !== EQ_EDIT_PRESET) {
+      audioFx?.setPreset(EQ_EDIT_PRESET);
+    } else {
+      audioFx.updateFilters();
+    }
+    
+    this.draw();
+  }
+  
+  addBand() {
+    if (this.bands.length >= MAX_BANDS) {
+      this.app.ui.showToast(`Up to ${MAX_BANDS} bands are supported`, 'warning');
+      return;
+    }
+    
+    this.bands.push({ type: 'peaking', frequency: 1000, Q: 1, gain: 0 });
+    this.renderBands();
+    this.applyBands();
+  }
+  
+  removeBand(index) {
+    this.bands.splice(index, 1);
+    this.renderBands();
+    this.applyBands();
+  }
+  
+  handleBandInput(e) {
+    const row = e.target.closest('.eq-band');
+    if (!row) return;
+    
+    const band = this.bands[parseInt(row.dataset.index)];
+    const field = e.target.dataset.field;
+    if (!band || !field) return;
+    
+    if (field === 'type') {
+      band.type = e.target.value;
+      if (GAINLESS_TYPES.includes(band.type)) band.gain = 0;
+      this.renderBands();
+    } else {
+      const value = parseFloat(e.target.value);
+      if (isNaN(value)) return;
+      band[field] = this.clampField(field, value);
+    }
+    
+    this.applyBands();
+  }
+  
+  clampField(field, value) {
+    switch (field) {
+      case 'frequency': return Math.max(MIN_FREQ, Math.min(MAX_FREQ, value));
+      case 'Q': return Math.max(0.1, Math.min(18, value));
+      case 'gain': return Math.max(-MAX_GAIN, Math.min(MAX_GAIN, value));
+      default: return value;
+    }
+  }
+  
+  renderBands() {
+    const list = this.elements.bandList;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    this.bands.forEach((band, index) => {
+      const row = document.createElement('div');
+      row.className = 'eq-band';
+      row.dataset.index = index;
+      
+      const typeOptions = Object.entries(EQ_BAND_TYPES)
+        .map(([type, label]) => `<option value="${type}"${type === band.type ? ' selected' : ''}>${label}</option>`)
+        .join('');
+      const gainless = GAINLESS_TYPES.includes(band.type);
+      
+      row.innerHTML = `
+        <select data-field="type" aria-label="Band ${index + 1} type">${typeOptions}</select>
+        <input type="number" data-field="frequency" min="${MIN_FREQ}" max="${MAX_FREQ}" step="1" value="${Math.round(band.frequency)}" aria-label="Band ${index + 1} frequency (Hz)">
+        <input type="number" data-field="Q" min="0.1" max="18" step="0.1" value="${band.Q.toFixed(1)}" aria-label="Band ${index + 1} Q">
+        <input type="number" data-field="gain" min="${-MAX_GAIN}" max="${MAX_GAIN}" step="0.5" value="${band.gain.toFixed(1)}" aria-label="Band ${index + 1} gain (dB)"${gainless ? ' disabled' : ''}>
+        <button class="eq-band-remove" aria-label="Remove band ${index + 1}">&times;</button>
+      `;
+      
+      list.appendChild(row);
+    });
+  }
+  
+  /**
+   * Refresh the numeric inputs of one band without rebuilding the rows
+   */
+  syncBandRow(index) {
+    const row = this.elements.bandList?.querySelector(`.eq-band[data-index="${index}"]`);
+    const band = this.bands[index];
+    if (!row || !band) return;
+    
+    row.querySelector('[data-field="frequency"]').value = Math.round(band.frequency);
+    row.querySelector('[data-field="Q"]').value = band.Q.toFixed(1);
+    row.querySelector('[data-field="gain"]').value = band.gain.toFixed(1);
+  }
+  
+  savePreset() {
+    const name = this.elements.nameInput?.value.trim();
+    if (!name) {
+      this.app.ui.showToast('Enter a name for the preset', 'warning');
+      this.elements.nameInput?.focus();
+      return;
+    }
+    
+    const id = saveCustomPreset(name, this.bands);
+    this.elements.nameInput.value = '';
+    
+    const audioFx = this.app.audioFx;
+    audioFx?.renderCustomPresets();
+    audioFx?.setPreset(id);
+    
+    this.app.ui.showToast(`Saved preset "${name}"`, 'success');
+  }
+  
+  deletePreset() {
+    const audioFx = this.app.audioFx;
+    const presetId = audioFx?.getCurrentPreset();
+    const preset = getPreset(presetId);
+    if (!preset.custom || presetId === EQ_EDIT_PRESET) return;
+    
+    deleteCustomPreset(presetId);
+    audioFx.renderCustomPresets();
+    audioFx.setPreset('off');
+    
+    this.app.ui.showToast(`Deleted preset "${preset.label}"`, 'success');
+  }
+  
+  updateDeleteButton(presetId) {
+    const isSavedCustom = getPreset(presetId).custom && presetId !== EQ_EDIT_PRESET;
+    this.elements.deleteBtn?.toggleAttribute('hidden', !isSavedCustom);
+  }
+  
+  // Curve geometry
+  
+  freqToX(freq) {
+    const width = this.elements.canvas.width;
+    return width * Math.log(freq / MIN_FREQ) / Math.log(MAX_FREQ / MIN_FREQ);
+  }
+  
+  xToFreq(x) {
+    const width = this.elements.canvas.width;
+    return MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, x / width);
+  }
+  
+  gainToY(gain) {
+    const height = this.elements.canvas.height;
+    return height / 2 - (gain / MAX_GAIN) * (height / 2);
+  }
+  
+  yToGain(y) {
+    const height = this.elements.canvas.height;
+    return ((height / 2 - y) / (height / 2)) * MAX_GAIN;
+  }
+  
+  getCanvasPoint(e) {
+    const canvas = this.elements.canvas;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  }
+  
+  findHandle(point) {
+    return this.bands.findIndex(band => {
+      const dx = this.freqToX(band.frequency) - point.x;
+      const dy = this.gainToY(band.gain) - point.y;
+      return Math.hypot(dx, dy) <= HANDLE_RADIUS * 2;
+    });
+  }
+  
+  handlePointerDown(e) {
+    this.dragIndex = this.findHandle(this.getCanvasPoint(e));
+    if (this.dragIndex >= 0) {
+      this.elements.canvas.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    }
+  }
+  
+  handlePointerMove(e) {
+    const point = this.getCanvasPoint(e);
+    
+    if (this.dragIndex < 0) {
+      this.elements.canvas.style.cursor = this.findHandle(point) >= 0 ? 'grab' : 'default';
+      return;
+    }
+    
+    const band = this.bands[this.dragIndex];
+    band.frequency = this.clampField('frequency', this.xToFreq(point.x));
+    if (!GAINLESS_TYPES.includes(band.type)) {
+      band.gain = Math.round(this.clampField('gain', this.yToGain(point.y)) * 2) / 2;
+    }
+    
+    this.syncBandRow(this.dragIndex);
+    this.applyBands();
+  }
+  
+  handleWheel(e) {
+    const index = this.findHandle(this.getCanvasPoint(e));
+    if (index < 0) return;
+    
+    e.preventDefault();
+    const band = this.bands[index];
+    band.Q = this.clampField('Q', band.Q * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+    
+    this.syncBandRow(index);
+    this.applyBands();
+  }
+  
+  /**
+   * Combined magnitude response (dB) of all bands, computed with
+   * BiquadFilterNode.getFrequencyResponse()
+   */
+  getResponse(frequencies) {
+    if (!this.responseContext) {
+      this.responseContext = new OfflineAudioContext(1, 128, 48000);
+    }
+    
+    const total = new Float32Array(frequencies.length).fill(1);
+    const magnitude = new Float32Array(frequencies.length);
+    const phase = new Float32Array(frequencies.length);
+    
+    for (const band of this.bands) {
+      const filter = this.responseContext.createBiquadFilter();
+      filter.type = band.type;
+      filter.frequency.value = band.frequency;
+      filter.Q.value = band.Q;
+      filter.gain.value = band.gain;
+      filter.getFrequencyResponse(frequencies, magnitude, phase);
+      
+      for (let i = 0; i < total.length; i++) {
+        total[i] *= magnitude[i];
+      }
+    }
+    
+    return total.map(value => 20 * Math.log10(Math.max(value, 1e-6)));
+  }
+  
+  draw() {
+    const canvas = this.elements.canvas;
+    if (!canvas || !this.isOpen) return;
+    
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const styles = getComputedStyle(document.documentElement);
+    const accent = styles.getPropertyValue('--accent-primary').trim();
+    const grid = styles.getPropertyValue('--border-medium').trim();
+    const text = styles.getPropertyValue('--text-tertiary').trim();
+    
+    ctx.clearRect(0, 0, width, height);
+    
+    // Grid: decades and +/-12 dB lines
+    ctx.strokeStyle = grid;
+    ctx.lineWidth = 1;
+    ctx.fillStyle = text;
+    ctx.font = '9px sans-serif';
+    for (const freq of [100, 1000, 10000]) {
+      const x = Math.round(this.freqToX(freq)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x + 2, height - 3);
+    }
+    for (const gain of [-12, 0, 12]) {
+      const y = Math.round(this.gainToY(gain)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    }
+    
+    // Response curve
+    const frequencies = new Float32Array(width);
+    for (let x = 0; x < width; x++) {
+      frequencies[x] = this.xToFreq(x);
+    }
+    const response = this.getResponse(frequencies);
+    
+    ctx.strokeStyle = accent;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    response.forEach((db, x) => {
+      const y = this.gainToY(Math.max(-MAX_GAIN, Math.min(MAX_GAIN, db)));
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    
+    // Band handles
+    ctx.fillStyle = accent;
+    this.bands.forEach(band => {
+      ctx.beginPath();
+      ctx.arc(this.freqToX(band.frequency), this.gainToY(band.gain), HANDLE_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+  
+  destroy() {
+    this.close();
+    this.listeners.abort();
+  }
+}
@@ -1,17 +1,85 @@
 /**
  * VidFlow - Export Module
- * Handles WAV and MP4 export with ffmpeg.wasm
+ * Handles audio export (WAV, FLAC, MP3, Ogg Opus) and video export, with
+ * WebCodecs where the browser has it and ffmpeg.wasm otherwise
  */
 
+import { OfflineRenderer } from './renderer.js';
+import { WebCodecsExporter } from './webcodecs-export.js';
+import { resolveStages, toFfmpegFilter, getPreset } from './presets.js';
+import { BOOST_CEILING } from './audiofx.js';
+import { LoudnessMeter, applyGain, limitTruePeak } from './dsp/loudness.js';
+import { getWavSize, WAV_CHUNK_FRAMES } from './containers/wav.js';
+import { muxOggOpus } from './containers/ogg.js';
+import { createZip } from './containers/zip.js';
+import { createChaptersVtt, createFfmetadata } from './containers/chapters.js';
+
+// Seconds of audio measured between yields to the UI
+const LOUDNESS_CHUNK = 10;
+
+// Audio formats in the download menu. WAV and FLAC are written by the
+// audio encoder worker, Opus by WebCodecs and MP3 by ffmpeg.wasm.
+export const AUDIO_FORMATS = {
+  'wav-16': { encoder: 'wav', bitDepth: 16, extension: 'wav', type: 'audio/wav' },
+  'wav-24': { encoder: 'wav', bitDepth: 24, extension: 'wav', type: 'audio/wav' },
+  'wav-32': { encoder: 'wav', bitDepth: 32, extension: 'wav', type: 'audio/wav' },
+  'flac-16': { encoder: 'flac', bitDepth: 16, extension: 'flac', type: 'audio/flac' },
+  'flac-24': { encoder: 'flac', bitDepth: 24, extension: 'flac', type: 'audio/flac' },
+  mp3: { encoder: 'mp3', extension: 'mp3', type: 'audio/mpeg' },
+  opus: { encoder: 'opus', extension: 'opus', type: 'audio/ogg' }
+};
+
+// WAV exports expected to be larger than this are written straight to a
+// file the user picks, when the browser can
+const LARGE_FILE_BYTES = 1024 ** 3;
+
+// Streamed chunks are gathered into a Blob every this many bytes, which
+// lets the browser move them out of memory
+const BLOB_PART_BYTES = 64 * 1024 ** 2;
+
+// MP3 stops at 48 kHz
+const MP3_MAX_SAMPLE_RATE = 48000;
+
+// ffmpeg's stats line, "... time=00:01:02.34 bitrate=...", and the input
+// length it logs up front
+const FFMPEG_TIME = /time=\s*(-?\d+):(\d+):(\d+(?:\.\d+)?)/;
+const FFMPEG_DURATION = /Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/;
+
+// Log lines kept to explain a failed ffmpeg command
+const FFMPEG_LOG_TAIL = 20;
+
+// Where runFfmpeg() mounts Blob inputs, which ffmpeg reads in place rather
+// than from a copy in its own memory
+const FFMPEG_MOUNT_DIR = '/blobs';
+
+// Seconds into a command before speed and time left are shown, so the
+// first estimate isn't wild
+const ETA_MIN_ELAPSED = 1;
+
+// Video encoding for frame-accurate clips, which can't be stream copied
+const CLIP_VIDEO_ARGS = ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '18'];
+
 export class Exporter {
-  constructor(app) {
+  /**
+   * Without a `host` this exports the open video from the download menu,
+   * with progress in the export modal. A host exports something else: it
+   * supplies the file through getVideoFile(), getBaseName(), getChapters()
+   * and getRenderSource(), and takes updateExportStatus(),
+   * updateExportProgress() and updateExportDetails().
+   */
+  constructor(app, host = null) {
     this.app = app;
-    this.ffmpeg = null;
-    this.isLoading = false;
+    this.host = host;
+    this.renderer = new OfflineRenderer(app);
+    this.webCodecs = new WebCodecsExporter(this.renderer);
+    this.ffmpegLoader = app.ffmpegLoader;
     this.isExporting = false;
     this.abortController = null;
     
-    this.init();
+    // Last status shown, put back after waiting for ffmpeg.wasm
+    this.status = '';
+    
+    if (!host) this.init();
   }
   
   init() {
@@ -57,6 +125,17 @@ export class Exporter {
       this.downloadProcessedVideo();
     });
     
+    // Export processed and residual stems
+    document.getElementById('download-stems')?.addEventListener('click', () => {
+      this.downloadStems();
+    });
+    
+    // Dither only applies to integer PCM, and Opus is always 48 kHz
+    document.getElementById('export-format')?.addEventListener('change', () => {
+      this.updateFormatOptions();
+    });
+    this.updateFormatOptions();
+    
     // Cancel export
     document.getElementById('export-cancel')?.addEventListener('click', () => {
       this.cancelExport();
@@ -67,6 +146,12 @@ export class Exporter {
     const video = this.app.currentVideo;
     if (!video) return;
     
+    const { clip } = this.getExportOptions();
+    if (clip && video.type === 'file' && this.app.videoFile) {
+      this.downloadOriginalClip(clip);
+      return;
+    }
+    
     if (video.type === 'file' && this.app.videoFile) {
       // For uploaded files, create download link
       const url = URL.createObjectURL(this.app.videoFile);
@@ -82,7 +167,70 @@ export class Exporter {
     } else {
       // For URLs, open in new tab (browser will handle download if possible)
       window.open(video.url, '_blank');
-      this.app.ui.showToast('Opening video in new tab', 'success');
+      this.app.ui.showToast(clip
+        ? 'Only uploaded videos can be trimmed, opening the whole video'
+        : 'Opening video in new tab', clip ? 'warning' : 'success');
+    }
+  }
+  
+  /**
+   * Cut the original file to the clip with ffmpeg.wasm: a stream copy from
+   * the keyframe before the in point, or re-encoded from the exact frame
+   */
+  async downloadOriginalClip(clip) {
+    if (this.isExporting) {
+      this.app.ui.showToast('Export already in progress', 'warning');
+      return;
+    }
+    
+    this.isExporting = true;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    
+    this.showExportModal('Exporting Clip');
+    this.updateExportStatus('Loading ffmpeg.wasm (this may take a moment)...');
+    
+    try {
+      await this.loadFFmpeg();
+      this.throwIfAborted(signal);
+      
+      this.updateExportStatus(clip.mode === 'accurate' ? 'Re-encoding clip...' : 'Cutting clip...');
+      this.updateExportProgress(50);
+      
+      // A stream copy keeps the source's codecs, so it keeps its container
+      const isCopy = clip.mode !== 'accurate';
+      const extension = isCopy ? this.getSourceExtension() : 'mp4';
+      const outputName = `output.${extension}`;
+      
+      const data = await this.runFfmpeg([
+        ...this.getClipInputArgs(clip),
+        '-i', 'input.mp4',
+        ...this.getClipVideoArgs(clip),
+        ...(isCopy ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-b:a', '192k']),
+        '-y',
+        outputName
+      ], {
+        files: { 'input.mp4': new Uint8Array(await this.app.videoFile.arrayBuffer()) },
+        output: outputName,
+        duration: clip.end - clip.start,
+        progress: [50, 95],
+        error: 'could not cut this file',
+        signal
+      });
+      
+      const type = isCopy ? this.app.videoFile.type || 'video/mp4' : 'video/mp4';
+      this.downloadBlob(new Blob([data.buffer], { type }), `${this.getBaseName()}_clip.${extension}`);
+      
+      this.updateExportProgress(100);
+      this.app.ui.showToast('Clip exported successfully!', 'success');
+      this.finishExport(signal);
+    } catch (e) {
+      // Cancellation is reported by cancelExport()
+      if (e.name === 'AbortError') return;
+      
+      console.error('Clip export failed:', e);
+      this.app.ui.showToast('Clip export failed: ' + e.message, 'error');
+      this.finishExport(signal);
     }
   }
   
@@ -93,170 +241,667 @@ export class Exporter {
     }
     
     const audioFx = this.app.audioFx;
-    if (!audioFx || !audioFx.isAudioProcessed()) {
+    const options = this.getExportOptions();
+    const settings = audioFx?.getSettings();
+    const changesAudio = audioFx?.isAudioProcessed() ||
+      options.clip !== null ||
+      options.loudnessTarget !== null ||
+      settings?.syncOffset !== 0 ||
+      settings?.volumeBoost > 1;
+    if (!audioFx || !changesAudio) {
       this.app.ui.showToast('Please select an audio preset first', 'warning');
       return;
     }
     
-    const video = document.getElementById('video-player');
-    if (!video) return;
+    const source = this.getExportSource();
+    if (!source) return;
+    
+    // Asked for now, while the click still counts as user activation
+    let writable = null;
+    try {
+      writable = await this.openSaveFile(options);
+    } catch (e) {
+      // The save dialog was dismissed
+      return;
+    }
     
     this.isExporting = true;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    
     this.showExportModal('Exporting Audio');
-    this.updateExportStatus('Preparing audio stream...');
+    this.updateExportStatus('Decoding source audio...');
     
     try {
-      // Get the processed audio stream
-      const stream = audioFx.getProcessedStream();
-      if (!stream) {
-        throw new Error('Could not get processed audio stream');
-      }
+      // Render the track (or the clip) offline - the visible player is
+      // untouched
+      const range = this.getRenderRange(options.clip, settings.syncOffset);
+      let rendered = await this.renderer.render(this.getRenderSource(source), settings, {
+        regions: this.app.regions?.getRegions() || [],
+        range,
+        signal,
+        onProgress: (progress) => {
+          this.updateExportStatus('Rendering processed audio...');
+          this.updateExportProgress(10 + progress * 70);
+        }
+      });
       
-      // Use MediaRecorder to capture processed audio
-      const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus') 
-        ? 'audio/webm;codecs=opus' 
-        : 'audio/webm';
+      this.applyBoost(rendered, settings.volumeBoost);
+      this.applySyncOffset(rendered, settings.syncOffset);
+      rendered = this.cutToClip(rendered, options.clip, range);
       
-      const mediaRecorder = new MediaRecorder(stream, { mimeType });
-      const chunks = [];
+      let loudness = null;
+      if (options.loudnessTarget !== null) {
+        loudness = await this.normalizeLoudness(rendered, options, signal);
+      }
       
-      mediaRecorder.ondataavailable = (e) => {
-        if (e.data.size > 0) {
-          chunks.push(e.data);
-        }
-      };
+      this.updateExportStatus('Creating audio file...');
+      this.updateExportProgress(80);
       
-      mediaRecorder.onstop = async () => {
-        this.updateExportStatus('Creating audio file...');
-        this.updateExportProgress(80);
-        
-        const blob = new Blob(chunks, { type: mimeType });
-        
-        // Convert to WAV using AudioContext
-        try {
-          const wavBlob = await this.convertToWav(blob);
-          this.downloadBlob(wavBlob, this.getExportFilename('wav'));
-          this.app.ui.showToast('Audio exported successfully!', 'success');
-        } catch (e) {
-          // Fallback to WebM if WAV conversion fails
-          this.downloadBlob(blob, this.getExportFilename('webm'));
-          this.app.ui.showToast('Audio exported as WebM (WAV conversion unavailable)', 'success');
-        }
-        
-        this.hideExportModal();
-        this.isExporting = false;
-      };
-      
-      // Start recording
-      this.updateExportStatus('Recording processed audio...');
-      mediaRecorder.start();
-      
-      // Save current position
-      const startTime = video.currentTime;
-      video.currentTime = 0;
-      
-      // Play video (muted visually but audio goes through Web Audio)
-      await video.play();
-      
-      // Update progress during playback
-      const progressInterval = setInterval(() => {
-        const progress = (video.currentTime / video.duration) * 70;
-        this.updateExportProgress(progress);
-      }, 100);
-      
-      // Stop when video ends
-      const onEnded = () => {
-        clearInterval(progressInterval);
-        mediaRecorder.stop();
-        video.removeEventListener('ended', onEnded);
-        video.currentTime = startTime;
-        video.pause();
-      };
-      
-      video.addEventListener('ended', onEnded);
-      
-      // Allow cancellation
-      this.abortController = {
-        abort: () => {
-          clearInterval(progressInterval);
-          mediaRecorder.stop();
-          video.removeEventListener('ended', onEnded);
-          video.currentTime = startTime;
-          video.pause();
-        }
-      };
+      const metadata = this.getExportMetadata(settings, options, options.clip);
+      const blob = await this.encodeAudioFile(rendered, { ...options, metadata }, signal, writable);
+      this.throwIfAborted(signal);
+      if (writable) {
+        await writable.close();
+      } else {
+        this.downloadBlob(blob, this.getExportFilename(AUDIO_FORMATS[options.format].extension));
+      }
+      this.downloadChapters(metadata, options);
       
+      this.updateExportProgress(100);
+      this.app.ui.showToast(loudness
+        ? `Audio exported at ${this.formatLoudness(loudness)}`
+        : 'Audio exported successfully!', 'success');
+      this.finishExport(signal);
     } catch (e) {
+      // Don't leave a partial file behind
+      writable?.abort().catch(() => {});
+      
+      // Cancellation is reported by cancelExport()
+      if (e.name === 'AbortError') return;
+      
       console.error('Audio export failed:', e);
       this.app.ui.showToast('Audio export failed: ' + e.message, 'error');
-      this.hideExportModal();
-      this.isExporting = false;
+      this.finishExport(signal);
     }
   }
   
-  async convertToWav(blob) {
-    const arrayBuffer = await blob.arrayBuffer();
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+  /**
+   * Export the processed track and the residual (what processing removed)
+   * together, as WAV files or as two audio tracks against the video. The
+   * stems skip the volume boost and loudness normalization so they still
+   * add up to the original.
+   */
+  async downloadStems() {
+    if (this.isExporting) {
+      this.app.ui.showToast('Export already in progress', 'warning');
+      return;
+    }
+    
+    const audioFx = this.app.audioFx;
+    if (!audioFx?.hasProcessing()) {
+      this.app.ui.showToast('Please select an audio preset first', 'warning');
+      return;
+    }
+    
+    const options = this.getExportOptions();
+    if (options.stems === 'video' && !this.app.videoFile) {
+      this.app.ui.showToast('Video file required for export. URL-based videos cannot be re-encoded.', 'error');
+      return;
+    }
+    
+    const source = this.getExportSource();
+    if (!source) return;
     
-    // Convert to WAV
-    const wavBuffer = this.audioBufferToWav(audioBuffer);
-    return new Blob([wavBuffer], { type: 'audio/wav' });
+    this.isExporting = true;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    
+    this.showExportModal('Exporting Stems');
+    this.updateExportStatus('Preparing export...');
+    
+    try {
+      const settings = audioFx.getSettings();
+      
+      // A stream-copied clip moves the audio's start to the keyframe
+      let plan = null;
+      let clip = options.clip;
+      if (options.stems === 'video') {
+        ({ plan, clip } = await this.getVideoPlan(clip));
+      }
+      
+      this.updateExportStatus('Decoding source audio...');
+      const range = this.getRenderRange(clip, settings.syncOffset);
+      const processed = await this.renderer.render(this.getRenderSource(source), settings, {
+        regions: this.app.regions?.getRegions() || [],
+        range,
+        signal,
+        onProgress: (progress) => {
+          this.updateExportStatus('Rendering processed audio...');
+          this.updateExportProgress(progress * 45);
+        }
+      });
+      
+      this.updateExportStatus('Computing residual...');
+      const residual = await this.renderer.renderResidual(source, processed, { range, signal });
+      
+      // The lip sync fix and the clip apply to both stems alike
+      const stems = [
+        { buffer: processed, name: 'Processed' },
+        { buffer: residual, name: 'Residual' }
+      ].map(stem => {
+        this.applySyncOffset(stem.buffer, settings.syncOffset);
+        return { ...stem, buffer: this.cutToClip(stem.buffer, clip, range) };
+      });
+      
+      const metadata = this.getExportMetadata(settings, options, clip);
+      let output = null;
+      if (options.stems === 'video') {
+        if (plan) output = await this.encodeWithWebCodecs(plan, stems, clip, metadata, signal);
+        if (!output) output = await this.encodeStemsWithFfmpeg(stems, clip, metadata, signal);
+      } else {
+        output = await this.encodeStemsWav(stems, metadata, signal);
+      }
+      
+      this.throwIfAborted(signal);
+      this.downloadBlob(output.blob, this.getExportFilename(output.extension, 'stems'));
+      this.downloadChapters(metadata, options);
+      
+      this.updateExportProgress(100);
+      this.app.ui.showToast('Stems exported successfully!', 'success');
+      this.finishExport(signal);
+    } catch (e) {
+      // Cancellation is reported by cancelExport()
+      if (e.name === 'AbortError') return;
+      
+      console.error('Stem export failed:', e);
+      this.app.ui.showToast('Stem export failed: ' + e.message, 'error');
+      this.finishExport(signal);
+    }
+  }
+  
+  /**
+   * Each stem as a 32-bit float WAV, so they null against the original
+   * exactly, zipped together. Resolves to { blob, extension }.
+   */
+  async encodeStemsWav(stems, metadata, signal) {
+    const files = [];
+    for (const [i, { buffer, name }] of stems.entries()) {
+      this.updateExportStatus(`Writing ${name.toLowerCase()} WAV...`);
+      const blob = await this.runAudioEncoder(buffer, { format: 'wav', bitDepth: 32, type: 'audio/wav', metadata }, (progress) => {
+        this.updateExportProgress(50 + (i + progress) / stems.length * 40);
+      }, signal);
+      files.push({ name: this.getExportFilename('wav', name.toLowerCase()), blob });
+    }
+    
+    this.updateExportStatus('Creating zip...');
+    const blob = await createZip(files, {
+      signal,
+      onProgress: (progress) => this.updateExportProgress(90 + progress * 5)
+    });
+    return { blob, extension: 'zip' };
+  }
+  
+  /**
+   * Stems as FLAC tracks in an MKV with the original video, for files
+   * WebCodecs can't mux. Resolves to { blob, extension }.
+   */
+  async encodeStemsWithFfmpeg(stems, clip, metadata, signal) {
+    this.updateExportStatus('Loading ffmpeg.wasm (this may take a moment)...');
+    await this.loadFFmpeg();
+    this.throwIfAborted(signal);
+    
+    this.updateExportStatus('Muxing stems...');
+    this.updateExportProgress(60);
+    
+    const files = { 'input.mp4': new Uint8Array(await this.getVideoFile().arrayBuffer()) };
+    const blobs = {};
+    const inputs = [];
+    for (const [i, { buffer }] of stems.entries()) {
+      blobs[`stem${i}.wav`] = await this.encodeFfmpegWav(buffer, signal);
+      inputs.push('-i', `${FFMPEG_MOUNT_DIR}/stem${i}.wav`);
+    }
+    const metadataInput = this.getFfmpegMetadata(metadata, stems.length + 1);
+    
+    // The WAVs already cover just the clip, so only the video is cut
+    const data = await this.runFfmpeg([
+      ...this.getClipInputArgs(clip),
+      '-i', 'input.mp4',
+      ...inputs,
+      ...metadataInput.args,
+      '-map', '0:v',
+      ...stems.flatMap((_, i) => ['-map', `${i + 1}:a:0`]),
+      ...this.getClipVideoArgs(clip),
+      '-c:a', 'flac',
+      ...stems.flatMap(({ name }, i) => [`-metadata:s:a:${i}`, `title=${name}`, `-disposition:a:${i}`, i === 0 ? 'default' : '0']),
+      '-y',
+      'output.mkv'
+    ], {
+      files: { ...files, ...metadataInput.files },
+      blobs,
+      output: 'output.mkv',
+      duration: stems[0].buffer.duration,
+      error: 'could not mux the stems',
+      signal
+    });
+    return { blob: new Blob([data.buffer], { type: 'video/x-matroska' }), extension: 'mkv' };
+  }
+  
+  /**
+   * Export settings chosen in the download menu
+   */
+  getExportOptions() {
+    const loudness = document.getElementById('export-loudness')?.value;
+    const truePeak = document.getElementById('export-true-peak')?.value;
+    const format = document.getElementById('export-format')?.value;
+    const sampleRate = document.getElementById('export-sample-rate')?.value;
+    const dither = document.getElementById('export-dither')?.value;
+    const trimMode = document.getElementById('export-trim-mode')?.value;
+    const stems = document.getElementById('export-stems')?.value;
+    const chapters = document.getElementById('export-chapters')?.value;
+    const selection = this.app.trim?.getSelection();
+    
+    return {
+      loudnessTarget: loudness ? parseFloat(loudness) : null,
+      truePeakCeiling: truePeak ? parseFloat(truePeak) : -1,
+      format: AUDIO_FORMATS[format] ? format : 'wav-16',
+      sampleRate: sampleRate ? parseInt(sampleRate) : null,
+      dither: dither === 'tpdf',
+      stems: stems === 'video' ? 'video' : 'wav',
+      chapters: ['vtt', 'none'].includes(chapters) ? chapters : 'embed',
+      clip: selection ? { ...selection, mode: trimMode === 'keyframe' ? 'keyframe' : 'accurate' } : null
+    };
+  }
+  
+  /**
+   * Title, comment and chapters to embed in an export, or null when
+   * they're turned off. The comment records the preset applied, and its
+   * strength when the preset has one. `duration` is the exported length
+   * in seconds.
+   */
+  getExportMetadata(settings, { chapters }, clip) {
+    if (chapters === 'none') return null;
+    
+    const preset = getPreset(settings.preset);
+    const strength = preset.controls.includes('strength') ? ` at ${settings.strength}% strength` : '';
+    return {
+      title: this.getBaseName(),
+      comment: settings.preset === 'off'
+        ? 'Exported with VidFlow'
+        : `Processed with VidFlow: ${preset.label} preset${strength}`,
+      chapters: this.getChapters(clip),
+      startTime: clip?.start || 0,
+      duration: clip ? clip.end - clip.start : this.app.player?.video.duration || 0
+    };
+  }
+  
+  /**
+   * The video's chapters, moved onto the clip's timeline when there is
+   * one. A chapter already under way at the clip's start opens it.
+   */
+  getChapters(clip) {
+    if (this.host) return this.host.getChapters(clip);
+    
+    const chapters = this.app.thumbnails?.getChapters() || [];
+    if (!clip) return chapters;
+    
+    const current = chapters.filter(chapter => chapter.time <= clip.start).pop();
+    return [
+      ...(current ? [{ time: 0, label: current.label }] : []),
+      ...chapters
+        .filter(chapter => chapter.time > clip.start && chapter.time < clip.end)
+        .map(chapter => ({ ...chapter, time: chapter.time - clip.start }))
+    ];
   }
   
-  audioBufferToWav(buffer) {
-    const numChannels = buffer.numberOfChannels;
-    const sampleRate = buffer.sampleRate;
-    const format = 1; // PCM
-    const bitDepth = 16;
+  /**
+   * Download the chapters as a WebVTT file next to the export, when that
+   * option is chosen
+   */
+  downloadChapters(metadata, { chapters }) {
+    if (chapters !== 'vtt' || !metadata?.chapters.length) return;
     
-    const bytesPerSample = bitDepth / 8;
-    const blockAlign = numChannels * bytesPerSample;
+    const vtt = createChaptersVtt(metadata.chapters, metadata.duration);
+    this.downloadBlob(new Blob([vtt], { type: 'text/vtt' }), this.getExportFilename('vtt'));
+  }
+  
+  /**
+   * Stretch of the source to render for a clip: the clip widened by the
+   * sync offset, so shifting the audio pulls in real audio at the edges
+   * rather than silence
+   */
+  getRenderRange(clip, syncOffset) {
+    if (!clip) return null;
     
-    const dataLength = buffer.length * blockAlign;
-    const bufferLength = 44 + dataLength;
+    const padding = Math.abs(syncOffset || 0) / 1000;
+    return { start: Math.max(0, clip.start - padding), end: clip.end + padding };
+  }
+  
+  /**
+   * Cut a track rendered for getRenderRange() down to the clip itself
+   */
+  cutToClip(buffer, clip, range) {
+    if (!clip) return buffer;
     
-    const arrayBuffer = new ArrayBuffer(bufferLength);
-    const view = new DataView(arrayBuffer);
+    const start = Math.min(buffer.length - 1, Math.round((clip.start - range.start) * buffer.sampleRate));
+    const length = Math.max(1, Math.min(buffer.length - start, Math.round((clip.end - clip.start) * buffer.sampleRate)));
+    const cut = new AudioBuffer({
+      numberOfChannels: buffer.numberOfChannels,
+      length,
+      sampleRate: buffer.sampleRate
+    });
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      cut.copyToChannel(buffer.getChannelData(c).subarray(start, start + length), c);
+    }
+    return cut;
+  }
+  
+  updateFormatOptions() {
+    const format = AUDIO_FORMATS[document.getElementById('export-format')?.value];
+    const dither = document.getElementById('export-dither');
+    const sampleRate = document.getElementById('export-sample-rate');
     
-    // WAV header
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
+    if (dither) dither.disabled = !format || !(format.bitDepth < 32);
+    if (sampleRate) sampleRate.disabled = format?.encoder === 'opus';
+  }
+  
+  /**
+   * A writable stream for a WAV export too large to build up in memory,
+   * from a file the user picks; null to download as usual. Rejects with
+   * an AbortError when the user dismisses the dialog.
+   */
+  async openSaveFile({ format, sampleRate, clip }) {
+    const { encoder, bitDepth, extension, type } = AUDIO_FORMATS[format];
+    if (encoder !== 'wav' || !('showSaveFilePicker' in window)) return null;
+    
+    // Only a guess at the channel count, which is fine for deciding
+    const duration = clip ? clip.end - clip.start : this.app.player?.video.duration;
+    const rate = sampleRate || this.app.audioFx?.getAudioContext()?.sampleRate || 48000;
+    if (!duration || getWavSize(Math.round(duration * rate), 2, bitDepth) < LARGE_FILE_BYTES) return null;
+    
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({
+        id: 'vidflow-export',
+        suggestedName: this.getExportFilename(extension),
+        types: [{ description: 'WAV audio', accept: { [type]: [`.${extension}`] } }]
+      });
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      console.warn('Could not open a file to save to, downloading instead:', e);
+      return null;
+    }
+    return handle.createWritable();
+  }
+  
+  /**
+   * Encode a rendered track in the chosen format, converting the sample
+   * rate first when one is set. Resolves to the file as a Blob, or to
+   * null when a WAV or FLAC file went to `writable` instead.
+   */
+  async encodeAudioFile(buffer, { format, sampleRate, dither, metadata = null }, signal, writable = null) {
+    const { encoder, bitDepth, type } = AUDIO_FORMATS[format];
+    
+    let targetRate = encoder === 'opus' ? null : sampleRate;
+    if (encoder === 'mp3' && (targetRate || buffer.sampleRate) > MP3_MAX_SAMPLE_RATE) {
+      targetRate = MP3_MAX_SAMPLE_RATE;
+    }
+    if (targetRate && targetRate !== buffer.sampleRate) {
+      this.updateExportStatus(`Converting to ${targetRate / 1000} kHz...`);
+      buffer = await this.renderer.resample(buffer, targetRate);
+      this.throwIfAborted(signal);
+    }
+    
+    const onProgress = (progress) => this.updateExportProgress(80 + progress * 20);
+    
+    if (encoder === 'opus') {
+      // AudioEncoder resamples to 48 kHz itself
+      this.updateExportStatus('Encoding Opus...');
+      const audio = await this.webCodecs.encodeAudio(buffer, 'opus', { onProgress, signal });
+      return muxOggOpus({ ...audio, length: Math.round(buffer.duration * audio.sampleRate) });
+    }
+    
+    if (encoder === 'mp3') {
+      return this.encodeMp3(buffer, signal);
+    }
+    
+    this.updateExportStatus(`Encoding ${bitDepth === 32 ? '32-bit float' : `${bitDepth}-bit`} ${encoder.toUpperCase()}...`);
+    return this.runAudioEncoder(buffer, { format: encoder, bitDepth, dither, type, metadata, writable }, onProgress, signal);
+  }
+  
+  /**
+   * Write a WAV or FLAC file in the audio encoder worker, so long tracks
+   * don't freeze the page. WAV samples are handed over and written back a
+   * stretch at a time, so memory use doesn't grow with the length; each
+   * stretch goes to `writable` when given, before the next is copied out.
+   * Otherwise the output is gathered into a Blob of the given `type`.
+   * Resolves to that Blob, or to null after writing to `writable`.
+   */
+  async runAudioEncoder(buffer, { format, bitDepth, dither, type, metadata = null, writable = null }, onProgress, signal) {
+    this.throwIfAborted(signal);
+    
+    const worker = new Worker(new URL('./workers/audio-encoder.js', import.meta.url), { type: 'module' });
+    
+    // One request to the worker at a time, settled by its reply
+    let reply = null;
+    const request = (message, transfer = []) => new Promise((resolve, reject) => {
+      reply = { resolve, reject };
+      worker.postMessage(message, transfer);
+    });
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        onProgress?.(message.progress);
+      } else if (message.type === 'error') {
+        reply.reject(new Error(message.message));
+      } else {
+        reply.resolve(message.data);
       }
     };
+    worker.onerror = (e) => {
+      console.error('Audio encoder worker failed:', e);
+      reply?.reject(new Error('this browser could not start the audio encoder'));
+    };
+    const onAbort = () => reply?.reject(new DOMException('Export cancelled', 'AbortError'));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    const parts = [];
+    let pending = [];
+    let pendingBytes = 0;
+    const write = async (data) => {
+      if (writable) {
+        await writable.write(data).catch((error) => {
+          throw new Error('could not write the file: ' + error.message);
+        });
+        return;
+      }
+      pending.push(data);
+      pendingBytes += data.byteLength;
+      if (pendingBytes >= BLOB_PART_BYTES) {
+        parts.push(new Blob(pending));
+        pending = [];
+        pendingBytes = 0;
+      }
+    };
+    
+    // The worker gets copies; the rendered buffer's own arrays can't be
+    // transferred
+    const copyChannels = (start, end) => Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice(start, end));
+    
+    try {
+      if (format === 'wav') {
+        const { numberOfChannels, length, sampleRate } = buffer;
+        await write(await request({ type: 'header', numberOfChannels, length, sampleRate, bitDepth, metadata }));
+        
+        for (let start = 0; start < length; start += WAV_CHUNK_FRAMES) {
+          this.throwIfAborted(signal);
+          const end = Math.min(start + WAV_CHUNK_FRAMES, length);
+          const channels = copyChannels(start, end);
+          await write(await request({ type: 'frames', channels, bitDepth, dither }, channels.map(channel => channel.buffer)));
+          onProgress?.(end / length);
+        }
+      } else if (format === 'flac') {
+        // FLAC is encoded in one go, so needs the whole track
+        const channels = copyChannels(0, buffer.length);
+        await write(await request({
+          type: 'flac',
+          channels,
+          sampleRate: buffer.sampleRate,
+          bitDepth,
+          dither
+        }, channels.map(channel => channel.buffer)));
+      } else {
+        throw new Error(`Unknown audio format: ${format}`);
+      }
+    } finally {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    }
+    
+    onProgress?.(1);
+    return writable ? null : new Blob([...parts, ...pending], { type });
+  }
+  
+  /**
+   * MP3 through ffmpeg.wasm's LAME, which runs in ffmpeg's own worker
+   */
+  async encodeMp3(buffer, signal) {
+    this.updateExportStatus('Loading ffmpeg.wasm (this may take a moment)...');
+    await this.loadFFmpeg();
+    this.throwIfAborted(signal);
+    
+    this.updateExportStatus('Encoding MP3...');
     
-    writeString(0, 'RIFF');
-    view.setUint32(4, bufferLength - 8, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, format, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * blockAlign, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitDepth, true);
-    writeString(36, 'data');
-    view.setUint32(40, dataLength, true);
-    
-    // Interleave channels and write samples
+    // Float WAV in, so LAME sees the rendered samples unrounded
+    const wav = await this.encodeFfmpegWav(buffer, signal);
+    const data = await this.runFfmpeg([
+      '-i', `${FFMPEG_MOUNT_DIR}/processed.wav`,
+      '-c:a', 'libmp3lame',
+      '-b:a', '192k',
+      '-y',
+      'output.mp3'
+    ], {
+      blobs: { 'processed.wav': wav },
+      output: 'output.mp3',
+      duration: buffer.duration,
+      progress: [80, 100],
+      error: 'could not encode MP3',
+      signal
+    });
+    return new Blob([data.buffer], { type: 'audio/mpeg' });
+  }
+  
+  /**
+   * A rendered track as a 32-bit float WAV Blob, for runFfmpeg() to mount
+   */
+  encodeFfmpegWav(buffer, signal) {
+    return this.runAudioEncoder(buffer, { format: 'wav', bitDepth: 32, type: 'audio/wav' }, null, signal);
+  }
+  
+  /**
+   * Bring a rendered track to the target integrated loudness in place. A
+   * true-peak limiter catches whatever the make-up gain pushes over the
+   * ceiling. Returns the final measurement.
+   */
+  async normalizeLoudness(buffer, { loudnessTarget, truePeakCeiling }, signal) {
     const channels = [];
-    for (let i = 0; i < numChannels; i++) {
+    for (let i = 0; i < buffer.numberOfChannels; i++) {
       channels.push(buffer.getChannelData(i));
     }
     
-    let offset = 44;
-    for (let i = 0; i < buffer.length; i++) {
-      for (let channel = 0; channel < numChannels; channel++) {
-        const sample = Math.max(-1, Math.min(1, channels[channel][i]));
-        const intSample = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-        view.setInt16(offset, intSample, true);
-        offset += 2;
-      }
+    this.updateExportStatus('Measuring loudness...');
+    const measured = await this.measureLoudness(channels, buffer.sampleRate, signal);
+    
+    // Silence (everything below the absolute gate) has no loudness to match
+    if (!Number.isFinite(measured.integrated)) return measured;
+    
+    this.updateExportStatus(`Normalizing ${measured.integrated.toFixed(1)} LUFS to ${loudnessTarget} LUFS...`);
+    applyGain(channels, loudnessTarget - measured.integrated);
+    limitTruePeak(channels, buffer.sampleRate, truePeakCeiling);
+    
+    const result = await this.measureLoudness(channels, buffer.sampleRate, signal);
+    
+    // The limiter's gain changes can leave a fraction of a dB of overshoot
+    if (result.truePeak > truePeakCeiling) {
+      const trim = truePeakCeiling - result.truePeak;
+      applyGain(channels, trim);
+      result.integrated += trim;
+      result.truePeak = truePeakCeiling;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Measure planar channels, yielding to the UI between chunks
+   */
+  async measureLoudness(channels, sampleRate, signal) {
+    const meter = new LoudnessMeter(sampleRate, channels.length);
+    const chunk = sampleRate * LOUDNESS_CHUNK;
+    
+    for (let offset = 0; offset < channels[0].length; offset += chunk) {
+      meter.process(channels.map(samples => samples.subarray(offset, offset + chunk)));
+      await new Promise(resolve => setTimeout(resolve));
+      this.throwIfAborted(signal);
+    }
+    
+    return meter.getValues();
+  }
+  
+  formatLoudness({ integrated, truePeak }) {
+    return `${integrated.toFixed(1)} LUFS, ${truePeak.toFixed(1)} dBTP`;
+  }
+  
+  /**
+   * "45 s" or "3 min 20 s"
+   */
+  formatTimeLeft(seconds) {
+    const total = Math.max(1, Math.ceil(seconds));
+    const minutes = Math.floor(total / 60);
+    return minutes ? `${minutes} min ${total % 60} s` : `${total} s`;
+  }
+  
+  formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+  }
+  
+  /**
+   * The uploaded file, or the URL for linked videos
+   */
+  getExportSource() {
+    return this.app.videoFile || this.app.currentVideo?.url || null;
+  }
+  
+  /**
+   * The file video exports are made from
+   */
+  getVideoFile() {
+    if (this.host) return this.host.getVideoFile();
+    return this.app.videoFile;
+  }
+  
+  /**
+   * Audio the processing chain runs on: the Deep Clean track when there is
+   * one, otherwise the source itself
+   */
+  getRenderSource(source) {
+    if (this.host) return this.host.getRenderSource(source);
+    return this.app.deepClean?.getBuffer() || source;
+  }
+  
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw new DOMException('Export cancelled', 'AbortError');
     }
+  }
+  
+  finishExport(signal) {
+    // A cancelled export has already been torn down by cancelExport()
+    if (signal?.aborted) return;
     
-    return arrayBuffer;
+    this.hideExportModal();
+    this.isExporting = false;
+    this.abortController = null;
   }
   
   async downloadProcessedVideo() {
@@ -266,13 +911,13 @@ export class Exporter {
     }
     
     this.isExporting = true;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    
     this.showExportModal('Exporting Video');
-    this.updateExportStatus('Loading ffmpeg.wasm (this may take a moment)...');
+    this.updateExportStatus('Preparing export...');
     
     try {
-      // Lazy load ffmpeg
-      await this.loadFFmpeg();
-      
       const video = document.getElementById('video-player');
       const audioFx = this.app.audioFx;
       
@@ -280,140 +925,479 @@ export class Exporter {
         throw new Error('Video file required for export. URL-based videos cannot be re-encoded.');
       }
       
-      this.updateExportStatus('Processing video...');
-      this.updateExportProgress(20);
-      
-      // Write input video to ffmpeg
-      const videoData = new Uint8Array(await this.app.videoFile.arrayBuffer());
-      await this.ffmpeg.writeFile('input.mp4', videoData);
-      
-      this.updateExportStatus('Extracting and processing audio...');
-      this.updateExportProgress(40);
+      const settings = audioFx?.getSettings() || { preset: 'off' };
+      const options = this.getExportOptions();
+      const regions = this.app.regions?.getRegions() || [];
       
-      // For now, do a simple copy since we can't easily pass Web Audio processed stream to ffmpeg
-      // In a full implementation, we'd record the processed audio and mux it
-      // This is a limitation of the static/browser-only approach
+      // WebCodecs re-encodes the audio in any case, so it always renders
+      const { plan, clip } = await this.getVideoPlan(options.clip);
       
-      // Apply ffmpeg audio filter to approximate the effect
-      let audioFilter = '';
-      const preset = audioFx?.getCurrentPreset() || 'off';
-      
-      if (preset === 'speech') {
-        // Speech focus filter
-        audioFilter = '-af "highpass=f=200,lowpass=f=4000,equalizer=f=2000:width_type=o:width=2:g=3,compand=attacks=0:points=-80/-80|-45/-45|-27/-15|0/-9|20/-6:gain=3"';
-      } else if (preset === 'music-reduce') {
-        // Music reduction filter
-        audioFilter = '-af "highpass=f=150,lowpass=f=5000,equalizer=f=200:width_type=o:width=2:g=-10,equalizer=f=5000:width_type=o:width=2:g=-8,compand=attacks=0.01:points=-80/-80|-50/-50|-30/-20|0/-12|20/-9:gain=4"';
+      // Render the processed track with the exact chain used for playback
+      let processedAudio = null;
+      let loudness = null;
+      if (plan || audioFx?.hasProcessing() || options.loudnessTarget !== null || settings.syncOffset || settings.volumeBoost > 1) {
+        this.updateExportStatus('Rendering processed audio...');
+        const range = this.getRenderRange(clip, settings.syncOffset);
+        processedAudio = await this.renderProcessedTrack(settings, regions, range, signal);
+        
+        if (processedAudio) {
+          this.applyBoost(processedAudio, settings.volumeBoost);
+          this.applySyncOffset(processedAudio, settings.syncOffset);
+          processedAudio = this.cutToClip(processedAudio, clip, range);
+        }
       }
       
-      this.updateExportStatus('Encoding video with processed audio...');
-      this.updateExportProgress(60);
-      
-      // Run ffmpeg
-      const outputName = 'output.mp4';
-      
-      // Listen for progress
-      this.ffmpeg.on('progress', ({ progress }) => {
-        this.updateExportProgress(60 + progress * 35);
-      });
-      
-      if (audioFilter) {
-        await this.ffmpeg.exec([
-          '-i', 'input.mp4',
-          '-c:v', 'copy',
-          '-c:a', 'aac',
-          ...audioFilter.split(' ').filter(s => s),
-          '-y',
-          outputName
-        ]);
-      } else {
-        // Just copy if no processing
-        await this.ffmpeg.exec([
-          '-i', 'input.mp4',
-          '-c', 'copy',
-          '-y',
-          outputName
-        ]);
+      if (processedAudio && options.loudnessTarget !== null) {
+        loudness = await this.normalizeLoudness(processedAudio, options, signal);
       }
       
-      this.updateExportStatus('Preparing download...');
-      this.updateExportProgress(95);
+      const metadata = this.getExportMetadata(settings, options, clip);
+      let output = null;
+      if (plan && processedAudio) {
+        output = await this.encodeWithWebCodecs(plan, [{ buffer: processedAudio }], clip, metadata, signal);
+      }
+      if (!output) {
+        output = await this.encodeWithFfmpeg(settings, { ...options, clip, metadata }, regions, processedAudio, signal);
+      }
       
-      // Read output file
-      const data = await this.ffmpeg.readFile(outputName);
-      const blob = new Blob([data.buffer], { type: 'video/mp4' });
+      this.throwIfAborted(signal);
       
       // Download
-      this.downloadBlob(blob, this.getExportFilename('mp4'));
-      
-      // Cleanup
-      await this.ffmpeg.deleteFile('input.mp4');
-      await this.ffmpeg.deleteFile(outputName);
+      this.downloadBlob(output.blob, this.getExportFilename(output.extension));
+      this.downloadChapters(metadata, options);
       
       this.updateExportProgress(100);
-      this.app.ui.showToast('Video exported successfully!', 'success');
+      this.app.ui.showToast(loudness
+        ? `Video exported with audio at ${this.formatLoudness(loudness)}`
+        : 'Video exported successfully!', 'success');
       
-      setTimeout(() => {
-        this.hideExportModal();
-        this.isExporting = false;
-      }, 500);
+      setTimeout(() => this.finishExport(signal), 500);
       
     } catch (e) {
+      // Cancellation is reported by cancelExport()
+      if (e.name === 'AbortError') return;
+      
       console.error('Video export failed:', e);
       
       let message = 'Video export failed';
-      if (e.message.includes('SharedArrayBuffer')) {
-        message = 'Video export requires HTTPS with proper headers. Try audio export instead.';
-      } else if (e.message.includes('URL-based')) {
+      if (e.message.includes('URL-based') || e.message.includes('preset') || e.message.includes('ffmpeg.wasm')) {
         message = e.message;
       }
       
       this.app.ui.showToast(message, 'error');
-      this.hideExportModal();
-      this.isExporting = false;
+      this.finishExport(signal);
     }
   }
   
-  async loadFFmpeg() {
-    if (this.ffmpeg) return;
+  /**
+   * How to export the video: the WebCodecs plan, or null for ffmpeg, and
+   * the clip moved to where a stream-copied cut really starts
+   */
+  async getVideoPlan(clip) {
+    // WebCodecs never re-encodes the picture, so frame-accurate clips need
+    // ffmpeg
+    let plan = clip?.mode === 'accurate' ? null : await this.webCodecs.getPlan(this.getVideoFile());
     
-    if (this.isLoading) {
-      // Wait for existing load
-      while (this.isLoading) {
-        await new Promise(r => setTimeout(r, 100));
+    // A stream-copied clip starts at a keyframe, and the audio with it
+    if (plan && clip) {
+      try {
+        clip = { ...clip, start: await this.webCodecs.getKeyframeTime(this.getVideoFile(), plan, clip.start) };
+      } catch (e) {
+        console.warn('Could not read keyframes, falling back to ffmpeg:', e);
+        plan = null;
       }
-      return;
     }
     
-    this.isLoading = true;
+    return { plan, clip };
+  }
+  
+  /**
+   * Mux audio tracks ({ buffer, name? }) against the original video with
+   * WebCodecs. Resolves to null when this file can't be done that way, so
+   * ffmpeg takes over.
+   */
+  async encodeWithWebCodecs(plan, audioTracks, clip, metadata, signal) {
+    this.updateExportStatus(`Encoding ${plan.codec === 'aac' ? 'AAC' : 'Opus'} audio...`);
+    this.updateExportProgress(50);
     
     try {
-      // Dynamic import of ffmpeg.wasm
-      const { FFmpeg } = await import('https://unpkg.com/@ffmpeg/ffmpeg@0.12.7/dist/esm/index.js');
-      const { toBlobURL } = await import('https://unpkg.com/@ffmpeg/util@0.12.1/dist/esm/index.js');
+      const output = await this.webCodecs.export(this.getVideoFile(), audioTracks, plan, {
+        range: clip,
+        metadata,
+        signal,
+        onProgress: (progress) => this.updateExportProgress(50 + progress * 45)
+      });
+      this.updateExportStatus('Preparing download...');
+      this.updateExportProgress(95);
+      return output;
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      console.warn('WebCodecs export failed, falling back to ffmpeg:', e);
+      return null;
+    }
+  }
+  
+  /**
+   * Mux with ffmpeg.wasm: the rendered track when there is one, otherwise
+   * the preset compiled into an ffmpeg filtergraph. A clip is cut from the
+   * input, so a rendered track must already cover just the clip. Resolves
+   * to { blob, extension }.
+   */
+  async encodeWithFfmpeg(settings, options, regions, processedAudio, signal) {
+    this.updateExportStatus('Loading ffmpeg.wasm (this may take a moment)...');
+    
+    // Lazy load ffmpeg
+    await this.loadFFmpeg();
+    this.throwIfAborted(signal);
+    
+    this.updateExportStatus('Processing video...');
+    this.updateExportProgress(50);
+    
+    // Input video for ffmpeg
+    const files = { 'input.mp4': new Uint8Array(await this.getVideoFile().arrayBuffer()) };
+    
+    const videoArgs = this.getClipVideoArgs(options.clip);
+    const blobs = {};
+    let inputArgs = [];
+    let audioArgs;
+    if (processedAudio) {
+      // Mux the rendered PCM as a second input against the original video
+      blobs['processed.wav'] = await this.encodeFfmpegWav(processedAudio, signal);
+      inputArgs = ['-i', `${FFMPEG_MOUNT_DIR}/processed.wav`];
+      audioArgs = [
+        '-map', '0:v',
+        '-map', '1:a:0',
+        ...videoArgs,
+        '-c:a', 'aac',
+        '-b:a', '192k'
+      ];
+    } else {
+      // The filtergraph fallback has no notion of regions
+      if (regions.length > 0) {
+        throw new Error('Timeline region presets need the browser to decode this file\'s audio');
+      }
       
-      this.ffmpeg = new FFmpeg();
+      // Compile the same preset model used for playback into an ffmpeg filtergraph
+      let audioFilter = toFfmpegFilter(resolveStages(settings));
+      if (audioFilter === null) {
+        throw new Error('The selected preset cannot be applied by ffmpeg');
+      }
       
-      // Load ffmpeg core
-      const baseURL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm';
-      await this.ffmpeg.load({
-        coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-        wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
-      });
+      const boostFilter = this.getBoostFilter(settings.volumeBoost);
+      if (boostFilter) {
+        audioFilter = audioFilter ? `${audioFilter},${boostFilter}` : boostFilter;
+      }
       
-      console.log('FFmpeg loaded successfully');
+      // ffmpeg's single-pass loudnorm stands in for our own normalization.
+      // It upsamples to 192 kHz internally, which AAC cannot carry.
+      if (options.loudnessTarget !== null) {
+        const loudnorm = `loudnorm=I=${options.loudnessTarget}:TP=${options.truePeakCeiling}:LRA=11,aresample=48000`;
+        audioFilter = audioFilter ? `${audioFilter},${loudnorm}` : loudnorm;
+      }
+      
+      const syncFilter = this.getSyncFilter(settings.syncOffset);
+      if (syncFilter) {
+        audioFilter = audioFilter ? `${audioFilter},${syncFilter}` : syncFilter;
+      }
+      
+      // Just copy if no processing
+      audioArgs = audioFilter
+        ? [...videoArgs, '-c:a', 'aac', '-af', audioFilter]
+        : [...videoArgs, '-c:a', 'copy'];
+    }
+    
+    this.throwIfAborted(signal);
+    
+    // Title, comment and chapters come in as one more input
+    const metadataInput = this.getFfmpegMetadata(options.metadata, processedAudio ? 2 : 1);
+    
+    this.updateExportStatus('Encoding video with processed audio...');
+    this.updateExportProgress(60);
+    
+    // Without a clip, ffmpeg's log gives the length of the input
+    const data = await this.runFfmpeg([
+      ...this.getClipInputArgs(options.clip),
+      '-i', 'input.mp4',
+      ...inputArgs,
+      ...metadataInput.args,
+      ...audioArgs,
+      '-y',
+      'output.mp4'
+    ], {
+      files: { ...files, ...metadataInput.files },
+      blobs,
+      output: 'output.mp4',
+      duration: options.clip ? options.clip.end - options.clip.start : null,
+      error: 'could not encode this video',
+      signal
+    });
+    
+    this.updateExportStatus('Preparing download...');
+    this.updateExportProgress(95);
+    
+    const blob = new Blob([data.buffer], { type: 'video/mp4' });
+    return { blob, extension: 'mp4' };
+  }
+  
+  /**
+   * Apply the player's volume boost in place, behind the same ceiling the
+   * live limiter holds
+   */
+  applyBoost(buffer, boost) {
+    if (!(boost > 1)) return;
+    
+    const channels = [];
+    for (let i = 0; i < buffer.numberOfChannels; i++) {
+      channels.push(buffer.getChannelData(i));
+    }
+    applyGain(channels, 20 * Math.log10(boost));
+    limitTruePeak(channels, buffer.sampleRate, BOOST_CEILING);
+  }
+  
+  /**
+   * ffmpeg input options cutting the next input to a clip. Seeking before
+   * the input is exact when re-encoding and snaps to the keyframe before
+   * the in point when stream copying.
+   */
+  getClipInputArgs(clip) {
+    if (!clip) return [];
+    return ['-ss', clip.start.toFixed(3), '-t', (clip.end - clip.start).toFixed(3)];
+  }
+  
+  getClipVideoArgs(clip) {
+    return clip?.mode === 'accurate' ? CLIP_VIDEO_ARGS : ['-c:v', 'copy'];
+  }
+  
+  /**
+   * The metadata as an FFMETADATA input for ffmpeg: { files, args }, with
+   * the arguments that add it as input number `index` and copy its tags
+   * and chapters to the output. Nothing when there is no metadata.
+   */
+  getFfmpegMetadata(metadata, index) {
+    if (!metadata) return { files: {}, args: [] };
+    
+    return {
+      files: { 'metadata.txt': new TextEncoder().encode(createFfmetadata(metadata, metadata.duration)) },
+      args: ['-i', 'metadata.txt', '-map_metadata', String(index), '-map_chapters', String(index)]
+    };
+  }
+  
+  getBoostFilter(boost) {
+    if (!(boost > 1)) return null;
+    return `volume=${boost},alimiter=limit=${Math.pow(10, BOOST_CEILING / 20).toFixed(4)}:level=0`;
+  }
+  
+  /**
+   * Shift audio in place to fix lip sync: positive offsets (ms) delay it
+   * behind silence, negative ones advance it. The length is unchanged so
+   * the track still matches the video.
+   */
+  applySyncOffset(buffer, offset) {
+    const shift = Math.round(Math.abs(offset || 0) / 1000 * buffer.sampleRate);
+    if (shift === 0) return;
+    
+    const length = buffer.length;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      if (offset > 0) {
+        data.copyWithin(shift, 0, Math.max(0, length - shift));
+        data.fill(0, 0, Math.min(shift, length));
+      } else {
+        data.copyWithin(0, Math.min(shift, length));
+        data.fill(0, Math.max(0, length - shift));
+      }
+    }
+  }
+  
+  /**
+   * ffmpeg equivalent of applySyncOffset(), or null for no offset
+   */
+  getSyncFilter(offset) {
+    if (!offset) return null;
+    return offset > 0
+      ? `adelay=delays=${offset}:all=1`
+      : `atrim=start=${-offset / 1000},asetpts=PTS-STARTPTS`;
+  }
+  
+  /**
+   * Render the processed audio track for muxing. Returns null when the
+   * browser cannot decode the source, so the caller can fall back to
+   * ffmpeg's own filters.
+   */
+  async renderProcessedTrack(settings, regions, range, signal) {
+    try {
+      return await this.renderer.render(this.getRenderSource(this.getVideoFile()), settings, {
+        regions,
+        range,
+        signal,
+        onProgress: (progress) => this.updateExportProgress(progress * 45)
+      });
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      console.warn('Offline render failed, falling back to ffmpeg filters:', e);
+      return null;
+    }
+  }
+  
+  async loadFFmpeg() {
+    try {
+      await this.ffmpegLoader.load({
+        onProgress: (loaded, total) => {
+          const size = total ? `${this.formatMegabytes(loaded)} of ${this.formatMegabytes(total)}` : this.formatMegabytes(loaded);
+          this.updateExportStatus(`Loading ffmpeg.wasm... ${size} MB`);
+        }
+      });
     } catch (e) {
       console.error('Failed to load FFmpeg:', e);
       throw new Error('Failed to load ffmpeg.wasm: ' + e.message);
+    }
+  }
+  
+  /**
+   * Run an ffmpeg.wasm command on `files` ({ name: bytes }) written to its
+   * file system and `blobs` ({ name: Blob }) mounted read-only at
+   * FFMPEG_MOUNT_DIR, resolving to the bytes of `output`. Progress comes from
+   * the time in ffmpeg's log against `duration` in seconds (the length
+   * ffmpeg logs for its first input when not given) and fills the
+   * `progress` range of percentages, with the speed and time left shown
+   * beside it. Cancelling terminates ffmpeg's worker, the only way to stop
+   * a running command, and its file system goes with it. Otherwise the
+   * files are deleted once the command is over, whether it worked or not.
+   * Commands wait their turn on the app's one ffmpeg.wasm instance.
+   */
+  async runFfmpeg(args, options) {
+    this.throwIfAborted(options.signal);
+    
+    // The instance is shared with the batch queue, one command at a time
+    const status = this.status;
+    if (this.ffmpegLoader.isBusy()) {
+      this.updateExportStatus('Waiting for another ffmpeg.wasm export to finish...');
+    }
+    return this.ffmpegLoader.runExclusive((ffmpeg) => {
+      this.updateExportStatus(status);
+      return this.execFfmpeg(ffmpeg, args, options);
+    }, { signal: options.signal });
+  }
+  
+  /**
+   * runFfmpeg()'s command, once it has `ffmpeg` to itself
+   */
+  async execFfmpeg(ffmpeg, args, { files = {}, blobs = {}, output, duration = null, progress = [60, 95], error, signal }) {
+    this.throwIfAborted(signal);
+    
+    const [from, to] = progress;
+    const log = [];
+    const mounted = Object.keys(blobs).length > 0;
+    let total = duration;
+    let startTime = null;
+    
+    const onLog = ({ message }) => {
+      log.push(message);
+      if (log.length > FFMPEG_LOG_TAIL) log.shift();
+      
+      if (!total) {
+        const match = message.match(FFMPEG_DURATION);
+        if (match) total = this.parseFfmpegTime(match);
+      }
+      
+      const match = message.match(FFMPEG_TIME);
+      if (match && total > 0 && startTime !== null) {
+        this.reportFfmpegProgress(Math.max(0, this.parseFfmpegTime(match)), total, startTime, from, to);
+      }
+    };
+    const onAbort = () => this.ffmpegLoader.terminate(ffmpeg);
+    
+    ffmpeg.on('log', onLog);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    try {
+      let exitCode;
+      try {
+        for (const [name, data] of Object.entries(files)) {
+          await ffmpeg.writeFile(name, data);
+        }
+        if (mounted) {
+          await ffmpeg.createDir(FFMPEG_MOUNT_DIR);
+          await ffmpeg.mount('WORKERFS', {
+            blobs: Object.entries(blobs).map(([name, data]) => ({ name, data }))
+          }, FFMPEG_MOUNT_DIR);
+        }
+        startTime = performance.now();
+        exitCode = await ffmpeg.exec(args);
+      } catch (e) {
+        // terminate() rejects the command that was running
+        this.throwIfAborted(signal);
+        
+        // A crashed instance may be left in any state, so start over
+        this.ffmpegLoader.terminate(ffmpeg);
+        throw new Error(`ffmpeg.wasm stopped unexpectedly (${e.message})`);
+      }
+      this.throwIfAborted(signal);
+      
+      if (exitCode !== 0) {
+        console.error(`ffmpeg exited with code ${exitCode}:\n${log.join('\n')}`);
+        throw new Error(`ffmpeg.wasm ${error}`);
+      }
+      
+      return await ffmpeg.readFile(output);
+    } catch (e) {
+      // A cancel that lands while the output is read back rejects that too
+      this.throwIfAborted(signal);
+      throw e;
     } finally {
-      this.isLoading = false;
+      ffmpeg.off('log', onLog);
+      signal?.removeEventListener('abort', onAbort);
+      this.updateExportDetails('');
+      
+      if (this.ffmpegLoader.isCurrent(ffmpeg)) {
+        for (const name of [...Object.keys(files), output]) {
+          // The output is missing when the command failed
+          await ffmpeg.deleteFile(name).catch(() => {});
+        }
+        if (mounted) {
+          await ffmpeg.unmount(FFMPEG_MOUNT_DIR).catch(() => {});
+          await ffmpeg.deleteDir(FFMPEG_MOUNT_DIR).catch(() => {});
+        }
+      }
     }
   }
   
-  getExportFilename(extension) {
-    const baseName = this.app.currentVideo?.name?.replace(/\.[^/.]+$/, '') || 'video';
+  /**
+   * Show how far ffmpeg has got, `time` seconds into `duration`, and how
+   * fast it's going
+   */
+  reportFfmpegProgress(time, duration, startTime, from, to) {
+    const done = Math.min(time, duration);
+    this.updateExportProgress(from + (done / duration) * (to - from));
+    
+    const elapsed = (performance.now() - startTime) / 1000;
+    if (elapsed < ETA_MIN_ELAPSED || done <= 0) return;
+    
+    const speed = done / elapsed;
+    const remaining = (duration - done) / speed;
+    this.updateExportDetails(`${speed.toFixed(1)}× realtime • about ${this.formatTimeLeft(remaining)} left`);
+  }
+  
+  parseFfmpegTime([, hours, minutes, seconds]) {
+    const sign = hours.startsWith('-') ? -1 : 1;
+    return sign * (Math.abs(parseInt(hours)) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds));
+  }
+  
+  getExportFilename(extension, suffix = null) {
     const preset = this.app.audioFx?.getCurrentPreset() || 'original';
-    return `${baseName}_${preset}.${extension}`;
+    return `${this.getBaseName()}_${preset}${suffix ? `_${suffix}` : ''}.${extension}`;
+  }
+  
+  getBaseName() {
+    if (this.host) return this.host.getBaseName();
+    return this.app.currentVideo?.name?.replace(/\.[^/.]+$/, '') || 'video';
+  }
+  
+  /**
+   * Extension of the uploaded file, for outputs in the same container
+   */
+  getSourceExtension() {
+    return this.app.videoFile?.name?.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase() || 'mp4';
   }
   
   downloadBlob(blob, filename) {
@@ -434,6 +1418,7 @@ export class Exporter {
     if (titleEl) titleEl.textContent = title;
     modal?.removeAttribute('hidden');
     this.updateExportProgress(0);
+    this.updateExportDetails('');
   }
   
   hideExportModal() {
@@ -441,6 +1426,11 @@ export class Exporter {
   }
   
   updateExportProgress(percent) {
+    if (this.host) {
+      this.host.updateExportProgress(percent);
+      return;
+    }
+    
     const ring = document.getElementById('export-progress-ring');
     const percentEl = document.getElementById('export-percent');
     
@@ -456,13 +1446,33 @@ export class Exporter {
   }
   
   updateExportStatus(status) {
+    this.status = status;
+    if (this.host) {
+      this.host.updateExportStatus(status);
+      return;
+    }
+    
     const statusEl = document.getElementById('export-status');
     if (statusEl) statusEl.textContent = status;
   }
   
+  /**
+   * Secondary line under the status, such as speed and time left
+   */
+  updateExportDetails(details) {
+    if (this.host) {
+      this.host.updateExportDetails(details);
+      return;
+    }
+    
+    const detailsEl = document.getElementById('export-details');
+    if (detailsEl) detailsEl.textContent = details;
+  }
+  
   cancelExport() {
     if (this.abortController) {
       this.abortController.abort();
+      this.abortController = null;
     }
     this.hideExportModal();
     this.isExporting = false;
@@ -0,0 +1,330 @@
+/**
+ * VidFlow - ffmpeg.wasm Loader
+ * Loads ffmpeg.wasm from our own origin instead of a CDN. The path and the
+ * hashes of its files come from the #ffmpeg-config block in index.html, and
+ * every file, the FFmpeg class and its worker included, is checked against
+ * its hash before it runs. The multi-threaded core is used when it is
+ * served and the page has SharedArrayBuffer, the single-threaded core
+ * otherwise. The app keeps one loader, so the page's exports and the batch
+ * queue share one instance and take turns on it.
+ */
+
+const DEFAULT_PATH = 'vendor/ffmpeg/';
+
+// Core builds, relative to the configured path. Keys are the options of
+// FFmpeg.load().
+const CORES = {
+  threaded: {
+    coreURL: { path: 'core-mt/ffmpeg-core.js', type: 'text/javascript' },
+    wasmURL: { path: 'core-mt/ffmpeg-core.wasm', type: 'application/wasm' },
+    workerURL: { path: 'core-mt/ffmpeg-core.worker.js', type: 'text/javascript' }
+  },
+  single: {
+    coreURL: { path: 'core/ffmpeg-core.js', type: 'text/javascript' },
+    wasmURL: { path: 'core/ffmpeg-core.wasm', type: 'application/wasm' }
+  }
+};
+
+// The modules of @ffmpeg/ffmpeg's dist/esm, relative to the path, each
+// with the modules it imports, which are listed before it. index.js holds
+// the FFmpeg class and worker.js the worker it starts.
+const WRAPPER = {
+  'ffmpeg/const.js': [],
+  'ffmpeg/errors.js': [],
+  'ffmpeg/utils.js': [],
+  'ffmpeg/types.js': [],
+  'ffmpeg/classes.js': ['const.js', 'utils.js', 'errors.js'],
+  'ffmpeg/index.js': ['classes.js', 'types.js'],
+  'ffmpeg/worker.js': ['const.js', 'errors.js']
+};
+const WRAPPER_PATH = 'ffmpeg/index.js';
+const WRAPPER_WORKER_PATH = 'ffmpeg/worker.js';
+
+const HASH_ALGORITHMS = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512'
+};
+
+export class FFmpegLoader {
+  constructor() {
+    this.config = readConfig();
+    this.loading = null;
+    this.instance = null;
+    this.isThreaded = false;
+    
+    // Settles once the last task queued with runExclusive() is over
+    this.turn = Promise.resolve();
+    this.pendingTasks = 0;
+    
+    // Blob URLs of the verified files, kept so an instance started after
+    // terminate() loads without downloading and checking them again
+    this.urls = null;
+    this.wrapperURL = null;
+  }
+  
+  /**
+   * Resolve to a loaded FFmpeg instance, loading it on first call.
+   * `onProgress` receives the bytes downloaded so far and the total (0 when
+   * the server doesn't say).
+   */
+  load({ onProgress } = {}) {
+    if (!this.loading) {
+      // A failed load can be retried
+      this.loading = this.loadCore(onProgress).then((ffmpeg) => {
+        this.instance = ffmpeg;
+        return ffmpeg;
+      }, (e) => {
+        this.loading = null;
+        throw e;
+      });
+    }
+    return this.loading;
+  }
+  
+  /**
+   * Run `task` with the loaded instance once the tasks queued before it
+   * are over, since commands on one instance share its file system and a
+   * cancel terminates it. An aborted `signal` gives up the turn.
+   */
+  async runExclusive(task, { signal } = {}) {
+    const previous = this.turn;
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    // Later tasks wait for this one and everything ahead of it
+    this.turn = previous.then(() => done);
+    this.pendingTasks++;
+    
+    try {
+      await untilAborted(previous, signal);
+      return await task(await this.load());
+    } finally {
+      this.pendingTasks--;
+      release();
+    }
+  }
+  
+  /**
+   * Whether a task is running or waiting for its turn
+   */
+  isBusy() {
+    return this.pendingTasks > 0;
+  }
+  
+  /**
+   * Whether `ffmpeg` is the instance load() hands out, not one that has
+   * been terminated
+   */
+  isCurrent(ffmpeg) {
+    return ffmpeg === this.instance;
+  }
+  
+  /**
+   * Stop an instance, even mid-command, by terminating its worker. It
+   * can't be used again, so the next load() starts a new one.
+   */
+  terminate(ffmpeg) {
+    ffmpeg.terminate();
+    if (this.isCurrent(ffmpeg)) {
+      this.instance = null;
+      this.loading = null;
+    }
+  }
+  
+  async loadCore(onProgress) {
+    const { base, integrity } = this.config;
+    
+    // The threaded core only runs with SharedArrayBuffer, which needs the
+    // page to be cross-origin isolated
+    const canThread = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated;
+    
+    if (!this.urls) {
+      let files = null;
+      if (canThread) {
+        try {
+          files = await fetchFiles(base, CORES.threaded, integrity, onProgress);
+          this.isThreaded = true;
+        } catch (e) {
+          // The threaded core is optional, but one that is served must pass
+          if (e.status !== 404) throw e;
+        }
+      }
+      files = files || await fetchFiles(base, CORES.single, integrity, onProgress);
+      
+      const { [WRAPPER_PATH]: wrapperURL, [WRAPPER_WORKER_PATH]: classWorkerURL } = linkModules(files.wrapper);
+      this.urls = { ...files.core, classWorkerURL };
+      this.wrapperURL = wrapperURL;
+    }
+    
+    const { FFmpeg } = await import(this.wrapperURL);
+    const ffmpeg = new FFmpeg();
+    await ffmpeg.load(this.urls);
+    
+    console.log(`FFmpeg loaded (${this.isThreaded ? 'multi' : 'single'}-threaded)`);
+    return ffmpeg;
+  }
+}
+
+/**
+ * Download and check a core and the wrapper modules, resolving to
+ * { core, wrapper }: blob URLs of the core keyed by FFmpeg.load() option,
+ * and the wrapper's source keyed by path
+ */
+async function fetchFiles(base, core, integrity, onProgress) {
+  const corePaths = Object.values(core).map(({ path }) => path);
+  const wrapperPaths = Object.keys(WRAPPER);
+  const bodies = await fetchVerified(base, [...corePaths, ...wrapperPaths], integrity, onProgress);
+  
+  const coreURLs = {};
+  Object.entries(core).forEach(([key, { type }], i) => {
+    coreURLs[key] = URL.createObjectURL(new Blob([bodies[i]], { type }));
+  });
+  
+  const decoder = new TextDecoder();
+  const wrapper = {};
+  wrapperPaths.forEach((path, i) => {
+    wrapper[path] = decoder.decode(bodies[corePaths.length + i]);
+  });
+  return { core: coreURLs, wrapper };
+}
+
+/**
+ * Blob URLs for the wrapper modules, keyed by path. A blob URL module can't
+ * resolve the relative imports between them, so each module's imports are
+ * pointed at the blob URLs of the checked modules it imports.
+ */
+function linkModules(sources) {
+  const urls = {};
+  for (const [path, imports] of Object.entries(WRAPPER)) {
+    const directory = path.slice(0, path.lastIndexOf('/') + 1);
+    let source = sources[path];
+    for (const name of imports) {
+      // The specifiers are written by tsc as "./name.js"
+      source = source.replaceAll(`"./${name}"`, `"${urls[directory + name]}"`);
+    }
+    urls[path] = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  }
+  return urls;
+}
+
+/**
+ * Settle with `promise`, or reject with an AbortError as soon as `signal`
+ * aborts
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('Export cancelled', 'AbortError'));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Path and hashes from the JSON in #ffmpeg-config, relative to the page
+ */
+function readConfig() {
+  let config = {};
+  const block = document.getElementById('ffmpeg-config');
+  if (block) {
+    try {
+      config = JSON.parse(block.textContent);
+    } catch (e) {
+      console.warn('Invalid #ffmpeg-config, using defaults:', e);
+    }
+  }
+  
+  let path = config.path || DEFAULT_PATH;
+  if (!path.endsWith('/')) path += '/';
+  
+  return {
+    base: new URL(path, document.baseURI).href,
+    integrity: config.integrity || {}
+  };
+}
+
+/**
+ * Download files and check them against their hashes, resolving to their
+ * bytes, so ffmpeg runs exactly the bytes that were checked
+ */
+async function fetchVerified(base, paths, integrity, onProgress) {
+  // Every download is started first so the total size is known up front
+  const responses = await Promise.all(paths.map(async (path) => {
+    const response = await fetch(new URL(path, base));
+    if (!response.ok) {
+      const error = new Error(`${path} not found (HTTP ${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }));
+  
+  const total = responses.reduce((sum, response) => sum + parseInt(response.headers.get('content-length') || '0'), 0);
+  let loaded = 0;
+  const bodies = await Promise.all(responses.map(response => readBody(response, (bytes) => {
+    loaded += bytes;
+    onProgress?.(loaded, total);
+  })));
+  
+  for (let i = 0; i < paths.length; i++) {
+    await verifyIntegrity(bodies[i], integrity[paths[i]], paths[i]);
+  }
+  return bodies;
+}
+
+async function readBody(response, onChunk) {
+  if (!response.body) {
+    const data = new Uint8Array(await response.arrayBuffer());
+    onChunk(data.length);
+    return data;
+  }
+  
+  const chunks = [];
+  let length = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+    onChunk(value.length);
+  }
+  
+  const data = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return data;
+}
+
+/**
+ * Check bytes against a Subresource Integrity style hash
+ * ("sha384-<base64>"). A file without a configured hash is refused.
+ */
+async function verifyIntegrity(bytes, expected, path) {
+  if (!expected) {
+    throw new Error(`No integrity hash configured for ${path}`);
+  }
+  
+  const separator = expected.indexOf('-');
+  const algorithm = HASH_ALGORITHMS[expected.slice(0, separator)];
+  if (!algorithm) {
+    throw new Error(`Unsupported integrity hash for ${path}`);
+  }
+  if (!crypto.subtle) {
+    throw new Error('Integrity checks need HTTPS or localhost');
+  }
+  
+  const digest = new Uint8Array(await crypto.subtle.digest(algorithm, bytes));
+  const actual = btoa(String.fromCharCode(...digest));
+  if (actual !== expected.slice(separator + 1)) {
+    throw new Error(`${path} failed its integrity check`);
+  }
+}
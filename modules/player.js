@@ -2,6 +2,8 @@
  * VidFlow - Custom Video Player with controls
  */
 
+import { MAX_VOLUME_BOOST } from './audiofx.js';
+
 export class Player {
   constructor(videoElement, app) {
     this.video = videoElement;
@@ -20,6 +22,7 @@ export class Player {
       skipForwardBtn: document.getElementById('skip-forward-btn'),
       muteBtn: document.getElementById('mute-btn'),
       volumeSlider: document.getElementById('volume-slider'),
+      volumeBoost: document.getElementById('volume-boost'),
       timeDisplay: document.getElementById('time-display'),
       progressContainer: document.getElementById('progress-container'),
       progressPlayed: document.getElementById('progress-played'),
@@ -93,11 +96,7 @@ export class Player {
     this.video.addEventListener('canplay', () => this.showLoading(false));
     
     // Volume changes
-    this.video.addEventListener('volumechange', () => {
-      this.isMuted = this.video.muted || this.video.volume === 0;
-      this.elements.wrapper.classList.toggle('muted', this.isMuted);
-      this.elements.volumeSlider.value = this.video.muted ? 0 : this.video.volume;
-    });
+    this.video.addEventListener('volumechange', () => this.updateVolumeDisplay());
     
     // Ended
     this.video.addEventListener('ended', () => {
@@ -137,8 +136,7 @@ export class Player {
     
     // Volume slider
     this.elements.volumeSlider?.addEventListener('input', (e) => {
-      this.video.volume = parseFloat(e.target.value);
-      this.video.muted = false;
+      this.setVolume(parseFloat(e.target.value));
     });
     
     // Progress bar
@@ -168,7 +166,7 @@ export class Player {
       }
       
       // Ignore if typing in input
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
         return;
       }
       
@@ -203,6 +201,12 @@ export class Player {
         case 't':
           this.toggleTheater();
           break;
+        case 'i':
+          this.app.trim?.setIn(this.video.currentTime);
+          break;
+        case 'o':
+          this.app.trim?.setOut(this.video.currentTime);
+          break;
         case 'Escape':
           this.closeSettings();
           break;
@@ -252,9 +256,36 @@ export class Player {
   }
   
   adjustVolume(delta) {
-    const newVolume = Math.max(0, Math.min(1, this.video.volume + delta));
-    this.video.volume = newVolume;
+    this.setVolume(Math.max(0, Math.min(MAX_VOLUME_BOOST, this.getVolume() + delta)));
+  }
+  
+  /**
+   * Volume from 0 to MAX_VOLUME_BOOST: the element handles up to 100%,
+   * the rest is boosted in the audio graph
+   */
+  setVolume(volume) {
+    this.video.volume = Math.min(1, volume);
     this.video.muted = false;
+    this.app.audioFx?.setBoost(Math.max(1, volume));
+    this.updateVolumeDisplay();
+  }
+  
+  getVolume() {
+    return this.video.volume * (this.app.audioFx?.boost ?? 1);
+  }
+  
+  updateVolumeDisplay() {
+    const volume = this.getVolume();
+    const isBoosted = volume > 1 && !this.video.muted;
+    
+    this.isMuted = this.video.muted || volume === 0;
+    this.elements.wrapper.classList.toggle('muted', this.isMuted);
+    this.elements.volumeSlider.value = this.video.muted ? 0 : volume;
+    
+    if (this.elements.volumeBoost) {
+      this.elements.volumeBoost.textContent = `${Math.round(volume * 100)}%`;
+      this.elements.volumeBoost.hidden = !isBoosted;
+    }
   }
   
   toggleTheater() {
@@ -0,0 +1,723 @@
+/**
+ * VidFlow - Audio Presets
+ * A single declarative preset model compiled into both the Web Audio
+ * node graph and an equivalent ffmpeg filtergraph
+ */
+
+// AudioWorklet processors needed by worklet-based stages
+const WORKLET_MODULES = [
+  './worklets/spectral-processor.js',
+  './worklets/ducker-processor.js',
+  './worklets/hiss-processor.js',
+  './worklets/deesser-processor.js'
+];
+
+// Frames overlap 4x in the STFT-based worklets
+const STFT_OVERLAP = 4;
+
+// The ducker only needs coarse bands, so it uses short low-latency frames
+const DUCKER_FFT_SIZE = 1024;
+
+// Hiss reduction frames, shared with the noise profiler that learns for it
+export const HISS_FFT_SIZE = 2048;
+
+// Mains hum notches: harmonics covered and notch Q
+const HUM_HARMONICS = 8;
+const HUM_Q = 30;
+
+// De-esser crossover in Hz
+const DEESS_FREQUENCY = 5500;
+
+// DynamicsCompressorNode delays its output by a fixed 6 ms lookahead,
+// truncated to whole frames and capped at 1023 (Blink, and the Gecko and
+// WebKit ports of its compressor)
+const COMPRESSOR_LOOKAHEAD = 0.006;
+const COMPRESSOR_MAX_LOOKAHEAD_FRAMES = 1023;
+
+// Contexts that have (or are) loading the worklet modules
+const preparedContexts = new WeakMap();
+
+// User-saved EQ presets live in localStorage next to the built-in ones
+const CUSTOM_PRESETS_KEY = 'vidflow-custom-presets';
+
+// Preset id for the unsaved curve while the EQ editor is open
+export const EQ_EDIT_PRESET = 'eq-edit';
+
+// Biquad stage types available as parametric EQ bands
+export const EQ_BAND_TYPES = {
+  lowshelf: 'Low Shelf',
+  peaking: 'Peaking',
+  highshelf: 'High Shelf',
+  lowpass: 'Low Pass',
+  highpass: 'High Pass',
+  notch: 'Notch'
+};
+
+/*
+ * Each preset is an ordered list of filter stages. A stage parameter is
+ * either a fixed number, a [min, max] range that is interpolated by the
+ * reduction strength (0% = min, 100% = max), or { setting, range } to
+ * interpolate by another 0-100 setting ({ setting } alone uses the raw
+ * setting value). `controls` lists the settings sliders shown for the
+ * preset.
+ */
+export const PRESETS = {
+  off: {
+    label: 'Off',
+    controls: [],
+    stages: []
+  },
+  
+  speech: {
+    label: 'Speech Focus',
+    controls: ['strength'],
+    // Boost mids, cut lows and highs
+    stages: [
+      { type: 'lowshelf', frequency: 200, gain: [0, -12] },
+      { type: 'highshelf', frequency: 4000, gain: [0, -8] },
+      { type: 'peaking', frequency: 2500, Q: 0.8, gain: [0, 6] },
+      { type: 'compressor', threshold: [-20, -30], knee: 30, ratio: [4, 8], attack: 0.003, release: 0.25 }
+    ]
+  },
+  
+  'music-reduce': {
+    label: 'Music Soften',
+    controls: ['strength'],
+    // Reduce bass and highs, keep mids
+    stages: [
+      { type: 'lowshelf', frequency: 200, gain: [0, -15] },
+      { type: 'highshelf', frequency: 4000, gain: [0, -10] },
+      { type: 'peaking', frequency: 1500, Q: 0.5, gain: [0, 3] },
+      { type: 'compressor', threshold: -30, knee: 30, ratio: [6, 12], attack: 0.003, release: 0.25 }
+    ]
+  },
+  
+  'center-vocal': {
+    label: 'Center Vocal',
+    controls: ['strength', 'width'],
+    // Keep the center (mid) where dialogue is panned, attenuate the wide
+    // side signal, and band-limit the mid to the voice range by strength
+    stages: [
+      {
+        type: 'midside',
+        side: { setting: 'width', range: [0, 1] },
+        midLow: [20, 150],
+        midHigh: [20000, 7000]
+      }
+    ]
+  },
+  
+  spectral: {
+    label: 'Spectral Suppress',
+    controls: ['strength', 'fftSize'],
+    // STFT gating of sustained tonal components (AudioWorklet)
+    stages: [
+      { type: 'spectral', fftSize: { setting: 'fftSize' }, amount: [0, 1], sustain: 0.5, floor: -30 }
+    ]
+  },
+  
+  'speech-duck': {
+    label: 'Speech Ducking',
+    controls: ['duckMode', 'duckTarget', 'duckDepth', 'duckAttack', 'duckRelease'],
+    // Voice activity detection driving a ducking envelope (AudioWorklet)
+    stages: [
+      {
+        type: 'ducker',
+        mode: { setting: 'duckMode' },
+        target: { setting: 'duckTarget' },
+        depth: { setting: 'duckDepth' },
+        attack: { setting: 'duckAttack' },
+        release: { setting: 'duckRelease' }
+      }
+    ]
+  }
+};
+
+/*
+ * Stage compilers. create() builds the Web Audio nodes for a stage and
+ * returns { input, output, update, dispose? }, ffmpeg() returns the
+ * equivalent ffmpeg filter, or null when there is none. `structural`
+ * parameters cannot change without rebuilding the nodes, and latency()
+ * reports the delay a stage adds in samples at the given sample rate.
+ */
+const STAGE_TYPES = {
+  lowshelf: biquadStage('lowshelf', (p) =>
+    `lowshelf=f=${num(p.frequency)}:t=s:w=1:g=${num(p.gain)}`),
+  
+  highshelf: biquadStage('highshelf', (p) =>
+    `highshelf=f=${num(p.frequency)}:t=s:w=1:g=${num(p.gain)}`),
+  
+  peaking: biquadStage('peaking', (p) =>
+    `equalizer=f=${num(p.frequency)}:t=q:w=${num(p.Q)}:g=${num(p.gain)}`),
+  
+  lowpass: biquadStage('lowpass', (p) =>
+    `lowpass=f=${num(p.frequency)}:t=q:w=${passQ(p.Q)}`),
+  
+  highpass: biquadStage('highpass', (p) =>
+    `highpass=f=${num(p.frequency)}:t=q:w=${passQ(p.Q)}`),
+  
+  notch: biquadStage('notch', (p) =>
+    `bandreject=f=${num(p.frequency)}:t=q:w=${num(p.Q)}`),
+  
+  midside: {
+    create(context, params) {
+      // Upmix mono sources so both channels carry the signal
+      const input = context.createGain();
+      input.channelCount = 2;
+      input.channelCountMode = 'explicit';
+      input.channelInterpretation = 'speakers';
+      
+      const splitter = context.createChannelSplitter(2);
+      const merger = context.createChannelMerger(2);
+      input.connect(splitter);
+      
+      // Mid = (L + R) / 2, Side = (L - R) / 2
+      const mid = context.createGain();
+      mid.gain.value = 0.5;
+      splitter.connect(mid, 0);
+      splitter.connect(mid, 1);
+      
+      const sideLeft = context.createGain();
+      const sideRight = context.createGain();
+      sideLeft.gain.value = 0.5;
+      sideRight.gain.value = -0.5;
+      splitter.connect(sideLeft, 0);
+      splitter.connect(sideRight, 1);
+      
+      // Band-limit the mid and scale the side
+      const midHighpass = context.createBiquadFilter();
+      const midLowpass = context.createBiquadFilter();
+      midHighpass.type = 'highpass';
+      midLowpass.type = 'lowpass';
+      mid.connect(midHighpass);
+      midHighpass.connect(midLowpass);
+      
+      const side = context.createGain();
+      sideLeft.connect(side);
+      sideRight.connect(side);
+      
+      // L = Mid + Side, R = Mid - Side
+      const sideInvert = context.createGain();
+      sideInvert.gain.value = -1;
+      side.connect(sideInvert);
+      
+      midLowpass.connect(merger, 0, 0);
+      midLowpass.connect(merger, 0, 1);
+      side.connect(merger, 0, 0);
+      sideInvert.connect(merger, 0, 1);
+      
+      const update = (p) => {
+        side.gain.value = p.side;
+        midHighpass.frequency.value = p.midLow;
+        midLowpass.frequency.value = p.midHigh;
+      };
+      update(params);
+      return { input, output: merger, update };
+    },
+    
+    ffmpeg(p) {
+      return [
+        'aformat=channel_layouts=stereo',
+        'pan=stereo|c0=0.5*c0+0.5*c1|c1=0.5*c0-0.5*c1',
+        `highpass=f=${num(p.midLow)}:t=q:w=${passQ()}:c=FL`,
+        `lowpass=f=${num(p.midHigh)}:t=q:w=${passQ()}:c=FL`,
+        `pan=stereo|c0=c0+${num(p.side)}*c1|c1=c0-${num(p.side)}*c1`
+      ].join(',');
+    }
+  },
+  
+  spectral: {
+    structural: ['fftSize'],
+    
+    latency: (p) => p.fftSize,
+    
+    create(context, params) {
+      const node = new AudioWorkletNode(context, 'spectral-suppressor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers',
+        processorOptions: { fftSize: params.fftSize, overlap: STFT_OVERLAP }
+      });
+      const update = (p) => {
+        node.parameters.get('amount').value = p.amount;
+        node.parameters.get('sustain').value = p.sustain;
+        node.parameters.get('floor').value = p.floor;
+      };
+      update(params);
+      return { input: node, output: node, update, dispose: () => node.port.postMessage('dispose') };
+    }
+  },
+  
+  ducker: {
+    latency: () => DUCKER_FFT_SIZE,
+    
+    create(context, params) {
+      const node = new AudioWorkletNode(context, 'speech-ducker', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers',
+        processorOptions: { fftSize: DUCKER_FFT_SIZE, overlap: STFT_OVERLAP }
+      });
+      // mode: 'gaps' | 'speech', target: 'gain' | 'eq', times in ms
+      const update = (p) => {
+        node.parameters.get('mode').value = p.mode === 'speech' ? 1 : 0;
+        node.parameters.get('target').value = p.target === 'eq' ? 1 : 0;
+        node.parameters.get('depth').value = p.depth;
+        node.parameters.get('attack').value = p.attack / 1000;
+        node.parameters.get('release').value = p.release / 1000;
+      };
+      update(params);
+      return { input: node, output: node, update, dispose: () => node.port.postMessage('dispose') };
+    }
+  },
+  
+  router: {
+    create(context, params) {
+      // Upmix mono sources so both channels carry the signal
+      const input = context.createGain();
+      input.channelCount = 2;
+      input.channelCountMode = 'explicit';
+      input.channelInterpretation = 'speakers';
+      
+      const splitter = context.createChannelSplitter(2);
+      const merger = context.createChannelMerger(2);
+      input.connect(splitter);
+      
+      // One gain per output/input channel pair
+      const gains = [0, 1].map(output => [0, 1].map(source => {
+        const gain = context.createGain();
+        splitter.connect(gain, source);
+        gain.connect(merger, 0, output);
+        return gain;
+      }));
+      
+      const update = (p) => {
+        p.matrix.forEach((row, output) => row.forEach((value, source) => {
+          gains[output][source].gain.value = value;
+        }));
+      };
+      update(params);
+      return { input, output: merger, update };
+    },
+    
+    ffmpeg(p) {
+      const channel = ([left, right]) =>
+        `${num(left)}*c0${right < 0 ? '-' : '+'}${num(Math.abs(right))}*c1`;
+      return [
+        'aformat=channel_layouts=stereo',
+        `pan=stereo|c0=${channel(p.matrix[0])}|c1=${channel(p.matrix[1])}`
+      ].join(',');
+    }
+  },
+  
+  humcomb: {
+    structural: ['harmonics'],
+    
+    create(context, params) {
+      // A notch on the mains frequency and each of its harmonics
+      const notches = Array.from({ length: params.harmonics }, () => {
+        const node = context.createBiquadFilter();
+        node.type = 'notch';
+        return node;
+      });
+      for (let i = 1; i < notches.length; i++) {
+        notches[i - 1].connect(notches[i]);
+      }
+      
+      const update = (p) => {
+        notches.forEach((node, i) => {
+          node.frequency.value = p.frequency * (i + 1);
+          node.Q.value = p.Q;
+        });
+      };
+      update(params);
+      return { input: notches[0], output: notches[notches.length - 1], update };
+    },
+    
+    ffmpeg(p) {
+      return Array.from({ length: p.harmonics }, (_, i) =>
+        `bandreject=f=${num(p.frequency * (i + 1))}:t=q:w=${num(p.Q)}`).join(',');
+    }
+  },
+  
+  denoise: {
+    latency: () => HISS_FFT_SIZE,
+    
+    create(context, params) {
+      const node = new AudioWorkletNode(context, 'hiss-reducer', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers',
+        processorOptions: { fftSize: HISS_FFT_SIZE, overlap: STFT_OVERLAP, profile: params.profile }
+      });
+      let profile = params.profile;
+      const update = (p) => {
+        node.parameters.get('amount').value = p.amount;
+        if (p.profile !== profile) {
+          profile = p.profile;
+          node.port.postMessage({ profile });
+        }
+      };
+      update(params);
+      return { input: node, output: node, update, dispose: () => node.port.postMessage('dispose') };
+    },
+    
+    ffmpeg(p) {
+      // afftdn has no way to load our profile, so approximate it with a
+      // white noise floor at the profile's average level. A sqrt-Hann
+      // frame of white noise has power variance * fftSize / 2 per bin.
+      const meanPower = p.profile.reduce((sum, value) => sum + value, 0) / p.profile.length;
+      const floor = 10 * Math.log10(meanPower / (HISS_FFT_SIZE / 2) + 1e-12);
+      
+      return 'afftdn=nr=' + num(clamp(p.amount * 24, 0.01, 97)) +
+        ':nf=' + num(clamp(floor, -80, -20));
+    }
+  },
+  
+  deesser: {
+    create(context, params) {
+      const node = new AudioWorkletNode(context, 'de-esser', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers'
+      });
+      const update = (p) => {
+        node.parameters.get('frequency').value = p.frequency;
+        node.parameters.get('threshold').value = p.threshold;
+        node.parameters.get('ratio').value = p.ratio;
+        node.parameters.get('maxReduction').value = p.maxReduction;
+      };
+      update(params);
+      return { input: node, output: node, update, dispose: () => node.port.postMessage('dispose') };
+    },
+    
+    ffmpeg(p) {
+      // ffmpeg's deesser has its own detector; match its depth to ours
+      return 'deesser=i=' + num(clamp((p.threshold + 20) / -30, 0, 1)) +
+        ':m=' + num(1 - dbToGain(-p.maxReduction)) +
+        ':f=0.5:s=o';
+    }
+  },
+  
+  compressor: {
+    latency: (p, sampleRate) => Math.min(Math.floor(COMPRESSOR_LOOKAHEAD * sampleRate), COMPRESSOR_MAX_LOOKAHEAD_FRAMES),
+    
+    create(context, params) {
+      const node = context.createDynamicsCompressor();
+      const update = (p) => {
+        node.threshold.value = p.threshold;
+        node.knee.value = p.knee;
+        node.ratio.value = p.ratio;
+        node.attack.value = p.attack;
+        node.release.value = p.release;
+      };
+      update(params);
+      return { input: node, output: node, update };
+    },
+    
+    ffmpeg(p) {
+      // acompressor works in linear units and, unlike DynamicsCompressorNode,
+      // applies no automatic makeup gain. Approximate the Web Audio makeup
+      // gain (0.6 power of the gain reduction at full scale).
+      const reductionDb = -p.threshold * (1 - 1 / p.ratio);
+      const makeup = clamp(dbToGain(0.6 * reductionDb), 1, 64);
+      
+      return [
+        'acompressor=threshold=' + num(clamp(dbToGain(p.threshold), 0.000976563, 1)),
+        'ratio=' + num(clamp(p.ratio, 1, 20)),
+        'attack=' + num(clamp(p.attack * 1000, 0.01, 2000)),
+        'release=' + num(clamp(p.release * 1000, 0.01, 9000)),
+        'knee=' + num(clamp(dbToGain(p.knee), 1, 8)),
+        'makeup=' + num(makeup)
+      ].join(':');
+    }
+  }
+};
+
+function biquadStage(type, toFfmpeg) {
+  return {
+    create(context, params) {
+      const node = context.createBiquadFilter();
+      node.type = type;
+      const update = (p) => {
+        node.frequency.value = p.frequency;
+        if (p.Q !== undefined) node.Q.value = p.Q;
+        if (p.gain !== undefined) node.gain.value = p.gain;
+      };
+      update(params);
+      return { input: node, output: node, update };
+    },
+    ffmpeg: toFfmpeg
+  };
+}
+
+const customPresets = loadCustomPresets();
+let editingPreset = createEqPreset('Custom EQ', []);
+
+export function getPreset(id) {
+  if (id === EQ_EDIT_PRESET) return editingPreset;
+  return PRESETS[id] || customPresets[id] || PRESETS.off;
+}
+
+/**
+ * Saved custom presets, keyed by id
+ */
+export function getCustomPresets() {
+  return { ...customPresets };
+}
+
+export function saveCustomPreset(label, bands) {
+  const id = `custom-${Date.now()}`;
+  customPresets[id] = createEqPreset(label, bands);
+  persistCustomPresets();
+  return id;
+}
+
+export function deleteCustomPreset(id) {
+  delete customPresets[id];
+  persistCustomPresets();
+}
+
+/**
+ * Set the bands of the unsaved preset edited in the EQ editor
+ */
+export function setEditingBands(bands) {
+  editingPreset = createEqPreset('Custom EQ', bands);
+}
+
+/**
+ * EQ presets are plain biquad stages with fixed values, so the strength
+ * slider does not apply to them
+ */
+function createEqPreset(label, bands) {
+  return {
+    label,
+    custom: true,
+    controls: [],
+    stages: bands.map(({ type, frequency, Q, gain }) => ({ type, frequency, Q, gain }))
+  };
+}
+
+function loadCustomPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function persistCustomPresets() {
+  localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(customPresets));
+}
+
+/**
+ * Resolve a preset into concrete stage parameters for the given settings
+ */
+export function resolvePreset(id, settings = {}) {
+  const interpolate = ([min, max], percent) => min + (max - min) * (percent / 100);
+  
+  return getPreset(id).stages.map(stage => {
+    const resolved = {};
+    for (const [key, value] of Object.entries(stage)) {
+      if (Array.isArray(value)) {
+        resolved[key] = interpolate(value, settings.strength ?? 50);
+      } else if (value && typeof value === 'object') {
+        resolved[key] = value.range
+          ? interpolate(value.range, settings[value.setting] ?? 50)
+          : settings[value.setting];
+      } else {
+        resolved[key] = value;
+      }
+    }
+    return resolved;
+  });
+}
+
+/**
+ * Full stage list for the settings: the preset wrapped in the optional
+ * restoration stages. Hum and hiss come out before the preset, sibilance
+ * after it, since presets such as Speech Focus boost the sibilant range.
+ */
+export function resolveStages(settings) {
+  const before = [];
+  const after = [];
+  
+  // Channel fixes come first so everything else sees the intended channels
+  if (hasRouting(settings)) {
+    before.push({ type: 'router', matrix: getRoutingMatrix(settings) });
+  }
+  if (settings.humFrequency) {
+    before.push({ type: 'humcomb', frequency: settings.humFrequency, harmonics: HUM_HARMONICS, Q: HUM_Q });
+  }
+  if (settings.hissAmount > 0 && settings.noiseProfile) {
+    before.push({ type: 'denoise', amount: settings.hissAmount / 100, profile: settings.noiseProfile });
+  }
+  if (settings.deEss > 0) {
+    // 0-100 lowers the threshold from -20 to -50 dBFS and deepens the cut
+    after.push({
+      type: 'deesser',
+      frequency: DEESS_FREQUENCY,
+      threshold: -20 - 0.3 * settings.deEss,
+      ratio: 4,
+      maxReduction: 6 + 0.12 * settings.deEss
+    });
+  }
+  
+  return [...before, ...resolvePreset(settings.preset, settings), ...after];
+}
+
+/**
+ * Channel routing as [output][input] gains: per-channel gain and polarity
+ * first, then the channel mode (stereo, swap, mono sum, left or right)
+ */
+function getRoutingMatrix(settings) {
+  const left = dbToGain(settings.leftGain || 0) * (settings.invertLeft ? -1 : 1);
+  const right = dbToGain(settings.rightGain || 0) * (settings.invertRight ? -1 : 1);
+  
+  switch (settings.channelMode) {
+    case 'swap':
+      return [[0, right], [left, 0]];
+    case 'mono':
+      return [[left / 2, right / 2], [left / 2, right / 2]];
+    case 'left':
+      return [[left, 0], [left, 0]];
+    case 'right':
+      return [[0, right], [0, right]];
+    default:
+      return [[left, 0], [0, right]];
+  }
+}
+
+/**
+ * True when the settings route channels other than straight through
+ */
+export function hasRouting(settings) {
+  const [[ll, lr], [rl, rr]] = getRoutingMatrix(settings);
+  return ll !== 1 || lr !== 0 || rl !== 0 || rr !== 1;
+}
+
+/**
+ * True when the settings enable any restoration stage
+ */
+export function hasRestoration(settings) {
+  return Boolean(settings.humFrequency) ||
+    (settings.hissAmount > 0 && Boolean(settings.noiseProfile)) ||
+    settings.deEss > 0;
+}
+
+/**
+ * Load the AudioWorklet modules used by worklet stages. Must resolve
+ * before buildChain() is called on the context.
+ */
+export function prepareContext(context) {
+  if (!preparedContexts.has(context)) {
+    // Without AudioWorklet support only worklet stages fail, in buildChain()
+    const ready = context.audioWorklet
+      ? Promise.all(WORKLET_MODULES.map(path =>
+        context.audioWorklet.addModule(new URL(path, import.meta.url))))
+      : Promise.resolve();
+    preparedContexts.set(context, ready);
+  }
+  return preparedContexts.get(context);
+}
+
+/**
+ * Compile resolved stages into a connected Web Audio node chain.
+ * Returns { input, output, latency, update(stages) }; update() returns
+ * false when the new stages have a different layout and the chain must
+ * be rebuilt. Latency is in samples.
+ */
+export function buildChain(context, stages) {
+  // Passthrough input so an empty chain still has a node to connect to
+  const input = context.createGain();
+  const nodes = stages.map(stage => STAGE_TYPES[stage.type].create(context, stage));
+  
+  let output = input;
+  for (const node of nodes) {
+    output.connect(node.input);
+    output = node.output;
+  }
+  
+  const layout = getLayout(stages);
+  
+  return {
+    input,
+    output,
+    latency: getLatency(stages, context.sampleRate),
+    update(newStages) {
+      if (getLayout(newStages) !== layout) return false;
+      newStages.forEach((stage, i) => nodes[i].update(stage));
+      return true;
+    },
+    disconnect() {
+      input.disconnect();
+      nodes.forEach(node => {
+        node.output.disconnect();
+        node.dispose?.();
+      });
+    }
+  };
+}
+
+/**
+ * Total delay the stages add, in samples at `sampleRate`
+ */
+export function getLatency(stages, sampleRate) {
+  return stages.reduce((total, stage) =>
+    total + (STAGE_TYPES[stage.type].latency?.(stage, sampleRate) || 0), 0);
+}
+
+/**
+ * Stage types plus structural parameters - chains with the same layout
+ * can be updated in place
+ */
+function getLayout(stages) {
+  return stages.map(stage => {
+    const structural = STAGE_TYPES[stage.type].structural || [];
+    return [stage.type, ...structural.map(key => stage[key])].join(':');
+  }).join();
+}
+
+/**
+ * Compile resolved stages into an ffmpeg -af filtergraph.
+ * Returns an empty string for no processing, or null if a stage has no
+ * ffmpeg equivalent.
+ */
+export function toFfmpegFilter(stages) {
+  const filters = stages.map(stage => STAGE_TYPES[stage.type].ffmpeg?.(stage) ?? null);
+  if (filters.includes(null)) return null;
+  return filters.join(',');
+}
+
+/**
+ * Web Audio takes a lowpass or highpass Q in dB where ffmpeg takes it
+ * linear. A filter without one has the node's default of 1 dB.
+ */
+function passQ(q = 1) {
+  return num(dbToGain(q));
+}
+
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function num(value) {
+  // Compact decimal formatting for filter arguments
+  return String(Number(value.toFixed(6)));
+}
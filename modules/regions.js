@@ -0,0 +1,388 @@
+/**
+ * VidFlow - Timeline Regions
+ * Segments of the timeline with their own preset and strength, shown on
+ * the progress bar, applied live by AudioFX and baked into exports by the
+ * offline renderer
+ */
+
+import { PRESETS, getCustomPresets } from './presets.js';
+
+// Seconds to crossfade between chains at a region boundary
+export const REGION_CROSSFADE = 0.05;
+
+const DEFAULT_REGION_LENGTH = 10;
+const MIN_REGION_LENGTH = 0.5;
+const REGION_COLORS = ['--accent-secondary', '--accent-tertiary', '--accent-warning'];
+
+/**
+ * The region containing `time`, or null
+ */
+export function getRegionAt(regions, time) {
+  return regions.find(region => time >= region.start && time < region.end) || null;
+}
+
+/**
+ * Settings in effect inside a region: the global settings with the
+ * region's own preset and strength
+ */
+export function getRegionSettings(settings, region) {
+  return region ? { ...settings, preset: region.preset, strength: region.strength } : settings;
+}
+
+export class RegionManager {
+  constructor(videoElement, app) {
+    this.video = videoElement;
+    this.app = app;
+    this.regions = [];
+    this.nextId = 1;
+    this.activeRegion = null;
+    this.isOpen = false;
+    this.frameId = null;
+    this.drag = null;
+    
+    // Removes every DOM listener in destroy()
+    this.listeners = new AbortController();
+    
+    this.elements = {
+      toggleBtn: document.getElementById('regions-btn'),
+      panel: document.getElementById('regions-panel'),
+      addBtn: document.getElementById('region-add'),
+      list: document.getElementById('region-list'),
+      empty: document.getElementById('region-empty'),
+      track: document.getElementById('progress-regions')
+    };
+    
+    this.tick = this.tick.bind(this);
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.listeners;
+    
+    this.elements.toggleBtn?.addEventListener('click', () => this.toggle(), { signal });
+    this.elements.addBtn?.addEventListener('click', () => this.addRegion(), { signal });
+    
+    // Region rows (delegated, rows are re-rendered)
+    this.elements.list?.addEventListener('click', (e) => this.handleListClick(e), { signal });
+    this.elements.list?.addEventListener('input', (e) => this.handleListInput(e), { signal });
+    this.elements.list?.addEventListener('change', (e) => this.handleListInput(e), { signal });
+    
+    // Edge handles on the progress bar
+    this.elements.track?.addEventListener('pointerdown', (e) => this.startDrag(e), { signal });
+    this.elements.track?.addEventListener('pointermove', (e) => this.moveDrag(e), { signal });
+    this.elements.track?.addEventListener('pointerup', () => this.endDrag(), { signal });
+    this.elements.track?.addEventListener('pointercancel', () => this.endDrag(), { signal });
+    
+    // Don't let a handle drag fall through to seeking
+    this.elements.track?.addEventListener('click', (e) => {
+      if (e.target.closest('.progress-region-handle')) e.stopPropagation();
+    }, { signal });
+    
+    // Follow the playhead precisely while playing, and on every seek
+    this.video.addEventListener('play', () => this.startTracking(), { signal });
+    this.video.addEventListener('pause', () => this.stopTracking(), { signal });
+    this.video.addEventListener('seeked', () => this.updateActiveRegion(), { signal });
+    this.video.addEventListener('loadedmetadata', () => this.renderTrack(), { signal });
+    
+    this.render();
+  }
+  
+  toggle() {
+    this.isOpen = !this.isOpen;
+    this.elements.panel?.toggleAttribute('hidden', !this.isOpen);
+    this.elements.toggleBtn?.setAttribute('aria-pressed', this.isOpen.toString());
+    if (this.isOpen) this.renderList();
+  }
+  
+  getRegions() {
+    return this.regions;
+  }
+  
+  /**
+   * True when any region applies a preset other than off
+   */
+  hasProcessing() {
+    return this.regions.some(region => region.preset !== 'off');
+  }
+  
+  addRegion() {
+    const duration = this.video.duration;
+    if (!duration) return;
+    
+    const start = this.video.currentTime;
+    if (getRegionAt(this.regions, start)) {
+      this.app.ui.showToast('The playhead is already inside a region', 'warning');
+      return;
+    }
+    
+    // Stop short of the next region
+    const next = this.regions.find(region => region.start > start);
+    const end = Math.min(start + DEFAULT_REGION_LENGTH, next ? next.start : duration);
+    if (end - start < MIN_REGION_LENGTH) {
+      this.app.ui.showToast('Not enough room for a region here', 'warning');
+      return;
+    }
+    
+    const audioFx = this.app.audioFx;
+    const settings = audioFx?.getSettings();
+    const region = {
+      id: this.nextId++,
+      start,
+      end,
+      preset: settings?.preset || 'off',
+      strength: settings?.strength ?? 50
+    };
+    
+    this.regions.push(region);
+    this.regions.sort((a, b) => a.start - b.start);
+    
+    this.handleRegionsChanged();
+  }
+  
+  removeRegion(id) {
+    this.regions = this.regions.filter(region => region.id !== id);
+    this.handleRegionsChanged();
+  }
+  
+  /**
+   * Move one edge of a region, keeping it clear of its neighbours
+   */
+  setEdge(region, edge, time) {
+    const index = this.regions.indexOf(region);
+    const previous = this.regions[index - 1];
+    const next = this.regions[index + 1];
+    
+    if (edge === 'start') {
+      const min = previous ? previous.end : 0;
+      region.start = Math.max(min, Math.min(time, region.end - MIN_REGION_LENGTH));
+    } else {
+      const max = next ? next.start : this.video.duration;
+      region.end = Math.min(max, Math.max(time, region.start + MIN_REGION_LENGTH));
+    }
+  }
+  
+  handleRegionsChanged() {
+    const audioFx = this.app.audioFx;
+    
+    // Chains are latency-aligned across all regions, so always rebuild
+    this.activeRegion = getRegionAt(this.regions, this.video.currentTime);
+    audioFx?.setRegion(this.activeRegion);
+    if (this.hasProcessing()) audioFx?.setProcessed(true);
+    
+    this.render();
+    this.updateActiveRegion();
+  }
+  
+  handleListClick(e) {
+    const row = e.target.closest('.region-row');
+    if (!row) return;
+    
+    const region = this.regions.find(r => r.id === parseInt(row.dataset.id));
+    if (!region) return;
+    
+    if (e.target.closest('.region-remove')) {
+      this.removeRegion(region.id);
+    } else if (e.target.closest('.region-edge')) {
+      // Set an in/out point to the playhead
+      this.setEdge(region, e.target.closest('.region-edge').dataset.edge, this.video.currentTime);
+      this.render();
+      this.updateActiveRegion();
+    } else if (e.target.closest('.region-swatch')) {
+      this.video.currentTime = region.start;
+    }
+  }
+  
+  handleListInput(e) {
+    const row = e.target.closest('.region-row');
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+    
+    const region = this.regions.find(r => r.id === parseInt(row.dataset.id));
+    if (!region) return;
+    
+    if (field === 'preset') {
+      if (e.type !== 'change') return;
+      region.preset = e.target.value;
+      this.handleRegionsChanged();
+      return;
+    }
+    
+    region.strength = parseInt(e.target.value);
+    const valueLabel = row.querySelector('.region-strength-value');
+    if (valueLabel) valueLabel.textContent = `${region.strength}%`;
+    
+    if (region === this.activeRegion) {
+      this.app.audioFx?.updateFilters();
+    }
+  }
+  
+  // Playhead tracking
+  
+  startTracking() {
+    if (this.frameId || this.regions.length === 0) return;
+    this.frameId = requestAnimationFrame(this.tick);
+  }
+  
+  stopTracking() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+  
+  tick() {
+    this.frameId = requestAnimationFrame(this.tick);
+    this.updateActiveRegion();
+  }
+  
+  updateActiveRegion() {
+    const region = getRegionAt(this.regions, this.video.currentTime);
+    
+    if (region !== this.activeRegion) {
+      this.activeRegion = region;
+      this.app.audioFx?.setRegion(region);
+      this.highlightActive();
+    }
+    
+    if (this.regions.length === 0) {
+      this.stopTracking();
+    } else if (!this.video.paused) {
+      this.startTracking();
+    }
+  }
+  
+  // Dragging region edges on the progress bar
+  
+  startDrag(e) {
+    const handle = e.target.closest('.progress-region-handle');
+    if (!handle) return;
+    
+    const region = this.regions.find(r => r.id === parseInt(handle.dataset.id));
+    if (!region) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    handle.setPointerCapture(e.pointerId);
+    this.drag = { region, edge: handle.dataset.edge };
+  }
+  
+  moveDrag(e) {
+    if (!this.drag) return;
+    
+    const rect = this.elements.track.getBoundingClientRect();
+    const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    this.setEdge(this.drag.region, this.drag.edge, percent * this.video.duration);
+    this.renderTrack();
+  }
+  
+  endDrag() {
+    if (!this.drag) return;
+    
+    this.drag = null;
+    this.renderList();
+    this.updateActiveRegion();
+  }
+  
+  // Rendering
+  
+  render() {
+    this.renderTrack();
+    this.renderList();
+  }
+  
+  renderTrack() {
+    const track = this.elements.track;
+    const duration = this.video.duration;
+    if (!track) return;
+    
+    track.innerHTML = '';
+    if (!duration) return;
+    
+    this.regions.forEach((region, index) => {
+      const element = document.createElement('div');
+      element.className = 'progress-region';
+      element.dataset.id = region.id;
+      element.style.left = `${(region.start / duration) * 100}%`;
+      element.style.width = `${((region.end - region.start) / duration) * 100}%`;
+      element.style.setProperty('--region-color', `var(${this.getColor(index)})`);
+      element.title = `${this.getPresetLabel(region.preset)} (${region.strength}%)`;
+      element.classList.toggle('active', region === this.activeRegion);
+      
+      for (const edge of ['start', 'end']) {
+        const handle = document.createElement('span');
+        handle.className = `progress-region-handle progress-region-${edge}`;
+        handle.dataset.id = region.id;
+        handle.dataset.edge = edge;
+        element.appendChild(handle);
+      }
+      
+      track.appendChild(element);
+    });
+  }
+  
+  renderList() {
+    const list = this.elements.list;
+    if (!list) return;
+    
+    this.elements.empty?.toggleAttribute('hidden', this.regions.length > 0);
+    list.innerHTML = '';
+    
+    const presets = [
+      ...Object.entries(PRESETS),
+      ...Object.entries(getCustomPresets())
+    ];
+    const format = (time) => this.app.player?.formatTime(time) ?? time.toFixed(1);
+    
+    this.regions.forEach((region, index) => {
+      const row = document.createElement('div');
+      row.className = 'region-row';
+      row.dataset.id = region.id;
+      row.classList.toggle('active', region === this.activeRegion);
+      row.style.setProperty('--region-color', `var(${this.getColor(index)})`);
+      
+      const options = presets
+        .map(([id, preset]) => `<option value="${id}"${id === region.preset ? ' selected' : ''}>${this.app.ui.escapeHtml(preset.label)}</option>`)
+        .join('');
+      
+      row.innerHTML = `
+        <button class="region-swatch" aria-label="Go to region ${index + 1}"></button>
+        <button class="region-edge" data-edge="start" title="Set in point to the playhead">In ${format(region.start)}</button>
+        <button class="region-edge" data-edge="end" title="Set out point to the playhead">Out ${format(region.end)}</button>
+        <select data-field="preset" aria-label="Region ${index + 1} preset">${options}</select>
+        <input type="range" data-field="strength" min="0" max="100" value="${region.strength}" aria-label="Region ${index + 1} strength">
+        <span class="region-strength-value">${region.strength}%</span>
+        <button class="region-remove" aria-label="Remove region ${index + 1}">&times;</button>
+      `;
+      
+      list.appendChild(row);
+    });
+  }
+  
+  highlightActive() {
+    const activeId = this.activeRegion?.id;
+    this.elements.track?.querySelectorAll('.progress-region').forEach(element => {
+      element.classList.toggle('active', parseInt(element.dataset.id) === activeId);
+    });
+    this.elements.list?.querySelectorAll('.region-row').forEach(row => {
+      row.classList.toggle('active', parseInt(row.dataset.id) === activeId);
+    });
+  }
+  
+  getColor(index) {
+    return REGION_COLORS[index % REGION_COLORS.length];
+  }
+  
+  getPresetLabel(id) {
+    return (PRESETS[id] || getCustomPresets()[id])?.label || id;
+  }
+  
+  destroy() {
+    this.stopTracking();
+    if (this.isOpen) this.toggle();
+    this.regions = [];
+    this.activeRegion = null;
+    this.render();
+    this.listeners.abort();
+  }
+}
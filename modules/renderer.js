@@ -0,0 +1,361 @@
+/**
+ * VidFlow - Offline Renderer
+ * Renders the processing chain faster than realtime with OfflineAudioContext
+ */
+
+import { resolveStages, buildChain, prepareContext, getLatency } from './presets.js';
+import { REGION_CROSSFADE, getRegionSettings } from './regions.js';
+import { detectHum } from './dsp/restoration.js';
+
+const DEFAULT_SAMPLE_RATE = 48000;
+const PROGRESS_STEPS = 100;
+
+// Seconds rendered ahead of a range so filters and detectors have settled
+// by its start
+const RANGE_PREROLL = 1;
+
+export class OfflineRenderer {
+  constructor(app) {
+    this.app = app;
+    
+    // Decoded source audio is cached so repeated exports skip decoding
+    this.cachedSource = null;
+    this.cachedBuffer = null;
+  }
+  
+  /**
+   * Decode the audio track of a File/Blob or URL into an AudioBuffer.
+   * Already decoded audio (e.g. from Deep Clean) passes straight through.
+   */
+  async decodeSource(source, { signal } = {}) {
+    if (source instanceof AudioBuffer) return source;
+    
+    if (source === this.cachedSource && this.cachedBuffer) {
+      return this.cachedBuffer;
+    }
+    
+    let arrayBuffer;
+    if (source instanceof Blob) {
+      arrayBuffer = await source.arrayBuffer();
+    } else {
+      const response = await fetch(source, { signal });
+      if (!response.ok) {
+        throw new Error(`Could not fetch source audio (HTTP ${response.status})`);
+      }
+      arrayBuffer = await response.arrayBuffer();
+    }
+    
+    this.throwIfAborted(signal);
+    
+    // decodeAudioData resamples to the context rate, so match the live context
+    const sampleRate = this.app.audioFx?.getAudioContext()?.sampleRate || DEFAULT_SAMPLE_RATE;
+    const decodeContext = new OfflineAudioContext(1, 1, sampleRate);
+    
+    let buffer;
+    try {
+      buffer = await decodeContext.decodeAudioData(arrayBuffer);
+    } catch (e) {
+      throw new Error('This file\'s audio track could not be decoded by the browser');
+    }
+    
+    this.throwIfAborted(signal);
+    
+    this.cachedSource = source;
+    this.cachedBuffer = buffer;
+    return buffer;
+  }
+  
+  /**
+   * Render the source through the processing chain for the given settings.
+   * Timeline regions get their own chains, crossfaded in over their time
+   * range. With a `range` ({ start, end } in seconds) only that stretch is
+   * rendered and returned. Progress is reported as a 0-1 fraction of
+   * rendered audio.
+   */
+  async render(source, settings, { regions = [], range = null, onProgress, signal } = {}) {
+    let input = await this.decodeSource(source, { signal });
+    
+    // Auto hum detection looks at the whole file rather than whatever the
+    // player has heard so far
+    if (settings.humMode === 'auto') {
+      const channels = Array.from({ length: input.numberOfChannels }, (_, c) => input.getChannelData(c));
+      settings = { ...settings, humFrequency: detectHum(channels, input.sampleRate) };
+    }
+    
+    let preroll = 0;
+    if (range) {
+      const start = Math.min(input.length, Math.round(Math.max(0, range.start) * input.sampleRate));
+      const from = Math.max(0, start - Math.round(RANGE_PREROLL * input.sampleRate));
+      const to = Math.max(start + 1, Math.min(input.length, Math.round(range.end * input.sampleRate)));
+      preroll = start - from;
+      regions = shiftRegions(regions, from / input.sampleRate, (to - from) / input.sampleRate);
+      input = sliceBuffer(input, from, to);
+    }
+    
+    const segments = getSegments(settings, regions, input.duration);
+    
+    // Render an extra tail to cover the chain latency, trimmed afterwards.
+    // Every segment is padded to the longest latency so they line up.
+    const latency = Math.max(...segments.map(segment => getLatency(segment.stages, input.sampleRate)));
+    
+    const context = new OfflineAudioContext(
+      input.numberOfChannels,
+      input.length + latency,
+      input.sampleRate
+    );
+    
+    // Worklet stages need their processors registered on this context
+    await prepareContext(context);
+    
+    const sourceNode = context.createBufferSource();
+    sourceNode.buffer = input;
+    
+    for (const segment of segments) {
+      const chain = buildChain(context, segment.stages);
+      sourceNode.connect(chain.input);
+      
+      let output = chain.output;
+      const padding = (latency - chain.latency) / input.sampleRate;
+      if (padding > 0) {
+        const delay = context.createDelay(Math.max(1, padding));
+        delay.delayTime.value = padding;
+        output.connect(delay);
+        output = delay;
+      }
+      
+      if (segments.length > 1) {
+        const gain = context.createGain();
+        scheduleWindows(gain.gain, segment.windows, latency / input.sampleRate, input.duration);
+        output.connect(gain);
+        output = gain;
+      }
+      
+      output.connect(context.destination);
+    }
+    
+    sourceNode.start(0);
+    
+    const rendered = await this.startRendering(context, input.duration, { onProgress, signal });
+    return this.trimLatency(rendered, latency + preroll, input.length - preroll);
+  }
+  
+  /**
+   * What processing took out of the source: the source minus a track
+   * render() produced from it with the same `range`, sample for sample,
+   * so the two add back up to the original
+   */
+  async renderResidual(source, processed, { range = null, signal } = {}) {
+    const input = await this.decodeSource(source, { signal });
+    if (input.sampleRate !== processed.sampleRate) {
+      throw new Error('The processed track does not line up with the source');
+    }
+    
+    const start = range ? Math.min(input.length, Math.round(Math.max(0, range.start) * input.sampleRate)) : 0;
+    
+    const residual = new AudioBuffer({
+      numberOfChannels: processed.numberOfChannels,
+      length: processed.length,
+      sampleRate: processed.sampleRate
+    });
+    for (let c = 0; c < processed.numberOfChannels; c++) {
+      const original = input.getChannelData(Math.min(c, input.numberOfChannels - 1)).subarray(start, start + processed.length);
+      const output = residual.getChannelData(c);
+      output.set(original);
+      
+      const removed = processed.getChannelData(c);
+      for (let i = 0; i < output.length; i++) {
+        output[i] -= removed[i];
+      }
+    }
+    return residual;
+  }
+  
+  /**
+   * Drop the leading samples added by latency (and any range pre-roll) so
+   * output lines up with the source sample-for-sample
+   */
+  trimLatency(buffer, latency, length) {
+    if (latency === 0) return buffer;
+    
+    const trimmed = new AudioBuffer({
+      numberOfChannels: buffer.numberOfChannels,
+      length,
+      sampleRate: buffer.sampleRate
+    });
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      trimmed.copyToChannel(buffer.getChannelData(c).subarray(latency, latency + length), c);
+    }
+    return trimmed;
+  }
+  
+  /**
+   * Convert a buffer to another sample rate with the browser's resampler
+   */
+  async resample(buffer, sampleRate) {
+    if (buffer.sampleRate === sampleRate) return buffer;
+    
+    const length = Math.round(buffer.length * sampleRate / buffer.sampleRate);
+    const context = new OfflineAudioContext(buffer.numberOfChannels, length, sampleRate);
+    const sourceNode = context.createBufferSource();
+    sourceNode.buffer = buffer;
+    sourceNode.connect(context.destination);
+    sourceNode.start(0);
+    return context.startRendering();
+  }
+  
+  /**
+   * Run an offline context, suspending at regular intervals to report
+   * progress and to honour cancellation.
+   */
+  startRendering(context, duration, { onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+      
+      let aborted = false;
+      const onAbort = () => {
+        // A suspended offline context is simply never resumed and gets
+        // garbage collected along with its nodes
+        aborted = true;
+        reject(this.createAbortError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      
+      const step = duration / PROGRESS_STEPS;
+      for (let i = 1; i < PROGRESS_STEPS; i++) {
+        const time = step * i;
+        context.suspend(time).then(() => {
+          if (aborted) return;
+          onProgress?.(time / duration);
+          context.resume();
+        }).catch(() => {
+          // Suspend times that round past the end of the render are rejected
+        });
+      }
+      
+      context.startRendering().then((buffer) => {
+        signal?.removeEventListener('abort', onAbort);
+        if (aborted) return;
+        onProgress?.(1);
+        resolve(buffer);
+      }, (e) => {
+        signal?.removeEventListener('abort', onAbort);
+        if (!aborted) reject(e);
+      });
+    });
+  }
+  
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this.createAbortError();
+    }
+  }
+  
+  createAbortError() {
+    return new DOMException('Render cancelled', 'AbortError');
+  }
+  
+  clearCache() {
+    this.cachedSource = null;
+    this.cachedBuffer = null;
+  }
+}
+
+/**
+ * Part of a buffer, from sample `from` up to `to`
+ */
+function sliceBuffer(buffer, from, to) {
+  const slice = new AudioBuffer({
+    numberOfChannels: buffer.numberOfChannels,
+    length: Math.max(1, to - from),
+    sampleRate: buffer.sampleRate
+  });
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    slice.copyToChannel(buffer.getChannelData(c).subarray(from, to), c);
+  }
+  return slice;
+}
+
+/**
+ * Regions moved onto a stretch of the timeline that starts at `offset`
+ * and lasts `duration` seconds, dropping those outside it
+ */
+function shiftRegions(regions, offset, duration) {
+  return regions
+    .map(region => ({ ...region, start: Math.max(0, region.start - offset), end: region.end - offset }))
+    .filter(region => region.end > 0 && region.start < duration);
+}
+
+/**
+ * Split the timeline into one segment per distinct preset/strength, each
+ * with the [start, end] windows (in seconds) where it is heard. The global
+ * settings cover everything outside the regions.
+ */
+function getSegments(settings, regions, duration) {
+  const segments = new Map();
+  const addWindow = (segmentSettings, start, end) => {
+    const key = `${segmentSettings.preset}|${segmentSettings.strength}`;
+    if (!segments.has(key)) {
+      segments.set(key, {
+        stages: resolveStages(segmentSettings),
+        windows: []
+      });
+    }
+    segments.get(key).windows.push([start, end]);
+  };
+  
+  let position = 0;
+  for (const region of [...regions].sort((a, b) => a.start - b.start)) {
+    // Gaps too short to fade in and out are covered by the neighbours
+    if (region.start - position >= REGION_CROSSFADE) {
+      addWindow(settings, position, region.start);
+    }
+    addWindow(getRegionSettings(settings, region), region.start, Math.min(region.end, duration));
+    position = Math.min(region.end, duration);
+  }
+  if (duration - position >= REGION_CROSSFADE || segments.size === 0) {
+    addWindow(settings, position, duration);
+  }
+  
+  // Merge windows that touch, so back-to-back regions with the same
+  // settings don't dip at the join
+  for (const segment of segments.values()) {
+    segment.windows = segment.windows.reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window[0] - last[1] < REGION_CROSSFADE) {
+        last[1] = window[1];
+      } else {
+        merged.push(window);
+      }
+      return merged;
+    }, []);
+  }
+  
+  return [...segments.values()];
+}
+
+/**
+ * Automate a gain to 1 inside each window and 0 outside, with crossfades
+ * centred on the window edges. `offset` shifts everything by the chain
+ * latency.
+ */
+function scheduleWindows(param, windows, offset, duration) {
+  const half = REGION_CROSSFADE / 2;
+  param.value = 0;
+  
+  for (const [start, end] of windows) {
+    if (start <= 0) {
+      param.setValueAtTime(1, 0);
+    } else {
+      param.setValueAtTime(0, offset + Math.max(0, start - half));
+      param.linearRampToValueAtTime(1, offset + start + half);
+    }
+    
+    if (end < duration) {
+      param.setValueAtTime(1, offset + end - half);
+      param.linearRampToValueAtTime(0, offset + end + half);
+    }
+  }
+}
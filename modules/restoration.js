@@ -0,0 +1,309 @@
+/**
+ * VidFlow - Restoration
+ * Optional hum, hiss and sibilance clean-up applied around the preset
+ * (see resolveStages in presets.js). Detects the mains frequency while
+ * playing and learns the hiss profile from a section the user plays.
+ */
+
+import { HISS_FFT_SIZE, hasRestoration } from './presets.js';
+import { HUM_DETECT_FFT_SIZE, findHumFrequency } from './dsp/restoration.js';
+
+// Poll the hum analyser this often (ms) while detecting
+const HUM_POLL_INTERVAL = 500;
+
+// Readings averaged before the first decision, and before giving up
+const HUM_MIN_POLLS = 6;
+const HUM_MAX_POLLS = 60;
+
+// Shortest section worth learning a noise profile from, in seconds
+const MIN_PROFILE_SECONDS = 0.5;
+
+// Hiss reduction switched on when a profile is learned with it at 0
+const DEFAULT_HISS_AMOUNT = 50;
+
+export class Restoration {
+  constructor(videoElement, app) {
+    this.video = videoElement;
+    this.app = app;
+    
+    this.humMode = 'off';
+    this.detectedHum = null;
+    this.hissAmount = 0;
+    this.noiseProfile = null;
+    this.profileSeconds = 0;
+    this.deEss = 0;
+    
+    // Live mains frequency detection
+    this.humAnalyser = null;
+    this.humSpectrum = null;
+    this.humPower = null;
+    this.humPolls = 0;
+    this.humTimer = null;
+    
+    // Noise profiler worklet, created on first use
+    this.profilerNode = null;
+    this.isLearning = false;
+    
+    // Removes every DOM listener in destroy()
+    this.listeners = new AbortController();
+    
+    this.elements = {
+      humMode: document.getElementById('hum-mode'),
+      humStatus: document.getElementById('hum-status'),
+      hissAmount: document.getElementById('hiss-amount'),
+      hissValue: document.getElementById('hiss-amount-value'),
+      learnBtn: document.getElementById('noise-learn'),
+      profileStatus: document.getElementById('noise-profile-status'),
+      deEss: document.getElementById('de-ess'),
+      deEssValue: document.getElementById('de-ess-value')
+    };
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.listeners;
+    
+    this.elements.humMode?.addEventListener('change', (e) => this.setHumMode(e.target.value), { signal });
+    
+    this.elements.hissAmount?.addEventListener('input', (e) => {
+      this.setHissAmount(parseInt(e.target.value));
+      this.apply();
+    }, { signal });
+    
+    this.elements.learnBtn?.addEventListener('click', () => this.toggleLearning(), { signal });
+    
+    this.elements.deEss?.addEventListener('input', (e) => {
+      this.deEss = parseInt(e.target.value);
+      if (this.elements.deEssValue) this.elements.deEssValue.textContent = formatAmount(this.deEss);
+      this.apply();
+    }, { signal });
+    
+    // Hum is only detected while audio is flowing
+    this.video.addEventListener('play', () => this.startHumDetection(), { signal });
+    this.video.addEventListener('pause', () => this.stopHumDetection(), { signal });
+    
+    this.updateHumStatus();
+    this.updateProfileStatus();
+  }
+  
+  /**
+   * Restoration settings, merged into AudioFX.getSettings()
+   */
+  getSettings() {
+    return {
+      humMode: this.humMode,
+      humFrequency: this.getHumFrequency(),
+      hissAmount: this.hissAmount,
+      noiseProfile: this.noiseProfile,
+      deEss: this.deEss
+    };
+  }
+  
+  getHumFrequency() {
+    if (this.humMode === 'off') return null;
+    if (this.humMode === 'auto') return this.detectedHum;
+    return parseInt(this.humMode);
+  }
+  
+  /**
+   * Push changed settings into the live chain
+   */
+  apply() {
+    const audioFx = this.app.audioFx;
+    audioFx?.updateFilters();
+    if (hasRestoration(this.getSettings())) audioFx?.setProcessed(true);
+  }
+  
+  setHumMode(mode) {
+    this.humMode = mode;
+    
+    if (mode === 'auto' && !this.video.paused) {
+      this.startHumDetection();
+    } else if (mode !== 'auto') {
+      this.stopHumDetection();
+    }
+    
+    this.updateHumStatus();
+    this.apply();
+  }
+  
+  setHissAmount(amount) {
+    this.hissAmount = amount;
+    if (this.elements.hissAmount) this.elements.hissAmount.value = amount;
+    if (this.elements.hissValue) this.elements.hissValue.textContent = formatAmount(amount);
+  }
+  
+  // Mains hum detection
+  
+  startHumDetection() {
+    if (this.humTimer || this.humMode !== 'auto' || this.detectedHum) return;
+    
+    this.humTimer = setInterval(() => this.pollHum(), HUM_POLL_INTERVAL);
+    this.updateHumStatus();
+  }
+  
+  stopHumDetection() {
+    if (this.humTimer) {
+      clearInterval(this.humTimer);
+      this.humTimer = null;
+    }
+    this.updateHumStatus();
+  }
+  
+  /**
+   * Accumulate long spectra of the source until one mains frequency
+   * clearly stands out
+   */
+  pollHum() {
+    const audioFx = this.app.audioFx;
+    const context = audioFx?.getAudioContext();
+    
+    // The context is created on first play, possibly after this started
+    if (!context) return;
+    
+    if (!this.humAnalyser) {
+      this.humAnalyser = context.createAnalyser();
+      this.humAnalyser.fftSize = HUM_DETECT_FFT_SIZE;
+      this.humAnalyser.smoothingTimeConstant = 0;
+      audioFx.getSourceNode().connect(this.humAnalyser);
+      
+      this.humSpectrum = new Float32Array(this.humAnalyser.frequencyBinCount);
+      this.humPower = new Float64Array(this.humAnalyser.frequencyBinCount);
+      this.humPolls = 0;
+    }
+    
+    this.humAnalyser.getFloatFrequencyData(this.humSpectrum);
+    for (let k = 0; k < this.humSpectrum.length; k++) {
+      this.humPower[k] += Math.pow(10, this.humSpectrum[k] / 10);
+    }
+    
+    if (++this.humPolls < HUM_MIN_POLLS) return;
+    
+    const frequency = findHumFrequency(this.humPower, context.sampleRate / HUM_DETECT_FFT_SIZE);
+    if (frequency || this.humPolls >= HUM_MAX_POLLS) {
+      this.detectedHum = frequency;
+      this.humAnalyser.disconnect();
+      this.humAnalyser = null;
+      this.stopHumDetection();
+      
+      if (frequency) {
+        this.apply();
+      } else if (this.elements.humStatus) {
+        // Give up until the next play
+        this.elements.humStatus.textContent = 'None found';
+      }
+    }
+  }
+  
+  updateHumStatus() {
+    const status = this.elements.humStatus;
+    if (!status) return;
+    
+    if (this.humMode !== 'auto') {
+      status.textContent = '';
+    } else if (this.detectedHum) {
+      status.textContent = `${this.detectedHum} Hz`;
+    } else {
+      status.textContent = this.humTimer ? 'Listening...' : 'Play to detect';
+    }
+  }
+  
+  // Noise profile learning
+  
+  async toggleLearning() {
+    if (this.isLearning) {
+      // The profile comes back in handleProfile()
+      this.profilerNode.port.postMessage('stop');
+      return;
+    }
+    
+    const audioFx = this.app.audioFx;
+    const context = audioFx?.getAudioContext();
+    if (!context) {
+      this.app.ui.showToast('Play the video to learn a noise profile', 'warning');
+      return;
+    }
+    
+    try {
+      if (!this.profilerNode) {
+        await context.audioWorklet.addModule(new URL('./worklets/noise-profiler.js', import.meta.url));
+        
+        this.profilerNode = new AudioWorkletNode(context, 'noise-profiler', {
+          numberOfOutputs: 0,
+          processorOptions: { fftSize: HISS_FFT_SIZE }
+        });
+        this.profilerNode.port.onmessage = (e) => this.handleProfile(e.data);
+        audioFx.getSourceNode().connect(this.profilerNode);
+      }
+    } catch (e) {
+      console.warn('Noise profiler unavailable:', e);
+      this.app.ui.showToast('Noise learning is not supported in this browser', 'error');
+      return;
+    }
+    
+    this.profilerNode.port.postMessage('start');
+    this.setLearning(true);
+  }
+  
+  handleProfile({ profile, seconds }) {
+    this.setLearning(false);
+    
+    if (!profile || seconds < MIN_PROFILE_SECONDS) {
+      this.app.ui.showToast('Play at least half a second of the quiet section while learning', 'warning');
+      return;
+    }
+    
+    this.noiseProfile = profile;
+    this.profileSeconds = seconds;
+    if (this.hissAmount === 0) this.setHissAmount(DEFAULT_HISS_AMOUNT);
+    
+    this.updateProfileStatus();
+    this.apply();
+    this.app.ui.showToast(`Noise profile learned from ${seconds.toFixed(1)}s of audio`, 'success');
+  }
+  
+  setLearning(isLearning) {
+    this.isLearning = isLearning;
+    
+    const btn = this.elements.learnBtn;
+    if (btn) {
+      btn.setAttribute('aria-pressed', isLearning.toString());
+      btn.textContent = isLearning ? 'Stop Learning' : 'Learn Noise Profile';
+    }
+    this.updateProfileStatus();
+  }
+  
+  updateProfileStatus() {
+    const status = this.elements.profileStatus;
+    if (!status) return;
+    
+    if (this.isLearning) {
+      status.textContent = 'Play a section with only background noise, then stop.';
+    } else if (this.noiseProfile) {
+      status.textContent = `Profile learned from ${this.profileSeconds.toFixed(1)}s of audio.`;
+    } else {
+      status.textContent = 'Hiss reduction needs a noise profile from a quiet section.';
+    }
+  }
+  
+  destroy() {
+    this.stopHumDetection();
+    this.humAnalyser?.disconnect();
+    this.humAnalyser = null;
+    this.profilerNode?.port.postMessage('dispose');
+    this.profilerNode = null;
+    this.listeners.abort();
+    
+    // The controls outlive this instance, reset them for the next video
+    if (this.elements.humMode) this.elements.humMode.value = 'off';
+    this.setHissAmount(0);
+    if (this.elements.deEss) this.elements.deEss.value = 0;
+    if (this.elements.deEssValue) this.elements.deEssValue.textContent = formatAmount(0);
+    this.setLearning(false);
+  }
+}
+
+function formatAmount(amount) {
+  return amount > 0 ? `${amount}%` : 'Off';
+}
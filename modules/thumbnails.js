@@ -132,6 +132,13 @@ export class ThumbnailGenerator {
     });
   }
   
+  /**
+   * The timestamps as chapters ({ time, label }), for exports to embed
+   */
+  getChapters() {
+    return this.timestamps.map(({ time, label }) => ({ time, label }));
+  }
+  
   getChapterLabel(time, duration) {
     const percent = time / duration;
     
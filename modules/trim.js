@@ -0,0 +1,128 @@
+/**
+ * VidFlow - Trim
+ * In/out points marking the clip that exports cover, set from the player
+ * controls or the I/O keys and shown on the progress bar
+ */
+
+// Shortest clip worth exporting, in seconds
+const MIN_CLIP_LENGTH = 0.1;
+
+export class TrimManager {
+  constructor(videoElement, app) {
+    this.video = videoElement;
+    this.app = app;
+    this.inPoint = null;
+    this.outPoint = null;
+    
+    // Removes every DOM listener in destroy()
+    this.listeners = new AbortController();
+    
+    this.elements = {
+      inBtn: document.getElementById('trim-in-btn'),
+      outBtn: document.getElementById('trim-out-btn'),
+      clearBtn: document.getElementById('trim-clear-btn'),
+      track: document.getElementById('progress-trim'),
+      label: document.getElementById('export-trim-range')
+    };
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.listeners;
+    
+    this.elements.inBtn?.addEventListener('click', () => this.setIn(this.video.currentTime), { signal });
+    this.elements.outBtn?.addEventListener('click', () => this.setOut(this.video.currentTime), { signal });
+    this.elements.clearBtn?.addEventListener('click', () => this.clear(), { signal });
+    this.video.addEventListener('loadedmetadata', () => this.render(), { signal });
+    
+    this.render();
+  }
+  
+  /**
+   * Mark the start of the clip. An out point at or before it is dropped.
+   */
+  setIn(time) {
+    if (!this.video.duration) return;
+    
+    this.inPoint = Math.max(0, Math.min(time, this.video.duration));
+    if (this.outPoint !== null && this.outPoint - this.inPoint < MIN_CLIP_LENGTH) {
+      this.outPoint = null;
+    }
+    this.render();
+  }
+  
+  /**
+   * Mark the end of the clip. An in point at or after it is dropped.
+   */
+  setOut(time) {
+    if (!this.video.duration) return;
+    
+    this.outPoint = Math.max(0, Math.min(time, this.video.duration));
+    if (this.inPoint !== null && this.outPoint - this.inPoint < MIN_CLIP_LENGTH) {
+      this.inPoint = null;
+    }
+    if (this.outPoint < MIN_CLIP_LENGTH) {
+      this.outPoint = null;
+      this.app.ui.showToast('The out point needs to be after the start', 'warning');
+    }
+    this.render();
+  }
+  
+  clear() {
+    this.inPoint = null;
+    this.outPoint = null;
+    this.render();
+  }
+  
+  /**
+   * The marked clip as { start, end } in seconds, or null when exports
+   * should cover the whole video. A missing point means the start or end
+   * of the video.
+   */
+  getSelection() {
+    const duration = this.video.duration;
+    if (!duration || (this.inPoint === null && this.outPoint === null)) return null;
+    
+    const start = this.inPoint ?? 0;
+    const end = this.outPoint ?? duration;
+    if (start <= 0 && end >= duration) return null;
+    
+    return { start, end };
+  }
+  
+  render() {
+    const selection = this.getSelection();
+    const duration = this.video.duration;
+    const format = (time) => this.app.player?.formatTime(time) ?? time.toFixed(1);
+    
+    const track = this.elements.track;
+    if (track) {
+      track.innerHTML = '';
+      if (selection) {
+        const range = document.createElement('div');
+        range.className = 'progress-trim-range';
+        range.classList.toggle('has-in', this.inPoint !== null);
+        range.classList.toggle('has-out', this.outPoint !== null);
+        range.style.left = `${(selection.start / duration) * 100}%`;
+        range.style.width = `${((selection.end - selection.start) / duration) * 100}%`;
+        track.appendChild(range);
+      }
+    }
+    
+    this.elements.inBtn?.setAttribute('aria-pressed', (this.inPoint !== null).toString());
+    this.elements.outBtn?.setAttribute('aria-pressed', (this.outPoint !== null).toString());
+    if (this.elements.clearBtn) this.elements.clearBtn.hidden = !selection;
+    
+    if (this.elements.label) {
+      this.elements.label.textContent = selection
+        ? `${format(selection.start)} – ${format(selection.end)}`
+        : 'Whole video';
+    }
+  }
+  
+  destroy() {
+    this.clear();
+    this.listeners.abort();
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * VidFlow - Audio Visualizer
+ * Live spectrum, spectrogram and stereo peak/RMS meters drawn from the
+ * AudioFX analysers, optionally comparing original and processed audio
+ */
+
+const MIN_FREQ = 20;
+const METER_FLOOR = -60; // dB
+const PEAK_HOLD_DECAY = 20; // dB per second
+
+// Panes shown in each mode, keyed by analyser tap
+const SINGLE_TAPS = ['output'];
+const COMPARE_TAPS = ['original', 'processed'];
+
+export class Visualizer {
+  constructor(app) {
+    this.app = app;
+    this.isOpen = false;
+    this.isOnScreen = true;
+    this.isComparing = false;
+    this.frameId = null;
+    this.lastFrameTime = 0;
+    this.colors = null;
+    this.palette = this.createPalette();
+    
+    this.elements = {
+      toggleBtn: document.getElementById('visualizer-btn'),
+      panel: document.getElementById('visualizer-panel'),
+      compareToggle: document.getElementById('visualizer-compare'),
+      loudnessReset: document.getElementById('loudness-reset'),
+      loudness: {
+        momentary: document.getElementById('loudness-momentary'),
+        shortTerm: document.getElementById('loudness-short-term'),
+        integrated: document.getElementById('loudness-integrated'),
+        truePeak: document.getElementById('loudness-true-peak')
+      }
+    };
+    
+    this.panes = {};
+    document.querySelectorAll('.visualizer-pane').forEach(pane => {
+      this.panes[pane.dataset.tap] = {
+        element: pane,
+        spectrum: pane.querySelector('.visualizer-spectrum'),
+        spectrogram: pane.querySelector('.visualizer-spectrogram'),
+        meters: pane.querySelector('.visualizer-meters'),
+        peakHold: [METER_FLOOR, METER_FLOOR]
+      };
+    });
+    
+    this.render = this.render.bind(this);
+    
+    // Removes every DOM listener in destroy()
+    this.listeners = new AbortController();
+    
+    this.init();
+  }
+  
+  init() {
+    const { signal } = this.listeners;
+    
+    this.elements.toggleBtn?.addEventListener('click', () => this.toggle(), { signal });
+    
+    this.elements.compareToggle?.addEventListener('change', (e) => {
+      this.isComparing = e.target.checked;
+      this.updatePanes();
+    }, { signal });
+    
+    this.elements.loudnessReset?.addEventListener('click', () => {
+      this.app.audioFx?.resetLoudness();
+      this.updateLoudness(null);
+    }, { signal });
+    
+    // Stop drawing while the tab is hidden or the panel is scrolled away
+    document.addEventListener('visibilitychange', () => this.updateLoop(), { signal });
+    
+    if (this.elements.panel && 'IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver((entries) => {
+        this.isOnScreen = entries[0].isIntersecting;
+        this.updateLoop();
+      });
+      this.observer.observe(this.elements.panel);
+    }
+    
+    this.updatePanes();
+  }
+  
+  toggle() {
+    this.isOpen = !this.isOpen;
+    this.elements.panel?.toggleAttribute('hidden', !this.isOpen);
+    this.elements.toggleBtn?.setAttribute('aria-pressed', this.isOpen.toString());
+    
+    if (this.isOpen) {
+      // Pick up the current theme
+      const styles = getComputedStyle(document.documentElement);
+      this.colors = {
+        accent: styles.getPropertyValue('--accent-primary').trim(),
+        grid: styles.getPropertyValue('--border-medium').trim(),
+        track: styles.getPropertyValue('--bg-tertiary').trim(),
+        text: styles.getPropertyValue('--text-tertiary').trim(),
+        clip: styles.getPropertyValue('--accent-error').trim()
+      };
+    }
+    
+    this.updateLoop();
+  }
+  
+  updatePanes() {
+    const visible = this.isComparing ? COMPARE_TAPS : SINGLE_TAPS;
+    for (const [tap, pane] of Object.entries(this.panes)) {
+      pane.element.toggleAttribute('hidden', !visible.includes(tap));
+      pane.spectrogram?.getContext('2d').clearRect(0, 0, pane.spectrogram.width, pane.spectrogram.height);
+    }
+  }
+  
+  /**
+   * Run the animation loop only while the panel can actually be seen
+   */
+  updateLoop() {
+    const shouldRun = this.isOpen && this.isOnScreen && !document.hidden;
+    
+    if (shouldRun && !this.frameId) {
+      this.lastFrameTime = performance.now();
+      this.frameId = requestAnimationFrame(this.render);
+    } else if (!shouldRun && this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+  
+  render(now) {
+    this.frameId = requestAnimationFrame(this.render);
+    
+    const elapsed = (now - this.lastFrameTime) / 1000;
+    this.lastFrameTime = now;
+    
+    // Analysers exist once the audio context has started (first play)
+    const analysers = this.app.audioFx?.getAnalysers();
+    if (!analysers) return;
+    
+    const sampleRate = this.app.audioFx.getAudioContext().sampleRate;
+    const taps = this.isComparing ? COMPARE_TAPS : SINGLE_TAPS;
+    
+    for (const tap of taps) {
+      const pane = this.panes[tap];
+      const tapAnalysers = analysers[tap];
+      if (!pane || !tapAnalysers) continue;
+      
+      const spectrumData = new Uint8Array(tapAnalysers.spectrum.frequencyBinCount);
+      tapAnalysers.spectrum.getByteFrequencyData(spectrumData);
+      
+      this.drawSpectrum(pane.spectrum, spectrumData, sampleRate);
+      this.drawSpectrogram(pane.spectrogram, spectrumData, sampleRate);
+      this.drawMeters(pane, tapAnalysers.channels, elapsed);
+    }
+    
+    this.updateLoudness(this.app.audioFx.getLoudness());
+  }
+  
+  updateLoudness(reading) {
+    const format = (value, unit) => Number.isFinite(value) ? `${value.toFixed(1)} ${unit}` : '--';
+    const { momentary, shortTerm, integrated, truePeak } = this.elements.loudness;
+    
+    if (momentary) momentary.textContent = format(reading?.momentary, 'LUFS');
+    if (shortTerm) shortTerm.textContent = format(reading?.shortTerm, 'LUFS');
+    if (integrated) integrated.textContent = format(reading?.integrated, 'LUFS');
+    if (truePeak) truePeak.textContent = format(reading?.truePeak, 'dBTP');
+  }
+  
+  /**
+   * Match the canvas backing store to its displayed size
+   */
+  fitCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+  }
+  
+  /**
+   * Map a position (0-1) on a log frequency axis to an analyser bin
+   */
+  positionToBin(position, binCount, sampleRate) {
+    const nyquist = sampleRate / 2;
+    const freq = MIN_FREQ * Math.pow(nyquist / MIN_FREQ, position);
+    return Math.min(binCount - 1, Math.round(freq / nyquist * binCount));
+  }
+  
+  drawSpectrum(canvas, data, sampleRate) {
+    if (!canvas) return;
+    this.fitCanvas(canvas);
+    
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    
+    ctx.clearRect(0, 0, width, height);
+    
+    // Decade grid lines
+    ctx.strokeStyle = this.colors.grid;
+    ctx.lineWidth = 1;
+    const nyquist = sampleRate / 2;
+    for (const freq of [100, 1000, 10000]) {
+      const x = Math.round(width * Math.log(freq / MIN_FREQ) / Math.log(nyquist / MIN_FREQ)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    for (let x = 0; x < width; x++) {
+      const value = data[this.positionToBin(x / width, data.length, sampleRate)];
+      ctx.lineTo(x, height - (value / 255) * height);
+    }
+    ctx.lineTo(width, height);
+    ctx.closePath();
+    
+    ctx.fillStyle = this.colors.accent;
+    ctx.globalAlpha = 0.35;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = this.colors.accent;
+    ctx.stroke();
+  }
+  
+  drawSpectrogram(canvas, data, sampleRate) {
+    if (!canvas) return;
+    this.fitCanvas(canvas);
+    
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    
+    // Scroll left one column and draw the newest frame on the right
+    ctx.globalCompositeOperation = 'copy';
+    ctx.drawImage(canvas, -1, 0);
+    ctx.globalCompositeOperation = 'source-over';
+    
+    const column = ctx.createImageData(1, height);
+    for (let y = 0; y < height; y++) {
+      const value = data[this.positionToBin(1 - y / height, data.length, sampleRate)];
+      column.data.set(this.palette[value], y * 4);
+    }
+    ctx.putImageData(column, width - 1, 0);
+  }
+  
+  drawMeters(pane, channels, elapsed) {
+    const canvas = pane.meters;
+    if (!canvas) return;
+    this.fitCanvas(canvas);
+    
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const ratio = window.devicePixelRatio || 1;
+    const labelWidth = 16 * ratio;
+    const valueWidth = 44 * ratio;
+    const barWidth = width - labelWidth - valueWidth;
+    const rowHeight = height / channels.length;
+    const barHeight = rowHeight * 0.6;
+    const toX = (db) => labelWidth + barWidth * (Math.max(METER_FLOOR, Math.min(0, db)) - METER_FLOOR) / -METER_FLOOR;
+    
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = `${10 * ratio}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    
+    channels.forEach((analyser, index) => {
+      const samples = new Float32Array(analyser.fftSize);
+      analyser.getFloatTimeDomainData(samples);
+      
+      let peak = 0;
+      let sumSquares = 0;
+      for (const sample of samples) {
+        peak = Math.max(peak, Math.abs(sample));
+        sumSquares += sample * sample;
+      }
+      const peakDb = 20 * Math.log10(peak || 1e-10);
+      const rmsDb = 20 * Math.log10(Math.sqrt(sumSquares / samples.length) || 1e-10);
+      
+      const hold = Math.max(peakDb, pane.peakHold[index] - PEAK_HOLD_DECAY * elapsed);
+      pane.peakHold[index] = hold;
+      
+      const top = index * rowHeight + (rowHeight - barHeight) / 2;
+      const middle = index * rowHeight + rowHeight / 2;
+      
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText(index === 0 ? 'L' : 'R', 2 * ratio, middle);
+      
+      // Track, peak (faint), RMS (solid), then the decaying peak-hold line
+      ctx.fillStyle = this.colors.track;
+      ctx.fillRect(labelWidth, top, barWidth, barHeight);
+      
+      ctx.fillStyle = this.colors.accent;
+      ctx.globalAlpha = 0.4;
+      ctx.fillRect(labelWidth, top, toX(peakDb) - labelWidth, barHeight);
+      ctx.globalAlpha = 1;
+      ctx.fillRect(labelWidth, top, toX(rmsDb) - labelWidth, barHeight);
+      
+      ctx.fillStyle = hold >= 0 ? this.colors.clip : this.colors.accent;
+      ctx.fillRect(toX(hold) - ratio, top, 2 * ratio, barHeight);
+      
+      ctx.fillStyle = hold >= 0 ? this.colors.clip : this.colors.text;
+      const label = hold <= METER_FLOOR ? '-inf' : hold.toFixed(1);
+      ctx.fillText(label, labelWidth + barWidth + 6 * ratio, middle);
+    });
+  }
+  
+  /**
+   * 256-entry RGBA colour map for the spectrogram (dark blue to yellow)
+   */
+  createPalette() {
+    const stops = [
+      [0, [0, 0, 0, 0]],
+      [0.25, [30, 20, 90, 255]],
+      [0.5, [150, 30, 130, 255]],
+      [0.75, [240, 100, 40, 255]],
+      [1, [255, 240, 120, 255]]
+    ];
+    
+    const palette = [];
+    for (let i = 0; i < 256; i++) {
+      const t = i / 255;
+      const upper = stops.findIndex(([position]) => position >= t);
+      const [p0, c0] = stops[Math.max(0, upper - 1)];
+      const [p1, c1] = stops[upper];
+      const mix = p1 === p0 ? 0 : (t - p0) / (p1 - p0);
+      palette.push(c0.map((value, channel) => Math.round(value + (c1[channel] - value) * mix)));
+    }
+    return palette;
+  }
+  
+  destroy() {
+    if (this.isOpen) this.toggle();
+    this.observer?.disconnect();
+    this.listeners.abort();
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * VidFlow - WebCodecs Export
+ * Video export without ffmpeg: the video track is copied sample for sample
+ * out of the MP4 or WebM source (see containers/), the processed audio is
+ * encoded with AudioEncoder and the two are muxed back into the source's
+ * container. Clips are cut on keyframes, since the video isn't re-encoded.
+ */
+
+import { demuxMp4, muxMp4 } from './containers/mp4.js';
+import { demuxWebm, muxWebm } from './containers/webm.js';
+
+// Same as the ffmpeg export's -b:a 192k
+const AUDIO_BITRATE = 192000;
+
+// Sample frames per AudioData handed to the encoder
+const FRAME_SIZE = 4096;
+
+// Pending encodes before waiting for the encoder to catch up
+const MAX_ENCODE_QUEUE = 16;
+
+// Opus is encoded at 48 kHz, whatever the source rate
+const OPUS_SAMPLE_RATE = 48000;
+
+// Encoder delay skipped by the edit list when the encoder doesn't report
+// it: one frame for AAC-LC, libopus's 6.5 ms lookahead for Opus
+const AAC_PRIMING = 1024;
+const OPUS_PRIMING = 312;
+
+const ENCODER_CODECS = {
+  aac: 'mp4a.40.2',
+  opus: 'opus'
+};
+
+export class WebCodecsExporter {
+  constructor(renderer) {
+    this.renderer = renderer;
+    
+    // The last demuxed file, so a clip's keyframe lookup and its export
+    // read the file once
+    this.demuxed = null;
+  }
+  
+  /**
+   * How this file can be exported, { container, codec }, or null when the
+   * browser lacks WebCodecs or the container isn't MP4/WebM
+   */
+  async getPlan(file) {
+    if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') return null;
+    
+    const container = await sniffContainer(file);
+    if (!container) return null;
+    
+    // AAC suits MP4 best, but not every browser can encode it
+    const codecs = container === 'mp4' ? ['aac', 'opus'] : ['opus'];
+    for (const codec of codecs) {
+      if (await isEncoderSupported(codec, OPUS_SAMPLE_RATE, 2)) return { container, codec };
+    }
+    return null;
+  }
+  
+  /**
+   * Time in seconds of the last keyframe at or before `time`, where a clip
+   * starting at `time` really starts
+   */
+  async getKeyframeTime(file, plan, time) {
+    const { video } = await this.demux(file, plan);
+    
+    if (plan.container === 'mp4') {
+      const toSeconds = (sample) => (sample.cts - video.mediaTime) / video.timescale;
+      const keyframe = findKeyframe(video.samples, sample => toSeconds(sample) <= time);
+      return keyframe ? Math.max(0, toSeconds(keyframe)) : 0;
+    }
+    
+    const keyframe = findKeyframe(video.frames, frame => frame.timestamp / 1e9 <= time);
+    return keyframe ? keyframe.timestamp / 1e9 : 0;
+  }
+  
+  /**
+   * Mux processed audio against the file's video. `audioTracks` is a list
+   * of { buffer, name? }, the first playing by default. With a `range`,
+   * the video is cut from the keyframe getKeyframeTime() gives for its
+   * start, which is where the audio must start too. `metadata` is passed
+   * on to the muxer. Resolves to { blob, extension }. `onProgress`
+   * receives a 0-1 fraction of the audio encoded.
+   */
+  async export(file, audioTracks, plan, { range = null, metadata = null, onProgress, signal } = {}) {
+    try {
+      // Demux first, so an unsupported file fails before the slow part
+      const { timescale, docType, video } = await this.demux(file, plan);
+      throwIfAborted(signal);
+      
+      const encoded = [];
+      for (const [i, { buffer, name }] of audioTracks.entries()) {
+        const audio = await this.encodeAudio(buffer, plan.codec, {
+          signal,
+          onProgress: (progress) => onProgress?.((i + progress) / audioTracks.length)
+        });
+        encoded.push({ ...audio, name });
+      }
+      
+      if (plan.container === 'mp4') {
+        const track = range ? cutMp4Track(video, range) : video;
+        for (const audio of encoded) audio.samples = toSamples(audio.packets, audio.sampleRate);
+        return { blob: muxMp4({ timescale, video: track, audioTracks: encoded, metadata }), extension: 'mp4' };
+      }
+      
+      const track = range ? cutWebmTrack(video, range) : video;
+      return { blob: muxWebm({ docType, video: track, audioTracks: encoded, metadata }), extension: docType === 'webm' ? 'webm' : 'mkv' };
+    } finally {
+      this.demuxed = null;
+    }
+  }
+  
+  async demux(file, plan) {
+    if (this.demuxed?.file !== file) {
+      const buffer = await file.arrayBuffer();
+      const result = plan.container === 'mp4' ? demuxMp4(buffer) : demuxWebm(buffer);
+      if (plan.container === 'mp4') {
+        for (const sample of result.video.samples) {
+          sample.data = new Uint8Array(buffer, sample.offset, sample.size);
+        }
+      }
+      this.demuxed = { file, result };
+    }
+    return this.demuxed.result;
+  }
+  
+  /**
+   * Encode a buffer into packets of { timestamp, duration, data } (times in
+   * microseconds), with the decoder description and the priming the
+   * containers need
+   */
+  async encodeAudio(buffer, codec, { onProgress, signal } = {}) {
+    const sampleRate = codec === 'opus' ? OPUS_SAMPLE_RATE : buffer.sampleRate;
+    const numberOfChannels = buffer.numberOfChannels;
+    const config = {
+      codec: ENCODER_CODECS[codec],
+      sampleRate,
+      numberOfChannels,
+      bitrate: AUDIO_BITRATE,
+      ...(codec === 'aac' ? { aac: { format: 'aac' } } : {})
+    };
+    if (!await isEncoderSupported(codec, sampleRate, numberOfChannels)) {
+      throw new Error(`This browser cannot encode ${numberOfChannels}-channel ${sampleRate} Hz audio as ${codec}`);
+    }
+    
+    const input = await this.renderer.resample(buffer, sampleRate);
+    throwIfAborted(signal);
+    
+    const packets = [];
+    let description = null;
+    let encoderError = null;
+    
+    const encoder = new AudioEncoder({
+      output: (chunk, metadata) => {
+        const config = metadata?.decoderConfig;
+        if (config?.description && !description) description = copyBytes(config.description);
+        
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        packets.push({ timestamp: chunk.timestamp, duration: chunk.duration, data });
+      },
+      error: (e) => {
+        encoderError = e;
+      }
+    });
+    encoder.configure(config);
+    
+    try {
+      const channels = Array.from({ length: numberOfChannels }, (_, c) => input.getChannelData(c));
+      for (let start = 0; start < input.length; start += FRAME_SIZE) {
+        throwIfAborted(signal);
+        if (encoderError) throw encoderError;
+        
+        const count = Math.min(FRAME_SIZE, input.length - start);
+        const data = new Float32Array(count * numberOfChannels);
+        channels.forEach((channel, c) => data.set(channel.subarray(start, start + count), c * count));
+        
+        const audioData = new AudioData({
+          format: 'f32-planar',
+          sampleRate,
+          numberOfFrames: count,
+          numberOfChannels,
+          timestamp: Math.round(start * 1e6 / sampleRate),
+          data
+        });
+        encoder.encode(audioData);
+        audioData.close();
+        
+        while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        onProgress?.(start / input.length);
+      }
+      
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+    } finally {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+    
+    onProgress?.(1);
+    
+    return {
+      codec,
+      sampleRate,
+      inputSampleRate: buffer.sampleRate,
+      channels: numberOfChannels,
+      bitrate: AUDIO_BITRATE,
+      description,
+      priming: getPriming(codec, description),
+      packets
+    };
+  }
+}
+
+/**
+ * 'mp4', 'webm' (any Matroska) or null, from the first bytes of the file
+ */
+async function sniffContainer(file) {
+  const header = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  if (header.length < 12) return null;
+  
+  const type = String.fromCharCode(...header.subarray(4, 8));
+  if (type === 'ftyp') return 'mp4';
+  if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) return 'webm';
+  return null;
+}
+
+async function isEncoderSupported(codec, sampleRate, numberOfChannels) {
+  try {
+    const { supported } = await AudioEncoder.isConfigSupported({
+      codec: ENCODER_CODECS[codec],
+      sampleRate,
+      numberOfChannels,
+      bitrate: AUDIO_BITRATE
+    });
+    return supported;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * The last keyframe matching `test`, scanning in decode order
+ */
+function findKeyframe(samples, test) {
+  let found = null;
+  for (const sample of samples) {
+    const isKey = sample.isSync ?? sample.isKey;
+    if (isKey && test(sample)) found = sample;
+  }
+  return found;
+}
+
+/**
+ * An MP4 video track cut to the samples from the keyframe before
+ * `range.start` up to `range.end`, rebased to start at zero. A fresh edit
+ * list hides the keyframe's composition offset.
+ */
+function cutMp4Track(video, range) {
+  const toSeconds = (time) => (time - video.mediaTime) / video.timescale;
+  const keyframe = findKeyframe(video.samples, sample => toSeconds(sample.cts) <= range.start) || video.samples[0];
+  const first = video.samples.indexOf(keyframe);
+  
+  // Cut in decode order, so every kept frame keeps its references
+  let last = first + 1;
+  while (last < video.samples.length && toSeconds(video.samples[last].dts) < range.end) last++;
+  
+  const base = keyframe.dts;
+  const samples = video.samples.slice(first, last).map(sample => ({
+    ...sample,
+    dts: sample.dts - base,
+    cts: sample.cts - base
+  }));
+  
+  return { ...video, edts: null, skip: keyframe.cts - base, samples };
+}
+
+/**
+ * A Matroska video track cut to the frames from the keyframe before
+ * `range.start` up to `range.end`, rebased to start at zero
+ */
+function cutWebmTrack(video, range) {
+  const keyframe = findKeyframe(video.frames, frame => frame.timestamp / 1e9 <= range.start) || video.frames[0];
+  const base = keyframe.timestamp;
+  const end = range.end * 1e9;
+  
+  const frames = video.frames
+    .slice(video.frames.indexOf(keyframe))
+    .filter(frame => frame.timestamp >= base && frame.timestamp < end)
+    .map(frame => ({ ...frame, timestamp: frame.timestamp - base }));
+  
+  return { ...video, frames };
+}
+
+/**
+ * Opus reports its pre-skip in the OpusHead description
+ */
+function getPriming(codec, description) {
+  if (codec !== 'opus') return AAC_PRIMING;
+  
+  const isOpusHead = description?.length >= 19 &&
+    String.fromCharCode(...description.subarray(0, 8)) === 'OpusHead';
+  return isOpusHead
+    ? new DataView(description.buffer, description.byteOffset).getUint16(10, true)
+    : OPUS_PRIMING;
+}
+
+/**
+ * MP4 samples from encoded packets, times in sample frames. Durations are
+ * taken from neighbouring timestamps so rounding never drifts.
+ */
+function toSamples(packets, sampleRate) {
+  const toFrames = (microseconds) => Math.round(microseconds * sampleRate / 1e6);
+  let previous = 0;
+  return packets.map((packet, i) => {
+    const dts = toFrames(packet.timestamp);
+    const duration = i + 1 < packets.length
+      ? toFrames(packets[i + 1].timestamp) - dts
+      : toFrames(packet.duration || 0) || previous;
+    previous = duration;
+    return { dts, cts: dts, duration: Math.max(1, duration), isSync: true, data: packet.data };
+  });
+}
+
+function copyBytes(source) {
+  return ArrayBuffer.isView(source)
+    ? new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength))
+    : new Uint8Array(source.slice(0));
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Export cancelled', 'AbortError');
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * VidFlow - Audio Encoder Worker
+ * Writes WAV and FLAC files off the main thread. WAV is streamed: the main
+ * thread asks for the header with { type: 'header', numberOfChannels,
+ * length, sampleRate, bitDepth, metadata }, then hands over the samples a
+ * stretch at a time as { type: 'frames', channels, bitDepth, dither }, so
+ * only one stretch is in flight however long the file. FLAC is encoded in
+ * one go from { type: 'flac', channels, sampleRate, bitDepth, dither },
+ * posting { type: 'progress', progress } while working. Each request is
+ * answered with { type: 'done', data } or { type: 'error', message }.
+ */
+
+import { createWavHeader, encodeWavFrames } from '../containers/wav.js';
+import { encodeFlac } from '../containers/flac.js';
+
+self.onmessage = (e) => {
+  const message = e.data;
+  
+  try {
+    let data;
+    if (message.type === 'header') {
+      const { numberOfChannels, length, sampleRate, bitDepth, metadata } = message;
+      data = createWavHeader(numberOfChannels, sampleRate, length, { bitDepth, metadata }).buffer;
+    } else if (message.type === 'frames') {
+      const { channels, bitDepth, dither } = message;
+      data = encodeWavFrames(channels, { bitDepth, dither }).buffer;
+    } else if (message.type === 'flac') {
+      const { channels, sampleRate, bitDepth, dither } = message;
+      const onProgress = (progress) => self.postMessage({ type: 'progress', progress });
+      data = encodeFlac(channels, sampleRate, { bitDepth, dither, onProgress }).buffer;
+    } else {
+      throw new Error(`Unknown request: ${message.type}`);
+    }
+    self.postMessage({ type: 'done', data }, [data]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
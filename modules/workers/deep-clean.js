@@ -0,0 +1,31 @@
+/**
+ * VidFlow - Deep Clean Worker
+ * Runs the whole-track separation (see dsp/separation.js) off the main
+ * thread. Receives { channels, sampleRate }, posts { type: 'progress',
+ * progress } while working and { type: 'done', voice, music } at the end,
+ * the music being whatever the separation took out. Cancel by terminating
+ * the worker.
+ */
+
+import { deepClean } from '../dsp/separation.js';
+
+self.onmessage = (e) => {
+  const { channels, sampleRate } = e.data;
+  
+  try {
+    const voice = deepClean(channels, sampleRate, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', stage: 'separate', progress })
+    });
+    
+    // The input copies are ours, so the residual is built in place
+    const music = channels;
+    music.forEach((samples, c) => {
+      for (let i = 0; i < samples.length; i++) samples[i] -= voice[c][i];
+    });
+    
+    const transfer = [...voice, ...music].map(channel => channel.buffer);
+    self.postMessage({ type: 'done', voice, music }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * VidFlow - Neural Separation Worker
+ * Splits a track into voice and music with an ONNX source separation
+ * model on the CPU (onnxruntime-web, WASM backend). The runtime and the
+ * weights are served from our own origin; model.json next to the weights
+ * describes the model (see README). The track is processed in overlapping
+ * chunks, crossfaded back together.
+ *
+ * Receives { channels, manifest, modelBase, runtimeBase }, the channels
+ * already at the model's sample rate. Posts { type: 'progress', stage,
+ * progress } for the download and the separation, then { type: 'done',
+ * voice, music } or { type: 'error', message }. Cancel by terminating the
+ * worker.
+ */
+
+// Fraction of each chunk crossfaded with its neighbours when the model
+// description doesn't say
+const DEFAULT_OVERLAP = 0.25;
+
+self.onmessage = async (e) => {
+  try {
+    const stems = await separate(e.data);
+    const transfer = [...stems.voice, ...stems.music].map(channel => channel.buffer);
+    self.postMessage({ type: 'done', ...stems }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+async function separate({ channels, manifest, modelBase, runtimeBase }) {
+  let ort;
+  try {
+    ort = await import(new URL('ort.wasm.min.mjs', runtimeBase).href);
+  } catch (e) {
+    throw new Error(`ONNX Runtime not found at ${new URL(runtimeBase).pathname}`);
+  }
+  ort.env.wasm.wasmPaths = runtimeBase;
+  
+  // Threads need SharedArrayBuffer, which needs cross-origin isolation
+  ort.env.wasm.numThreads = self.crossOriginIsolated ? Math.min(4, navigator.hardwareConcurrency || 1) : 1;
+  
+  const weights = await fetchWithProgress(new URL(manifest.model, modelBase), (progress) => {
+    self.postMessage({ type: 'progress', stage: 'download', progress });
+  });
+  const session = await ort.InferenceSession.create(weights, { executionProviders: ['wasm'] });
+  
+  return runChunks(ort, session, manifest, channels);
+}
+
+/**
+ * Run the model over overlapping chunks and overlap-add the voice stem
+ * and the sum of the other stems with triangular crossfades
+ */
+async function runChunks(ort, session, manifest, channels) {
+  const { segment, sources, vocals = 'vocals' } = manifest;
+  const modelChannels = manifest.channels || 2;
+  const inputName = manifest.input || session.inputNames[0];
+  const outputName = manifest.output || session.outputNames[0];
+  const voiceIndex = sources.indexOf(vocals);
+  if (voiceIndex < 0) {
+    throw new Error(`The model has no "${vocals}" source`);
+  }
+  
+  const length = channels[0].length;
+  const fade = Math.max(1, Math.round(segment * (manifest.overlap ?? DEFAULT_OVERLAP)));
+  const stride = segment - fade;
+  const chunkCount = Math.max(1, Math.ceil((length - fade) / stride));
+  
+  const voice = Array.from({ length: modelChannels }, () => new Float32Array(length));
+  const music = Array.from({ length: modelChannels }, () => new Float32Array(length));
+  const weightSum = new Float32Array(length);
+  
+  const weight = new Float32Array(segment);
+  for (let i = 0; i < segment; i++) {
+    weight[i] = Math.min(1, (i + 1) / fade, (segment - i) / fade);
+  }
+  
+  const input = new Float32Array(modelChannels * segment);
+  
+  for (let chunk = 0; chunk < chunkCount; chunk++) {
+    const start = chunk * stride;
+    const count = Math.min(segment, length - start);
+    
+    // Mono sources feed every model channel; extra channels are dropped
+    input.fill(0);
+    for (let c = 0; c < modelChannels; c++) {
+      const source = channels[Math.min(c, channels.length - 1)];
+      input.set(source.subarray(start, start + count), c * segment);
+    }
+    
+    const feeds = { [inputName]: new ort.Tensor('float32', input, [1, modelChannels, segment]) };
+    const results = await session.run(feeds);
+    
+    // Output is [1, sources, channels, segment]
+    const output = results[outputName].data;
+    for (let s = 0; s < sources.length; s++) {
+      const target = s === voiceIndex ? voice : music;
+      for (let c = 0; c < modelChannels; c++) {
+        const offset = (s * modelChannels + c) * segment;
+        const samples = target[c];
+        for (let i = 0; i < count; i++) {
+          samples[start + i] += output[offset + i] * weight[i];
+        }
+      }
+    }
+    for (let i = 0; i < count; i++) {
+      weightSum[start + i] += weight[i];
+    }
+    
+    self.postMessage({ type: 'progress', stage: 'separate', progress: (chunk + 1) / chunkCount });
+  }
+  
+  for (const samples of [...voice, ...music]) {
+    for (let i = 0; i < length; i++) {
+      samples[i] /= weightSum[i] || 1;
+    }
+  }
+  
+  return { voice, music };
+}
+
+/**
+ * Download into one buffer, reporting a 0-1 fraction when the size is known
+ */
+async function fetchWithProgress(url, onProgress) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Separation model weights not found at ${url.pathname} (HTTP ${response.status})`);
+  }
+  
+  const total = parseInt(response.headers.get('content-length') || '0');
+  if (!total || !response.body) {
+    return new Uint8Array(await response.arrayBuffer());
+  }
+  
+  const data = new Uint8Array(total);
+  const reader = response.body.getReader();
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    data.set(value, received);
+    received += value.length;
+    onProgress(received / total);
+  }
+  return data.subarray(0, received);
+}
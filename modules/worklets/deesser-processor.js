@@ -0,0 +1,120 @@
+/**
+ * VidFlow - De-esser (AudioWorklet)
+ * Splits off the band above a crossover and compresses only that band
+ * when sibilance pushes it over the threshold. The bands are
+ * complementary, so the output is untouched when nothing is reduced.
+ * Loaded with audioWorklet.addModule().
+ */
+
+// Detector time constants in seconds
+const ATTACK = 0.001;
+const RELEASE = 0.06;
+
+class DeEsser extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      // Crossover in Hz above which sibilance is reduced
+      { name: 'frequency', defaultValue: 5500, minValue: 1000, maxValue: 16000, automationRate: 'k-rate' },
+      // High band level in dBFS where reduction starts
+      { name: 'threshold', defaultValue: -30, minValue: -80, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'ratio', defaultValue: 4, minValue: 1, maxValue: 20, automationRate: 'k-rate' },
+      // Most the high band is turned down, in dB
+      { name: 'maxReduction', defaultValue: 12, minValue: 0, maxValue: 40, automationRate: 'k-rate' }
+    ];
+  }
+  
+  constructor() {
+    super();
+    
+    this.frequency = 0;
+    this.coefficients = null;
+    this.states = [];
+    this.lows = new Float32Array(0);
+    this.envelope = 0;
+    
+    this.attack = 1 - Math.exp(-1 / (ATTACK * sampleRate));
+    this.release = 1 - Math.exp(-1 / (RELEASE * sampleRate));
+    
+    this.alive = true;
+    this.port.onmessage = (e) => {
+      if (e.data === 'dispose') this.alive = false;
+    };
+  }
+  
+  /**
+   * Butterworth lowpass (RBJ cookbook); the high band is input minus low
+   */
+  updateCoefficients(frequency) {
+    const w0 = 2 * Math.PI * Math.min(frequency, sampleRate * 0.45) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    
+    this.frequency = frequency;
+    this.coefficients = {
+      b0: (1 - cos) / 2 / a0,
+      b1: (1 - cos) / a0,
+      b2: (1 - cos) / 2 / a0,
+      a1: -2 * cos / a0,
+      a2: (1 - alpha) / a0
+    };
+  }
+  
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    
+    // An unconnected input has no channels
+    if (input.length === 0) return this.alive;
+    
+    if (parameters.frequency[0] !== this.frequency) {
+      this.updateCoefficients(parameters.frequency[0]);
+    }
+    while (this.states.length < input.length) {
+      this.states.push({ x1: 0, x2: 0, y1: 0, y2: 0 });
+    }
+    if (this.lows.length < input.length) {
+      this.lows = new Float32Array(input.length);
+    }
+    
+    const { b0, b1, b2, a1, a2 } = this.coefficients;
+    const threshold = parameters.threshold[0];
+    const slope = 1 - 1 / parameters.ratio[0];
+    const maxReduction = parameters.maxReduction[0];
+    const frames = input[0].length;
+    const channelCount = Math.min(input.length, output.length);
+    const lows = this.lows;
+    
+    for (let i = 0; i < frames; i++) {
+      // Linked detection on the loudest channel's high band
+      let detect = 0;
+      for (let c = 0; c < channelCount; c++) {
+        const state = this.states[c];
+        const x = input[c][i];
+        const low = b0 * x + b1 * state.x1 + b2 * state.x2 - a1 * state.y1 - a2 * state.y2;
+        state.x2 = state.x1;
+        state.x1 = x;
+        state.y2 = state.y1;
+        state.y1 = low;
+        lows[c] = low;
+        detect = Math.max(detect, Math.abs(x - low));
+      }
+      
+      const coefficient = detect > this.envelope ? this.attack : this.release;
+      this.envelope += (detect - this.envelope) * coefficient;
+      
+      const over = 20 * Math.log10(this.envelope + 1e-12) - threshold;
+      const reduction = over > 0 ? Math.min(maxReduction, over * slope) : 0;
+      const gain = Math.pow(10, -reduction / 20);
+      
+      for (let c = 0; c < channelCount; c++) {
+        const x = input[c][i];
+        output[c][i] = lows[c] + gain * (x - lows[c]);
+      }
+    }
+    
+    return this.alive;
+  }
+}
+
+registerProcessor('de-esser', DeEsser);
@@ -0,0 +1,128 @@
+/**
+ * VidFlow - Speech Ducker (AudioWorklet)
+ * Voice activity detection on the incoming audio drives a ducking
+ * envelope that lowers the music either in the gaps between speech or
+ * underneath it. Loaded with audioWorklet.addModule().
+ */
+
+import { StftProcessor } from './stft.js';
+
+// Band that carries most speech energy
+const VOICE_LOW = 300;
+const VOICE_HIGH = 3400;
+
+// Seconds speech stays "on" after the detector drops, bridging syllables
+const HANGOVER = 0.3;
+
+class SpeechDucker extends StftProcessor {
+  static get parameterDescriptors() {
+    return [
+      // Maximum gain reduction in dB
+      { name: 'depth', defaultValue: 15, minValue: 0, maxValue: 60, automationRate: 'k-rate' },
+      // Seconds to reach full ducking / to recover from it
+      { name: 'attack', defaultValue: 0.05, minValue: 0.001, maxValue: 5, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.5, minValue: 0.001, maxValue: 10, automationRate: 'k-rate' },
+      // 0 = duck in the gaps between speech, 1 = duck under speech
+      { name: 'mode', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      // 0 = duck the whole signal, 1 = duck only outside the voice band
+      { name: 'target', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+  
+  constructor(options) {
+    super(options);
+    
+    const binWidth = sampleRate / this.fftSize;
+    this.voiceStart = Math.max(1, Math.round(VOICE_LOW / binWidth));
+    this.voiceEnd = Math.min(this.bins - 1, Math.round(VOICE_HIGH / binWidth));
+    
+    // EQ ducking weight per bin: 0 inside the voice band, 1 outside, with
+    // a one-octave taper either side to avoid a hard spectral edge
+    this.eqWeights = new Float32Array(this.bins);
+    for (let k = 0; k < this.bins; k++) {
+      const freq = k * binWidth;
+      let octaves = 0;
+      if (freq < VOICE_LOW) octaves = Math.log2(VOICE_LOW / Math.max(freq, 1));
+      else if (freq > VOICE_HIGH) octaves = Math.log2(freq / VOICE_HIGH);
+      this.eqWeights[k] = Math.min(1, octaves);
+    }
+    
+    this.gains = new Float32Array(this.bins);
+    
+    // Detector state, in dB. The floor starts at the first frame's level.
+    this.noiseFloor = null;
+    this.fastLevel = -100;
+    this.slowLevel = -100;
+    this.modulation = 0;
+    this.hangover = 0;
+    
+    // 0 = not ducked, 1 = fully ducked
+    this.envelope = 0;
+  }
+  
+  processFrame(channels, parameters) {
+    const frameRate = sampleRate / this.hop;
+    const coefficient = (seconds) => 1 - Math.exp(-1 / (seconds * frameRate));
+    
+    // Band energies from the channel average
+    let voiceEnergy = 0;
+    let totalEnergy = 0;
+    for (let k = 1; k < this.bins; k++) {
+      let power = 0;
+      for (const { real, imag } of channels) {
+        power += real[k] * real[k] + imag[k] * imag[k];
+      }
+      totalEnergy += power;
+      if (k >= this.voiceStart && k <= this.voiceEnd) voiceEnergy += power;
+    }
+    
+    const level = 10 * Math.log10(voiceEnergy / channels.length + 1e-12);
+    const ratio = voiceEnergy / (totalEnergy + 1e-12);
+    
+    // Noise floor: falls quickly to quiet frames, creeps up slowly
+    if (this.noiseFloor === null) this.noiseFloor = level;
+    this.noiseFloor += (level - this.noiseFloor) * coefficient(level < this.noiseFloor ? 0.1 : 3);
+    
+    // Syllabic modulation: speech swings several dB at 2-8 Hz, while
+    // sustained music stays comparatively flat
+    this.fastLevel += (level - this.fastLevel) * coefficient(0.03);
+    this.slowLevel += (level - this.slowLevel) * coefficient(0.3);
+    this.modulation += (Math.abs(this.fastLevel - this.slowLevel) - this.modulation) * coefficient(0.3);
+    
+    const snrScore = clamp01((level - this.noiseFloor - 3) / 9);
+    const modulationScore = clamp01((this.modulation - 2) / 4);
+    const ratioScore = clamp01((ratio - 0.3) / 0.4);
+    const probability = snrScore * (0.5 * modulationScore + 0.5 * ratioScore);
+    
+    if (probability > 0.4) {
+      this.hangover = HANGOVER * frameRate;
+    } else if (this.hangover > 0) {
+      this.hangover--;
+    }
+    
+    const isSpeech = this.hangover > 0;
+    
+    // Ducking envelope
+    const duckUnderSpeech = parameters.mode[0] >= 0.5;
+    const shouldDuck = duckUnderSpeech ? isSpeech : !isSpeech;
+    const target = shouldDuck ? 1 : 0;
+    const speed = coefficient(shouldDuck ? parameters.attack[0] : parameters.release[0]);
+    this.envelope += (target - this.envelope) * speed;
+    
+    const duckGain = Math.pow(10, -parameters.depth[0] * this.envelope / 20);
+    const eqOnly = parameters.target[0] >= 0.5;
+    
+    for (let k = 0; k < this.bins; k++) {
+      const weight = eqOnly ? this.eqWeights[k] : 1;
+      this.gains[k] = 1 - weight * (1 - duckGain);
+    }
+    
+    this.applyGains(channels, this.gains);
+  }
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+registerProcessor('speech-ducker', SpeechDucker);
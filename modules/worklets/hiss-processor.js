@@ -0,0 +1,87 @@
+/**
+ * VidFlow - Hiss Reducer (AudioWorklet)
+ * Spectral subtraction against a learned noise profile, with smoothed
+ * powers and gains that open fast and close slowly to keep musical noise
+ * down. Loaded with
+ * audioWorklet.addModule().
+ */
+
+import { StftProcessor } from './stft.js';
+
+// Attenuation per bin at full amount, in dB
+const MAX_REDUCTION = 24;
+
+// Seconds over which bin powers are averaged before comparing them with
+// the profile; single frames of noise fluctuate too much
+const POWER_SMOOTHING = 0.04;
+
+// Seconds for a bin's gain to open up / settle back down
+const GAIN_ATTACK = 0.005;
+const GAIN_RELEASE = 0.08;
+
+class HissReducer extends StftProcessor {
+  static get parameterDescriptors() {
+    return [
+      // 0 = no reduction, 1 = full reduction with 2x over-subtraction
+      { name: 'amount', defaultValue: 0.5, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+  
+  constructor(options) {
+    super(options);
+    
+    this.profile = null;
+    this.setProfile(options.processorOptions?.profile);
+    
+    this.powers = new Float32Array(this.bins);
+    this.targets = new Float32Array(this.bins);
+    this.gains = new Float32Array(this.bins).fill(1);
+    
+    this.port.onmessage = (e) => {
+      if (e.data === 'dispose') this.alive = false;
+      else if (e.data?.profile) this.setProfile(e.data.profile);
+    };
+  }
+  
+  /**
+   * Profiles learned at another FFT size do not line up with our bins
+   */
+  setProfile(profile) {
+    this.profile = profile?.length === this.bins ? profile : null;
+  }
+  
+  processFrame(channels, parameters) {
+    if (!this.profile) return;
+    
+    const amount = parameters.amount[0];
+    const overSubtraction = 1 + amount;
+    const floorGain = Math.pow(10, -amount * MAX_REDUCTION / 20);
+    const coefficient = (seconds) => 1 - Math.exp(-this.hop / (seconds * sampleRate));
+    const smoothing = coefficient(POWER_SMOOTHING);
+    const attack = coefficient(GAIN_ATTACK);
+    const release = coefficient(GAIN_RELEASE);
+    
+    const { bins, profile, powers, targets, gains } = this;
+    
+    for (let k = 0; k < bins; k++) {
+      let power = 0;
+      for (const { real, imag } of channels) {
+        power += real[k] * real[k] + imag[k] * imag[k];
+      }
+      powers[k] += (power / channels.length - powers[k]) * smoothing;
+      
+      const remaining = 1 - overSubtraction * profile[k] / (powers[k] + 1e-12);
+      targets[k] = Math.max(floorGain, Math.sqrt(Math.max(0, remaining)));
+    }
+    
+    for (let k = 0; k < bins; k++) {
+      // Smooth across neighbouring bins, then in time
+      const target = (targets[Math.max(0, k - 1)] + targets[k] + targets[Math.min(bins - 1, k + 1)]) / 3;
+      gains[k] += (target - gains[k]) * (target > gains[k] ? attack : release);
+    }
+    
+    this.applyGains(channels, gains);
+  }
+}
+
+registerProcessor('hiss-reducer', HissReducer);
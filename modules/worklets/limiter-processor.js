@@ -0,0 +1,58 @@
+/**
+ * VidFlow - Boost Limiter (AudioWorklet)
+ * Applies the volume boost to the output mix behind a brick-wall limiter
+ * and posts the deepest gain reduction to the main thread every 100 ms
+ * for the clipping indicator. Loaded with audioWorklet.addModule().
+ */
+
+import { PeakLimiter } from '../dsp/loudness.js';
+
+// Post a reading every this many render quanta (~100 ms at 48 kHz)
+const REPORT_INTERVAL = 37;
+
+class BoostLimiter extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      // Linear gain ahead of the limiter (MAX_VOLUME_BOOST in audiofx.js)
+      { name: 'boost', defaultValue: 1, minValue: 0, maxValue: 3, automationRate: 'a-rate' }
+    ];
+  }
+  
+  constructor(options) {
+    super();
+    
+    const { ceiling = -1 } = options.processorOptions || {};
+    
+    this.ceiling = ceiling;
+    this.limiter = null;
+    this.quanta = 0;
+    this.alive = true;
+    
+    this.port.onmessage = (e) => {
+      if (e.data === 'dispose') this.alive = false;
+    };
+  }
+  
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    
+    // An unconnected input has no channels. The mix is only connected
+    // while boosting, so each boost starts with an empty lookahead rather
+    // than the tail of the last one.
+    if (input.length > 0) {
+      if (!this.limiter) this.limiter = new PeakLimiter(sampleRate, { ceiling: this.ceiling });
+      this.limiter.process(input, outputs[0], parameters.boost);
+    } else {
+      this.limiter = null;
+    }
+    
+    if (++this.quanta >= REPORT_INTERVAL) {
+      this.quanta = 0;
+      this.port.postMessage({ reduction: this.limiter?.takeReduction() ?? 0 });
+    }
+    
+    return this.alive;
+  }
+}
+
+registerProcessor('boost-limiter', BoostLimiter);
@@ -0,0 +1,46 @@
+/**
+ * VidFlow - Loudness Meter (AudioWorklet)
+ * Measures EBU R128 loudness of its input and posts the readings to the
+ * main thread every 100 ms. Loaded with audioWorklet.addModule().
+ */
+
+import { LoudnessMeter } from '../dsp/loudness.js';
+
+// Post a reading every this many render quanta (~100 ms at 48 kHz)
+const REPORT_INTERVAL = 37;
+
+class LoudnessProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    
+    this.meter = null;
+    this.quanta = 0;
+    this.alive = true;
+    
+    this.port.onmessage = (e) => {
+      if (e.data === 'reset') this.meter?.reset();
+      if (e.data === 'dispose') this.alive = false;
+    };
+  }
+  
+  process(inputs) {
+    const input = inputs[0];
+    
+    // An unconnected input has no channels
+    if (input.length > 0) {
+      if (!this.meter || this.meter.channelCount !== input.length) {
+        this.meter = new LoudnessMeter(sampleRate, input.length);
+      }
+      this.meter.process(input);
+    }
+    
+    if (this.meter && ++this.quanta >= REPORT_INTERVAL) {
+      this.quanta = 0;
+      this.port.postMessage(this.meter.getValues());
+    }
+    
+    return this.alive;
+  }
+}
+
+registerProcessor('loudness-meter', LoudnessProcessor);
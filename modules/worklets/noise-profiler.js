@@ -0,0 +1,48 @@
+/**
+ * VidFlow - Noise Profiler (AudioWorklet)
+ * Learns the average spectrum of its input between 'start' and 'stop'
+ * messages and posts it back for the hiss reducer. Loaded with
+ * audioWorklet.addModule().
+ */
+
+import { NoiseProfiler } from '../dsp/restoration.js';
+
+class NoiseProfilerProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    
+    const { fftSize = 2048 } = options.processorOptions || {};
+    
+    this.profiler = new NoiseProfiler(fftSize);
+    this.learning = false;
+    this.alive = true;
+    
+    this.port.onmessage = (e) => {
+      if (e.data === 'start') {
+        this.profiler.reset();
+        this.learning = true;
+      } else if (e.data === 'stop') {
+        this.learning = false;
+        this.port.postMessage({
+          profile: this.profiler.getProfile(),
+          seconds: this.profiler.frames * this.profiler.fftSize / sampleRate
+        });
+      } else if (e.data === 'dispose') {
+        this.alive = false;
+      }
+    };
+  }
+  
+  process(inputs) {
+    const input = inputs[0];
+    
+    // An unconnected input has no channels
+    if (this.learning && input.length > 0) {
+      this.profiler.process(input);
+    }
+    
+    return this.alive;
+  }
+}
+
+registerProcessor('noise-profiler', NoiseProfilerProcessor);
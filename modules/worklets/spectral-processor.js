@@ -0,0 +1,94 @@
+/**
+ * VidFlow - Spectral Music Suppressor (AudioWorklet)
+ * Attenuates sustained tonal content bin by bin while letting transient
+ * speech energy through. Loaded with audioWorklet.addModule().
+ */
+
+import { StftProcessor } from './stft.js';
+
+// Bins either side used for the local spectral average (tonality)
+const TONAL_NEIGHBOURHOOD = 4;
+
+class SpectralSuppressor extends StftProcessor {
+  static get parameterDescriptors() {
+    return [
+      // 0 = no suppression, 1 = full suppression of stationary tones
+      { name: 'amount', defaultValue: 0.5, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      // Seconds a component must persist before it counts as sustained
+      { name: 'sustain', defaultValue: 0.5, minValue: 0.05, maxValue: 5, automationRate: 'k-rate' },
+      // Maximum attenuation per bin in dB
+      { name: 'floor', defaultValue: -30, minValue: -80, maxValue: 0, automationRate: 'k-rate' }
+    ];
+  }
+  
+  constructor(options) {
+    super(options);
+    
+    this.magnitude = new Float32Array(this.bins);
+    this.sustained = new Float32Array(this.bins);
+    this.localAverage = new Float32Array(this.bins);
+    this.gains = new Float32Array(this.bins).fill(1);
+    this.targets = new Float32Array(this.bins);
+  }
+  
+  processFrame(channels, parameters) {
+    const amount = parameters.amount[0];
+    const floorGain = Math.pow(10, parameters.floor[0] / 20);
+    
+    // Per-frame smoothing coefficients from time constants
+    const frameRate = sampleRate / this.hop;
+    const rise = 1 - Math.exp(-1 / (parameters.sustain[0] * frameRate));
+    const fall = 1 - Math.exp(-1 / (0.05 * frameRate));
+    
+    const { bins, magnitude, sustained, localAverage, gains, targets } = this;
+    
+    // Mask is computed from the channel average so the stereo image is kept
+    for (let k = 0; k < bins; k++) {
+      let power = 0;
+      for (const { real, imag } of channels) {
+        power += real[k] * real[k] + imag[k] * imag[k];
+      }
+      magnitude[k] = Math.sqrt(power / channels.length);
+    }
+    
+    // Sliding average across neighbouring bins
+    let sum = 0;
+    let count = 0;
+    for (let k = 0; k < Math.min(TONAL_NEIGHBOURHOOD, bins); k++) {
+      sum += magnitude[k];
+      count++;
+    }
+    for (let k = 0; k < bins; k++) {
+      const enter = k + TONAL_NEIGHBOURHOOD;
+      const leave = k - TONAL_NEIGHBOURHOOD - 1;
+      if (enter < bins) { sum += magnitude[enter]; count++; }
+      if (leave >= 0) { sum -= magnitude[leave]; count--; }
+      localAverage[k] = sum / count;
+    }
+    
+    for (let k = 0; k < bins; k++) {
+      const mag = magnitude[k];
+      
+      // Slow-rising, fast-falling tracker: follows components that persist
+      // for `sustain` seconds but lags behind speech onsets
+      const tracked = sustained[k];
+      sustained[k] = tracked + (mag - tracked) * (mag > tracked ? rise : fall);
+      
+      const stationarity = Math.min(1, sustained[k] / (mag + 1e-12));
+      const peak = mag / (localAverage[k] + 1e-12);
+      const tonality = Math.min(1, Math.max(0, (peak - 1) / 3));
+      
+      const suppression = amount * stationarity * stationarity * (0.5 + 0.5 * tonality);
+      targets[k] = Math.max(floorGain, 1 - suppression);
+      
+      // Release quickly so transients pass, attack gently to avoid
+      // musical noise
+      const gain = gains[k];
+      gains[k] = gain + (targets[k] - gain) * (targets[k] > gain ? 0.7 : 0.3);
+    }
+    
+    this.applyGains(channels, gains);
+  }
+}
+
+registerProcessor('spectral-suppressor', SpectralSuppressor);
@@ -0,0 +1,131 @@
+/**
+ * VidFlow - STFT Worklet Base
+ * Overlap-add short-time Fourier transform framework for AudioWorklet
+ * processors. Subclasses implement processFrame() to modify the spectra.
+ */
+
+import { FFT, hannWindow } from '../dsp/fft.js';
+
+export class StftProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    
+    const { fftSize = 2048, overlap = 4 } = options.processorOptions || {};
+    
+    this.fftSize = fftSize;
+    this.hop = fftSize / overlap;
+    this.bins = fftSize / 2 + 1;
+    this.fft = new FFT(fftSize);
+    
+    // sqrt-Hann for both analysis and synthesis, so the product is a Hann
+    // window whose overlapping copies sum to overlap / 2
+    this.window = hannWindow(fftSize).map(Math.sqrt);
+    this.outputScale = 2 / overlap;
+    
+    // Input FIFO holds one frame; each hop of new samples fills its tail.
+    // Output lags input by one full frame.
+    this.fifoStart = fftSize - this.hop;
+    this.rover = this.fifoStart;
+    this.latency = fftSize;
+    
+    this.channels = [];
+    this.alive = true;
+    
+    this.port.onmessage = (e) => {
+      if (e.data === 'dispose') this.alive = false;
+    };
+  }
+  
+  getChannel(index) {
+    if (!this.channels[index]) {
+      this.channels[index] = {
+        inFifo: new Float32Array(this.fftSize),
+        outFifo: new Float32Array(this.fftSize),
+        accumulator: new Float32Array(this.fftSize),
+        real: new Float32Array(this.fftSize),
+        imag: new Float32Array(this.fftSize)
+      };
+    }
+    return this.channels[index];
+  }
+  
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const channelCount = output.length;
+    const frames = output[0].length;
+    
+    const channels = [];
+    for (let c = 0; c < channelCount; c++) {
+      channels.push(this.getChannel(c));
+    }
+    
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channelCount; c++) {
+        const channel = channels[c];
+        channel.inFifo[this.rover] = input[c] ? input[c][i] : 0;
+        output[c][i] = channel.outFifo[this.rover - this.fifoStart];
+      }
+      
+      this.rover++;
+      if (this.rover >= this.fftSize) {
+        this.rover = this.fifoStart;
+        this.runFrame(channels, parameters);
+      }
+    }
+    
+    return this.alive;
+  }
+  
+  runFrame(channels, parameters) {
+    const { fftSize, hop, window } = this;
+    
+    for (const channel of channels) {
+      for (let i = 0; i < fftSize; i++) {
+        channel.real[i] = channel.inFifo[i] * window[i];
+        channel.imag[i] = 0;
+      }
+      this.fft.forward(channel.real, channel.imag);
+    }
+    
+    this.processFrame(channels, parameters);
+    
+    for (const channel of channels) {
+      this.fft.inverse(channel.real, channel.imag);
+      
+      const { accumulator } = channel;
+      for (let i = 0; i < fftSize; i++) {
+        accumulator[i] += channel.real[i] * window[i] * this.outputScale;
+      }
+      
+      channel.outFifo.set(accumulator.subarray(0, hop));
+      accumulator.copyWithin(0, hop);
+      accumulator.fill(0, fftSize - hop);
+      channel.inFifo.copyWithin(0, hop);
+    }
+  }
+  
+  /**
+   * Apply a real gain per bin to every channel, keeping the spectrum
+   * conjugate-symmetric so the inverse transform stays real
+   */
+  applyGains(channels, gains) {
+    const n = this.fftSize;
+    for (const { real, imag } of channels) {
+      for (let k = 0; k < this.bins; k++) {
+        const g = gains[k];
+        real[k] *= g;
+        imag[k] *= g;
+        if (k > 0 && k < n / 2) {
+          real[n - k] *= g;
+          imag[n - k] *= g;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Override to modify the spectra (channel.real / channel.imag) of a frame
+   */
+  processFrame() {}
+}
@@ -0,0 +1,110 @@
+/**
+ * MP4 muxing: the audio sample entry has to describe the track whatever
+ * its sample rate. Run with `node --test test/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { muxMp4 } from '../modules/containers/mp4.js';
+
+const ascii = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+
+function box(type, ...parts) {
+  const size = 8 + parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(size);
+  new DataView(bytes.buffer).setUint32(0, size);
+  bytes.set(ascii(type), 4);
+  let offset = 8;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+// Just enough of a demuxed video track for the muxer to copy through
+function createVideo() {
+  const mdhd = new Uint8Array(24);
+  new DataView(mdhd.buffer).setUint32(12, 90000);
+  const samples = Array.from({ length: 30 }, (_, i) => ({
+    dts: i * 3000, cts: i * 3000, duration: 3000, isSync: i === 0, data: new Uint8Array(64)
+  }));
+  return {
+    timescale: 90000,
+    tkhd: box('tkhd', new Uint8Array(84)),
+    edts: null,
+    mdhd: box('mdhd', mdhd),
+    hdlr: box('hdlr', new Uint8Array(8), ascii('vide'), new Uint8Array(14)),
+    stsd: box('stsd', new Uint8Array(8), box('avc1', new Uint8Array(70))),
+    samples
+  };
+}
+
+function createAudio(sampleRate) {
+  const samples = Array.from({ length: 100 }, (_, i) => ({
+    dts: i * 1024, cts: i * 1024, duration: 1024, isSync: true, data: new Uint8Array(32)
+  }));
+  return { codec: 'aac', sampleRate, channels: 2, description: null, priming: 1024, bitrate: 192000, samples };
+}
+
+/**
+ * Boxes in bytes [start, end) as { type, start, end }, checking that each
+ * one's size fits its parent
+ */
+function readBoxes(view, start, end) {
+  const boxes = [];
+  for (let position = start; position < end;) {
+    const size = view.getUint32(position);
+    assert.ok(size >= 8 && position + size <= end, `box at ${position} overruns its parent`);
+    boxes.push({ type: String.fromCharCode(...new Uint8Array(view.buffer, position + 4, 4)), start: position, end: position + size });
+    position += size;
+  }
+  return boxes;
+}
+
+function findBox(view, boxes, path) {
+  const [type, ...rest] = path;
+  const found = boxes.find(b => b.type === type);
+  assert.ok(found, `no ${type} box`);
+  if (!rest.length) return found;
+  // stsd is a full box with an entry count before its children
+  const childStart = found.start + (type === 'stsd' ? 16 : 8);
+  return findBox(view, readBoxes(view, childStart, found.end), rest);
+}
+
+async function muxAudio(sampleRate) {
+  const blob = muxMp4({ timescale: 1000, video: createVideo(), audioTracks: [createAudio(sampleRate)] });
+  const view = new DataView(await blob.arrayBuffer());
+  const moov = findBox(view, readBoxes(view, 0, view.byteLength), ['moov']);
+  const trak = readBoxes(view, moov.start + 8, moov.end).filter(b => b.type === 'trak')[1];
+  const mdia = findBox(view, [trak], ['trak', 'mdia']);
+  return {
+    view,
+    mdhd: findBox(view, [mdia], ['mdia', 'mdhd']),
+    mp4a: findBox(view, [mdia], ['mdia', 'minf', 'stbl', 'stsd', 'mp4a'])
+  };
+}
+
+// AudioSpecificConfig is the last descriptor before the SL config (tag 6)
+function readFrequencyIndex(view, esds) {
+  const bytes = new Uint8Array(view.buffer, esds.start, esds.end - esds.start);
+  const config = bytes.lastIndexOf(0x06) - 2;
+  return ((bytes[config] & 0x07) << 1) | (bytes[config + 1] >> 7);
+}
+
+for (const [sampleRate, entryRate, frequencyIndex] of [[48000, 48000, 3], [96000, 48000, 0]]) {
+  test(`a ${sampleRate} Hz AAC track gets a valid sample entry`, async () => {
+    const { view, mdhd, mp4a } = await muxAudio(sampleRate);
+    
+    assert.equal(view.getUint32(mdhd.start + 20), sampleRate);
+    // SampleEntry (8 bytes) then AudioSampleEntry fields, rate last as 16.16
+    assert.equal(view.getUint16(mp4a.start + 24), 2);
+    assert.equal(view.getUint32(mp4a.start + 32), entryRate * 0x10000);
+    
+    const [esds] = readBoxes(view, mp4a.start + 36, mp4a.end);
+    assert.equal(esds.type, 'esds');
+    assert.equal(esds.end, mp4a.end);
+    assert.equal(readFrequencyIndex(view, esds), frequencyIndex);
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Ogg Opus muxing: granule positions count 48 kHz samples from the start
+ * of the stream, priming included (RFC 7845 section 4). Run with
+ * `node --test test/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { muxOggOpus } from '../modules/containers/ogg.js';
+
+// 20 ms packets, as AudioEncoder produces them for Opus
+const PACKET_SAMPLES = 960;
+const PRIMING = 312;
+
+function createAudio(packetCount, length) {
+  const packets = Array.from({ length: packetCount }, (_, i) => ({
+    timestamp: i * 20000, duration: 20000, data: new Uint8Array(80)
+  }));
+  return { channels: 2, inputSampleRate: 48000, description: null, priming: PRIMING, length, packets };
+}
+
+/**
+ * Each page as { granule, packets, flags }, counting packets that end on
+ * the page
+ */
+async function readPages(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const pages = [];
+  for (let offset = 0; offset < bytes.length;) {
+    const segments = bytes[offset + 26];
+    const lacing = bytes.subarray(offset + 27, offset + 27 + segments);
+    pages.push({
+      flags: bytes[offset + 5],
+      granule: view.getUint32(offset + 6, true) + view.getUint32(offset + 10, true) * 0x100000000,
+      packets: lacing.filter(value => value < 255).length
+    });
+    offset += 27 + segments + lacing.reduce((sum, value) => sum + value, 0);
+  }
+  return pages;
+}
+
+test('audio page granules count the samples up to the end of the page', async () => {
+  const packetCount = 150;
+  const length = packetCount * PACKET_SAMPLES - PRIMING - 500;
+  const pages = await readPages(muxOggOpus(createAudio(packetCount, length)));
+  
+  // OpusHead and OpusTags, then audio
+  const audio = pages.slice(2);
+  assert.ok(audio.length > 2);
+  
+  let packets = 0;
+  for (const page of audio.slice(0, -1)) {
+    packets += page.packets;
+    assert.equal(page.granule, packets * PACKET_SAMPLES);
+  }
+  
+  // The last granule trims the encoder's padding
+  const last = audio.at(-1);
+  assert.equal(packets + last.packets, packetCount);
+  assert.equal(last.granule, PRIMING + length);
+  assert.equal(last.flags & 0x04, 0x04);
+});
@@ -0,0 +1,25 @@
+/**
+ * Preset model: the ffmpeg filter a stage compiles to has to sound like
+ * the Web Audio node it builds in the preview. Run with `node --test test/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolvePreset, toFfmpegFilter } from '../modules/presets.js';
+
+test('lowpass and highpass Q goes to ffmpeg as linear Q', () => {
+  const filter = toFfmpegFilter([
+    { type: 'lowpass', frequency: 8000, Q: 0.7 },
+    { type: 'highpass', frequency: 80, Q: 0 }
+  ]);
+  // 0.7 dB and 0 dB, not a Q of 0.7 and 0
+  assert.equal(filter, 'lowpass=f=8000:t=q:w=1.083927,highpass=f=80:t=q:w=1');
+});
+
+test('the center vocal band filters have the Web Audio default Q', () => {
+  const filter = toFfmpegFilter(resolvePreset('center-vocal', { strength: 50 }));
+  const bands = filter.split(',').filter(f => /^(high|low)pass=/.test(f));
+  assert.equal(bands.length, 2);
+  for (const band of bands) assert.match(band, /:t=q:w=1\.122018:/);
+});
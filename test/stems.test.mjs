@@ -0,0 +1,92 @@
+/**
+ * Stem export: the residual stem is the source minus the processed track,
+ * so it only holds what processing took out when the two line up sample
+ * for sample. Run with `node --test test/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Node has no Web Audio. An AudioBuffer is planar Float32Arrays, and a
+// DynamicsCompressorNode below its threshold passes the input through
+// behind its pre-delay.
+globalThis.AudioBuffer = class AudioBuffer {
+  constructor({ numberOfChannels, length, sampleRate }) {
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+  }
+  
+  getChannelData(c) {
+    return this.channels[c];
+  }
+  
+  copyToChannel(source, c) {
+    this.channels[c].set(source);
+  }
+};
+
+// Chromium's compressor pre-delay in frames: 6 ms, cut short by its
+// 1024-frame delay line at high rates
+const COMPRESSOR_DELAY = { 44100: 264, 48000: 288, 96000: 576, 192000: 1023 };
+
+const { OfflineRenderer } = await import('../modules/renderer.js');
+const { resolveStages, getLatency } = await import('../modules/presets.js');
+
+const renderer = new OfflineRenderer({});
+
+function createSource(sampleRate, seconds = 1) {
+  const source = new AudioBuffer({ numberOfChannels: 2, length: Math.round(seconds * sampleRate), sampleRate });
+  for (const channel of source.channels) {
+    for (let i = 0; i < channel.length; i++) channel[i] = Math.random() * 2 - 1;
+  }
+  return source;
+}
+
+/**
+ * What render() makes of a chain that delays its output by `delay` frames:
+ * the context renders the `latency` the chain declares on top of the
+ * source's length, and that much is trimmed off the front
+ */
+function renderThrough(source, delay, latency) {
+  const rendered = new AudioBuffer({
+    numberOfChannels: source.numberOfChannels,
+    length: source.length + latency,
+    sampleRate: source.sampleRate
+  });
+  rendered.channels.forEach((channel, c) => {
+    channel.set(source.channels[c].subarray(0, Math.max(0, channel.length - delay)), delay);
+  });
+  return renderer.trimLatency(rendered, latency, source.length);
+}
+
+function peak(buffer) {
+  return Math.max(...buffer.channels.map(channel => channel.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0)));
+}
+
+test('the residual of the off preset is silence', async () => {
+  const source = createSource(48000);
+  const stages = resolveStages({ preset: 'off', strength: 50 });
+  const processed = renderThrough(source, 0, getLatency(stages, source.sampleRate));
+  
+  const residual = await renderer.renderResidual(source, processed);
+  assert.equal(peak(residual), 0);
+});
+
+for (const preset of ['speech', 'music-reduce']) {
+  for (const sampleRate of Object.keys(COMPRESSOR_DELAY).map(Number)) {
+    test(`the compressor in ${preset} nulls at ${sampleRate} Hz`, async () => {
+      const source = createSource(sampleRate);
+      const compressor = resolveStages({ preset, strength: 50 }).filter(stage => stage.type === 'compressor');
+      assert.equal(compressor.length, 1);
+      
+      const latency = getLatency(compressor, sampleRate);
+      assert.equal(latency, COMPRESSOR_DELAY[sampleRate]);
+      
+      const processed = renderThrough(source, COMPRESSOR_DELAY[sampleRate], latency);
+      const residual = await renderer.renderResidual(source, processed);
+      assert.ok(peak(residual) < 1e-6, `residual peaks at ${peak(residual)}`);
+    });
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * WAV writing: a header plus the samples in windows has to make the same
+ * file the one-piece writer did, and switch to RF64 past 4 GB. Run with
+ * `node --test test/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWavHeader, encodeWavFrames, getWavSize, WAV_CHUNK_FRAMES } from '../modules/containers/wav.js';
+import { quantize } from '../modules/dsp/dither.js';
+
+const SAMPLE_RATE = 48000;
+
+function createChannels(length) {
+  return [0, 1].map(() => Float32Array.from({ length }, () => Math.random() * 2 - 1));
+}
+
+/**
+ * The samples as the one-piece writer laid them out before streaming, a
+ * DataView store per sample
+ */
+function encodePerSample(channels) {
+  const length = channels[0].length;
+  const blockAlign = channels.length * 2;
+  const view = new DataView(new ArrayBuffer(length * blockAlign));
+  channels.forEach((samples, c) => {
+    const values = quantize(samples, 16, { dither: false });
+    for (let i = 0, position = c * 2; i < length; i++, position += blockAlign) {
+      view.setInt16(position, values[i], true);
+    }
+  });
+  return new Uint8Array(view.buffer);
+}
+
+function encodeWindowed(channels) {
+  const length = channels[0].length;
+  const parts = [createWavHeader(channels.length, SAMPLE_RATE, length)];
+  for (let start = 0; start < length; start += WAV_CHUNK_FRAMES) {
+    const end = Math.min(start + WAV_CHUNK_FRAMES, length);
+    parts.push(encodeWavFrames(channels.map(samples => samples.subarray(start, end))));
+  }
+  return Buffer.concat(parts);
+}
+
+function readAscii(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+test('windowed frames match the per-sample writer', () => {
+  // Ends part way into a window
+  const channels = createChannels(WAV_CHUNK_FRAMES * 2 + 1000);
+  const file = encodeWindowed(channels);
+  const view = new DataView(file.buffer, file.byteOffset, file.byteLength);
+  
+  assert.equal(file.length, getWavSize(channels[0].length, 2, 16));
+  assert.equal(readAscii(file, 0), 'RIFF');
+  assert.equal(view.getUint32(4, true), file.length - 8);
+  assert.equal(readAscii(file, 36), 'data');
+  assert.equal(view.getUint32(40, true), file.length - 44);
+  assert.deepEqual(file.subarray(44), Buffer.from(encodePerSample(channels)));
+});
+
+// Timings vary too much between machines to assert on, so this only
+// reports them: `node --test test/wav.test.mjs` prints both
+test('windowed frames against the per-sample writer', (t) => {
+  // A minute of 48 kHz stereo
+  const channels = createChannels(SAMPLE_RATE * 60);
+  // Best of a few runs, to stay clear of warm-up and scheduling noise
+  const time = (encode) => {
+    let best = Infinity;
+    for (let run = 0; run < 4; run++) {
+      const start = performance.now();
+      encode(channels);
+      best = Math.min(best, performance.now() - start);
+    }
+    return best;
+  };
+  const perSample = time(encodePerSample);
+  const windowed = time(encodeWindowed);
+  
+  const rate = (ms) => `${(channels[0].length * 4 / 1e6 / (ms / 1000)).toFixed(0)} MB/s`;
+  t.diagnostic(`per-sample ${perSample.toFixed(1)} ms (${rate(perSample)}), windowed ${windowed.toFixed(1)} ms (${rate(windowed)})`);
+});
+
+test('headers switch to RF64 past 4 GB', () => {
+  const header = (length) => {
+    const bytes = createWavHeader(2, SAMPLE_RATE, length, { bitDepth: 32 });
+    return { bytes, view: new DataView(bytes.buffer) };
+  };
+  
+  // Float stereo is 8 bytes a frame. The RIFF size counts 4 bytes of WAVE
+  // and the 8 byte headers of fmt, fact and data besides their bodies.
+  const riffOverhead = 4 + 8 + 18 + 12 + 8;
+  const fits = Math.floor((0xFFFFFFFF - riffOverhead) / 8);
+  const small = header(fits);
+  assert.equal(readAscii(small.bytes, 0), 'RIFF');
+  assert.equal(small.view.getUint32(4, true), riffOverhead + fits * 8);
+  
+  const length = fits + 1;
+  const { bytes, view } = header(length);
+  assert.equal(readAscii(bytes, 0), 'RF64');
+  assert.equal(view.getUint32(4, true), 0xFFFFFFFF);
+  assert.equal(readAscii(bytes, 12), 'ds64');
+  assert.equal(view.getBigUint64(20, true), BigInt(bytes.length - 8 + length * 8));
+  assert.equal(view.getBigUint64(28, true), BigInt(length * 8));
+  assert.equal(view.getBigUint64(36, true), BigInt(length));
+  
+  const data = bytes.length - 8;
+  assert.equal(readAscii(bytes, data), 'data');
+  assert.equal(view.getUint32(data + 4, true), 0xFFFFFFFF);
+  assert.equal(bytes.length + length * 8, getWavSize(length, 2, 32));
+});